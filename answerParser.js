@@ -0,0 +1,327 @@
+// answerParser.js - Structured JSON answers: prompt instructions, validation and repair
+
+const { TYPE_NAMES, validateTypedAnswer, correctTypedDetails } = require('./questionTypes');
+
+// Fields every structured answer is asked to contain
+const ANSWER_FIELDS = `  "type": "the question type, one of ${TYPE_NAMES.join(', ')}",
+  "question": "the question text as you read it",
+  "options": ["each answer choice in order, without its letter or number; empty if there are none"],
+  "selectedIndexes": [zero-based indexes into options of the correct choice(s); empty if there are no options],
+  "answer": "the correct answer, concise",
+  "details": {the type-specific fields described above},
+  "confidence": a number from 0 to 1`;
+
+// Appended to every answering prompt so all providers return the same shape
+const JSON_RESPONSE_INSTRUCTIONS = `Respond with ONLY a JSON object, no Markdown and no other text, using exactly these fields:
+{
+${ANSWER_FIELDS}
+}`;
+
+// Used by /monitor_screen to detect and answer a question in a single call
+const DETECT_AND_ANSWER_INSTRUCTIONS = `First decide whether the image shows a quiz or test question.
+If it does not, respond with ONLY this JSON object: {"detected": false}
+If it does, respond with ONLY a JSON object, no Markdown and no other text, using exactly these fields:
+{
+  "detected": true,
+${ANSWER_FIELDS}
+}`;
+
+// Used by batch jobs, where one page may hold several questions
+const MULTIPLE_QUESTIONS_INSTRUCTIONS = `The page may contain several quiz questions. Answer every one of them, in the order they appear.
+Respond with ONLY a JSON object, no Markdown and no other text, in this form:
+{
+  "questions": [
+    {
+${ANSWER_FIELDS}
+    }
+  ]
+}
+If there are no quiz questions, respond with {"questions": []}`;
+
+// Appended after the response instructions when explain mode is on
+const EXPLAIN_INSTRUCTIONS = `Also include an "explanation" field in the JSON object: the step-by-step reasoning that leads to the answer, written in Markdown.
+Write math in LaTeX between $...$ (inline) or $$...$$ (on its own line), and code in fenced code blocks. Keep "answer" itself short.`;
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Convert a zero-based option index to its letter
+ * @param {number} index - Option index
+ * @returns {string} - Letter such as 'A'
+ */
+function indexToLetter(index) {
+  return LETTERS[index] || String(index + 1);
+}
+
+/**
+ * Pull the JSON object out of a model response, repairing common mistakes
+ * @param {string} text - Raw model output
+ * @returns {Object|null} - Parsed object, or null if no JSON object could be recovered
+ */
+function extractJson(text) {
+  const attempts = [];
+  const trimmed = String(text).trim();
+  attempts.push(trimmed);
+
+  // Code fences such as ```json ... ```
+  const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    attempts.push(fenced[1].trim());
+  }
+
+  // Preamble or trailing commentary around the object
+  const start = trimmed.indexOf('{');
+  const end = trimmed.lastIndexOf('}');
+  if (start !== -1 && end > start) {
+    const body = trimmed.slice(start, end + 1);
+    attempts.push(body);
+    // Trailing commas and smart quotes
+    attempts.push(body
+      .replace(/,\s*([}\]])/g, '$1')
+      .replace(/[“”]/g, '"')
+      .replace(/[‘’]/g, '\''));
+  }
+
+  for (const attempt of attempts) {
+    try {
+      const parsed = JSON.parse(attempt);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        return parsed;
+      }
+    } catch (err) {
+      // Try the next repair
+    }
+  }
+  return null;
+}
+
+/**
+ * Split a plain-text response into answer lines, dropping Markdown headings and bullets
+ * @param {string} text - Raw model output
+ * @returns {string[]} - Answer lines
+ */
+function splitAnswerLines(text) {
+  return String(text).split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !line.startsWith('*') && !line.startsWith('#'));
+}
+
+/**
+ * Validate a parsed response and fill in fields the model left out
+ * @param {Object} parsed - Object recovered from the model output
+ * @param {string|null} [expectedType] - Question type the prompt asked for, used when the model gives none
+ * @returns {Object} - Normalized structured answer
+ */
+function normalizeAnswer(parsed, expectedType = null) {
+  const options = Array.isArray(parsed.options)
+    ? parsed.options.filter(option => typeof option === 'string' || typeof option === 'number').map(String)
+    : [];
+
+  let selectedIndexes = Array.isArray(parsed.selectedIndexes)
+    ? parsed.selectedIndexes.map(Number).filter(index => Number.isInteger(index) && index >= 0 && index < options.length)
+    : [];
+
+  // Accept letters in place of indexes
+  if (selectedIndexes.length === 0 && Array.isArray(parsed.selectedLetters)) {
+    selectedIndexes = parsed.selectedLetters
+      .map(letter => LETTERS.indexOf(String(letter).trim().toUpperCase()))
+      .filter(index => index >= 0 && index < options.length);
+  }
+
+  let answer = typeof parsed.answer === 'string' || typeof parsed.answer === 'number' ? String(parsed.answer).trim() : '';
+
+  // Match the free-text answer against the options when no index was given
+  if (selectedIndexes.length === 0 && answer) {
+    const match = options.findIndex(option => option.trim().toLowerCase() === answer.toLowerCase());
+    if (match !== -1) {
+      selectedIndexes = [match];
+    }
+  }
+
+  selectedIndexes = [...new Set(selectedIndexes)].sort((a, b) => a - b);
+  if (!answer && selectedIndexes.length > 0) {
+    answer = selectedIndexes.map(index => options[index]).join(', ');
+  }
+
+  let confidence = Number(parsed.confidence);
+  if (!Number.isFinite(confidence)) {
+    confidence = null;
+  } else {
+    // Whole numbers from 2 to 100 are read as a percentage, which some models answer with; anything
+    // else outside 0-1 is clamped
+    const percentage = Number.isInteger(confidence) && confidence > 1 && confidence <= 100;
+    confidence = Math.min(Math.max(percentage ? confidence / 100 : confidence, 0), 1);
+  }
+
+  const structured = {
+    question: typeof parsed.question === 'string' ? parsed.question.trim() : '',
+    options,
+    selectedIndexes,
+    selectedLetters: selectedIndexes.map(indexToLetter),
+    answer,
+    confidence
+  };
+
+  // Check the type-specific details and use the type's own answer format where it has one
+  const typed = validateTypedAnswer(structured, parsed.type, parsed.details, expectedType);
+  return {
+    ...structured,
+    type: typed.type,
+    details: typed.details,
+    warnings: typed.warnings,
+    answer: typed.answer || structured.answer,
+    answerLines: typed.answerLines || null,
+    explanation: typeof parsed.explanation === 'string' ? parsed.explanation.trim() : ''
+  };
+}
+
+/**
+ * Add the display lines to a normalized answer
+ * @param {Object} structured - Answer from normalizeAnswer
+ * @returns {Object} - The answer with answers (display lines, empty without an answer) and format 'json'
+ */
+function withAnswerLines(structured) {
+  const { answerLines, ...rest } = structured;
+  let answers = structured.answer ? [structured.answer] : [];
+  if (answerLines) {
+    answers = answerLines;
+  } else if (structured.selectedIndexes.length > 0) {
+    answers = structured.selectedIndexes.map(index => `${indexToLetter(index)}. ${structured.options[index]}`);
+  }
+  return { ...rest, answers, format: 'json' };
+}
+
+/**
+ * Parse a model response into the structured answer returned by every endpoint
+ * @param {string} text - Raw model output
+ * @param {string|null} [expectedType] - Question type the prompt asked for, if it was known
+ * @returns {Object} - Structured answer with type, question, options, selectedIndexes, selectedLetters,
+ *   answer, details, warnings, confidence, explanation (Markdown reasoning, empty unless explain mode asked
+ *   for it), answers (display lines) and format ('json' or 'text' when repair failed)
+ */
+function parseStructuredAnswer(text, expectedType = null) {
+  const parsed = extractJson(text);
+
+  // JSON without an answer is an empty answer, not text to read one from
+  if (parsed) {
+    return withAnswerLines(normalizeAnswer(parsed, expectedType));
+  }
+
+  // Fall back to the plain-text answer when the output can't be repaired
+  const answers = splitAnswerLines(text);
+  return {
+    type: expectedType || 'short_answer',
+    question: '',
+    options: [],
+    selectedIndexes: [],
+    selectedLetters: [],
+    answer: answers[0] || '',
+    details: {},
+    warnings: [],
+    confidence: null,
+    explanation: '',
+    answers,
+    format: 'text'
+  };
+}
+
+/**
+ * Parse a combined detect-and-answer response
+ * @param {string} text - Raw model output
+ * @returns {Object} - { detected: false } when no question was found, otherwise
+ *   the structured answer from parseStructuredAnswer with detected set to true
+ */
+function parseDetectionAnswer(text) {
+  const parsed = extractJson(text);
+  if (parsed && (parsed.detected === false || String(parsed.detected).toLowerCase() === 'false')) {
+    return { detected: false };
+  }
+
+  // Answers without a detected flag (e.g. cached from /process_question) count as detections, as long
+  // as they have an answer
+  const structured = parseStructuredAnswer(text);
+  return { ...structured, detected: structured.answers.length > 0 };
+}
+
+/**
+ * Parse a response listing every question on a page
+ * @param {string} text - Raw model output
+ * @returns {Object[]} - Structured answers as from parseStructuredAnswer, in page order;
+ *   empty when the page has no questions
+ */
+function parseMultipleAnswers(text) {
+  const parsed = extractJson(text);
+  let items = parsed && Array.isArray(parsed.questions) ? parsed.questions : null;
+
+  // Some models answer with a bare array instead of the wrapping object
+  if (!items) {
+    const start = String(text).indexOf('[');
+    const end = String(text).lastIndexOf(']');
+    try {
+      const array = start !== -1 && end > start ? JSON.parse(String(text).slice(start, end + 1)) : null;
+      items = Array.isArray(array) ? array : null;
+    } catch (err) {
+      items = null;
+    }
+  }
+
+  if (items) {
+    return items
+      .filter(item => item && typeof item === 'object')
+      .map(item => normalizeAnswer(item))
+      .filter(structured => structured.answer || structured.selectedIndexes.length > 0)
+      .map(withAnswerLines);
+  }
+
+  // A single answer, or plain text when the output can't be repaired
+  const single = parseStructuredAnswer(text);
+  return single.answers.length > 0 ? [single] : [];
+}
+
+/**
+ * Rewrite a cached answer with the right answer a user reported, so the cache returns the correction
+ * from then on. The question, options and explanation are kept, and the type's details are rebuilt
+ * from the correction; options are chosen again from the new answer, which may name them by their
+ * text or by letter ("B" or "A, C")
+ * @param {string|null} text - Raw model output that was cached, if any
+ * @param {string} correctAnswer - The right answer
+ * @param {Object} [fallback] - { question, type, details, explanation } to use when the cached output
+ *   has none
+ * @returns {string} - Raw answer in the JSON format the parsers read
+ */
+function buildCorrectedAnswer(text, correctAnswer, fallback = {}) {
+  const parsed = (text && extractJson(text)) || {};
+  const options = Array.isArray(parsed.options) ? parsed.options : [];
+  const type = parsed.type || fallback.type || undefined;
+  const letters = /^[A-Z](\s*,\s*[A-Z])*$/i.test(correctAnswer.trim())
+    ? correctAnswer.split(',').map(letter => letter.trim().toUpperCase())
+    : [];
+  const byLetter = options.length > 0 && letters.length > 0 && letters.every(letter => LETTERS.indexOf(letter) < options.length);
+  // Details are read from the options the letters name, in the order given, which for an ordering
+  // is the answer itself
+  const answerText = byLetter ? letters.map(letter => options[LETTERS.indexOf(letter)]).join(', ') : correctAnswer;
+  const explanation = typeof parsed.explanation === 'string' && parsed.explanation ? parsed.explanation : fallback.explanation;
+
+  return JSON.stringify({
+    detected: true,
+    type,
+    question: parsed.question || fallback.question || '',
+    options,
+    selectedLetters: byLetter ? letters : [],
+    answer: byLetter ? '' : correctAnswer,
+    details: correctTypedDetails(String(type || '').toLowerCase(), answerText, parsed.details || fallback.details),
+    ...(explanation ? { explanation } : {}),
+    confidence: 1
+  });
+}
+
+module.exports = {
+  JSON_RESPONSE_INSTRUCTIONS,
+  DETECT_AND_ANSWER_INSTRUCTIONS,
+  MULTIPLE_QUESTIONS_INSTRUCTIONS,
+  EXPLAIN_INSTRUCTIONS,
+  parseStructuredAnswer,
+  parseDetectionAnswer,
+  parseMultipleAnswers,
+  buildCorrectedAnswer
+};
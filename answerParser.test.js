@@ -0,0 +1,106 @@
+// answerParser.test.js - Parsing, repairing and correcting structured answers
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildCorrectedAnswer, parseStructuredAnswer, parseDetectionAnswer, parseMultipleAnswers } = require('./answerParser');
+
+test('a correction by letter chooses the options again and keeps the explanation', () => {
+  const cached = JSON.stringify({ type: 'multiple_choice', question: 'Largest planet?', options: ['Mars', 'Jupiter'], selectedIndexes: [0], answer: 'Mars', explanation: 'Size' });
+  const corrected = parseStructuredAnswer(buildCorrectedAnswer(cached, 'B'));
+  assert.strictEqual(corrected.question, 'Largest planet?');
+  assert.deepStrictEqual(corrected.selectedLetters, ['B']);
+  assert.strictEqual(corrected.answer, 'Jupiter');
+  assert.strictEqual(corrected.explanation, 'Size');
+  assert.strictEqual(corrected.confidence, 1);
+});
+
+test('a corrected ordering keeps its details in the order given', () => {
+  const cached = JSON.stringify({ type: 'ordering', options: ['x', 'y', 'z'], details: { order: ['x', 'y', 'z'] }, answer: 'x → y → z' });
+  const byLetter = parseStructuredAnswer(buildCorrectedAnswer(cached, 'C, A, B'));
+  assert.deepStrictEqual(byLetter.details, { order: ['z', 'x', 'y'] });
+  assert.deepStrictEqual(byLetter.answers, ['1. z', '2. x', '3. y']);
+
+  const byText = parseStructuredAnswer(buildCorrectedAnswer(cached, 'y → z → x'));
+  assert.deepStrictEqual(byText.details, { order: ['y', 'z', 'x'] });
+});
+
+test('corrected details never bring back the wrong answer', () => {
+  const numeric = JSON.stringify({ type: 'numeric', details: { value: 5, unit: 'm' }, answer: '5 m' });
+  const corrected = parseStructuredAnswer(buildCorrectedAnswer(numeric, '7'));
+  assert.deepStrictEqual(corrected.details, { value: 7, unit: 'm' });
+  assert.strictEqual(corrected.answer, '7 m');
+  assert.strictEqual(parseStructuredAnswer(buildCorrectedAnswer(numeric, '3 km')).answer, '3 km');
+
+  const trueFalse = JSON.stringify({ type: 'true_false', details: { value: true }, answer: 'True' });
+  assert.deepStrictEqual(parseStructuredAnswer(buildCorrectedAnswer(trueFalse, 'false')).details, { value: false });
+
+  const blanks = JSON.stringify({ type: 'fill_blank', details: { blanks: ['a', 'b'] }, answer: 'a, b' });
+  assert.deepStrictEqual(parseStructuredAnswer(buildCorrectedAnswer(blanks, 'c, d')).details, { blanks: ['c', 'd'] });
+
+  const matching = JSON.stringify({ type: 'matching', details: { pairs: [{ left: 'A', right: '2' }] }, answer: 'A → 2' });
+  assert.deepStrictEqual(parseStructuredAnswer(buildCorrectedAnswer(matching, 'A → 1; B → 2')).details, {
+    pairs: [{ left: 'A', right: '1' }, { left: 'B', right: '2' }]
+  });
+});
+
+test('without cached output the fallback supplies the question, type, details and explanation', () => {
+  const corrected = parseStructuredAnswer(buildCorrectedAnswer(null, '42', { question: 'Answer?', type: 'numeric', details: { unit: 'kg' }, explanation: 'Known' }));
+  assert.strictEqual(corrected.question, 'Answer?');
+  assert.strictEqual(corrected.type, 'numeric');
+  assert.strictEqual(corrected.answer, '42 kg');
+  assert.strictEqual(corrected.explanation, 'Known');
+});
+
+test('JSON answers are read from Markdown fences and surrounding text', () => {
+  const text = 'Here you go:\n```json\n{"question":"2+2?","options":["3","4"],"selectedIndexes":[1],"answer":"4","confidence":90}\n```';
+  const answer = parseStructuredAnswer(text);
+  assert.strictEqual(answer.format, 'json');
+  assert.strictEqual(answer.question, '2+2?');
+  assert.deepStrictEqual(answer.selectedLetters, ['B']);
+  assert.deepStrictEqual(answer.answers, ['B. 4']);
+  assert.strictEqual(answer.confidence, 0.9);
+});
+
+test('options are chosen from letters or the answer text when indexes are missing', () => {
+  const byLetter = parseStructuredAnswer('{"options":["a","b","c"],"selectedLetters":["c","A"]}');
+  assert.deepStrictEqual(byLetter.selectedIndexes, [0, 2]);
+  assert.strictEqual(byLetter.answer, 'a, c');
+  const byText = parseStructuredAnswer('{"options":["Paris","Rome"],"answer":"rome"}');
+  assert.deepStrictEqual(byText.selectedIndexes, [1]);
+});
+
+test('output that is not JSON falls back to its text lines', () => {
+  const answer = parseStructuredAnswer('**Answer**\nParis\n# note\nFrance');
+  assert.strictEqual(answer.format, 'text');
+  assert.deepStrictEqual(answer.answers, ['Paris', 'France']);
+  assert.strictEqual(answer.answer, 'Paris');
+});
+
+test('JSON without an answer gives an empty answer rather than its text', () => {
+  const answer = parseStructuredAnswer('{"question": "Capital of Peru?", "confidence": 0.2}');
+  assert.strictEqual(answer.format, 'json');
+  assert.strictEqual(answer.question, 'Capital of Peru?');
+  assert.strictEqual(answer.answer, '');
+  assert.deepStrictEqual(answer.answers, []);
+});
+
+test('only whole numbers up to 100 are read as a percentage confidence', () => {
+  const confidence = value => parseStructuredAnswer(`{"answer": "4", "confidence": ${value}}`).confidence;
+  assert.deepStrictEqual([75, 100, 1, 0.5].map(confidence), [0.75, 1, 1, 0.5]);
+  assert.deepStrictEqual([1.5, 87.5, 250, -3].map(confidence), [1, 1, 1, 0]);
+});
+
+test('detection answers report frames without a question', () => {
+  assert.deepStrictEqual(parseDetectionAnswer('{"detected": "false"}'), { detected: false });
+  const detected = parseDetectionAnswer('{"detected": true, "question": "6*7?", "answer": "42"}');
+  assert.strictEqual(detected.detected, true);
+  assert.deepStrictEqual([detected.question, detected.answer], ['6*7?', '42']);
+  assert.strictEqual(parseDetectionAnswer('{"detected": true, "question": "6*7?"}').detected, false);
+  assert.strictEqual(parseDetectionAnswer('The answer is 42').detected, true);
+});
+
+test('pages with several questions are answered in order', () => {
+  const answers = parseMultipleAnswers('[{"question":"One","answer":"1"},{"question":"Empty"},{"question":"Two","answer":"2"}]');
+  assert.deepStrictEqual(answers.map(answer => answer.question), ['One', 'Two']);
+  assert.deepStrictEqual(parseMultipleAnswers('{"questions": []}'), []);
+});
@@ -0,0 +1,132 @@
+// apiErrors.js - Typed API errors and the error response schema
+
+// Every error the API returns, with its HTTP status and the short title legacy routes send as `error`
+const ERROR_CODES = {
+  INVALID_REQUEST: { status: 400, title: 'Invalid request' },
+  INVALID_UPLOAD: { status: 400, title: 'Invalid upload' },
+  UNKNOWN_PROVIDER: { status: 400, title: 'Unknown provider' },
+  API_KEY_REQUIRED: { status: 401, title: 'API key is required' },
+  INVALID_API_KEY: { status: 401, title: 'API key error' },
+  INVALID_SESSION: { status: 401, title: 'Session expired' },
+  FORBIDDEN: { status: 403, title: 'Forbidden' },
+  NOT_FOUND: { status: 404, title: 'Not found' },
+  CONFLICT: { status: 409, title: 'Conflict' },
+  PAYLOAD_TOO_LARGE: { status: 413, title: 'Payload too large' },
+  RATE_LIMITED: { status: 429, title: 'Rate limit exceeded' },
+  PROVIDER_QUOTA_EXCEEDED: { status: 429, title: 'API quota exceeded' },
+  PROVIDER_ERROR: { status: 502, title: 'Model provider error' },
+  INTERNAL_ERROR: { status: 500, title: 'Internal server error' }
+};
+
+// Things that look like credentials: Gemini and OpenAI-style keys, bearer tokens, and key and token
+// query parameters
+const SECRET_PATTERNS = [
+  /AIza[0-9A-Za-z_-]{35}/g,
+  /\bsk-[0-9A-Za-z_*-]{8,}/g,
+  /(Bearer\s+)[^\s"',]+/gi,
+  /([?&](?:(?:api_?)?key|token)=)[^&\s"']+/gi
+];
+
+/**
+ * Remove API keys and tokens from text that may be logged or sent to a client, such as an upstream
+ * error message
+ * @param {string} text - Text to clean
+ * @param {string[]} [secrets] - Exact values to remove as well, such as the key used for a request
+ * @returns {string} - The text with every secret replaced by [REDACTED]
+ */
+function redactSecrets(text, secrets = []) {
+  let redacted = String(text);
+  secrets.filter(secret => secret && secret.length >= 4).forEach(secret => {
+    redacted = redacted.split(secret).join('[REDACTED]');
+  });
+  return SECRET_PATTERNS.reduce((result, pattern) => result.replace(pattern, (match, prefix) =>
+    (typeof prefix === 'string' ? prefix : '') + '[REDACTED]'), redacted);
+}
+
+/**
+ * An error with a code from ERROR_CODES, sent to clients as the API error schema
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} code - Key of ERROR_CODES
+   * @param {string} message - Human-readable explanation
+   * @param {*} [details] - Extra machine-readable information, such as validation problems
+   */
+  constructor(code, message, details) {
+    super(redactSecrets(message));
+    this.name = 'ApiError';
+    this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+    this.status = ERROR_CODES[this.code].status;
+    this.details = details;
+  }
+}
+
+/**
+ * Build the error a provider throws for a failed upstream request, by HTTP status
+ * @param {string} providerName - Provider that failed
+ * @param {number|null} status - Upstream HTTP status, or null if no response was received
+ * @param {string} message - Upstream error message
+ * @param {string} [apiKey] - Key used for the request, removed from the message in case it was echoed
+ * @returns {ApiError} - INVALID_API_KEY, PROVIDER_QUOTA_EXCEEDED or PROVIDER_ERROR
+ */
+function providerError(providerName, status, message, apiKey) {
+  message = redactSecrets(message, [apiKey]);
+  const details = { provider: providerName, status, message };
+  if (status === 401 || status === 403) {
+    return new ApiError('INVALID_API_KEY', `${providerName} rejected the API key. Please check your API key and try again.`, details);
+  }
+  if (status === 429) {
+    return new ApiError('PROVIDER_QUOTA_EXCEEDED', `${providerName} quota limit reached. Please try again later.`, details);
+  }
+  return new ApiError('PROVIDER_ERROR', `${providerName} request failed: ${message}`, details);
+}
+
+/**
+ * Turn anything thrown while handling a request into an ApiError
+ * @param {Error} error - Thrown error
+ * @returns {ApiError} - The error itself, or its closest typed equivalent; unexpected errors become
+ *   INTERNAL_ERROR with a generic message
+ */
+function toApiError(error) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  // Upload limits and filters in multer
+  if (error.name === 'MulterError') {
+    return new ApiError(error.code === 'LIMIT_FILE_SIZE' ? 'PAYLOAD_TOO_LARGE' : 'INVALID_UPLOAD', error.message);
+  }
+  // Body parser failures from express.json
+  if (error.type === 'entity.too.large') {
+    return new ApiError('PAYLOAD_TOO_LARGE', 'Request body is too large');
+  }
+  if (error.type === 'entity.parse.failed') {
+    return new ApiError('INVALID_REQUEST', 'Request body is not valid JSON');
+  }
+  // Anything else is a fault of ours; its message stays in the server log, not in the response
+  return new ApiError('INTERNAL_ERROR', ERROR_CODES.INTERNAL_ERROR.title);
+}
+
+/**
+ * Response body for an error
+ * @param {ApiError} error - Error to describe
+ * @param {boolean} [legacy] - Use the flat { error, message, code, details } body of the deprecated routes
+ * @returns {Object} - { error: { code, message, details } }, or the legacy body
+ */
+function errorBody(error, legacy = false) {
+  const body = legacy
+    ? { error: ERROR_CODES[error.code].title, message: error.message, code: error.code }
+    : { code: error.code, message: error.message };
+  if (error.details !== undefined) {
+    body.details = error.details;
+  }
+  return legacy ? body : { error: body };
+}
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  redactSecrets,
+  providerError,
+  toApiError,
+  errorBody
+};
@@ -0,0 +1,57 @@
+// apiErrors.test.js - Typed errors, upstream failures, redacted secrets and the error response bodies
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ApiError, redactSecrets, providerError, toApiError, errorBody } = require('./apiErrors');
+
+test('errors take their status from the code, and unknown codes are internal errors', () => {
+  const error = new ApiError('CONFLICT', 'Taken', { field: 'name' });
+  assert.deepStrictEqual([error.code, error.status, error.details], ['CONFLICT', 409, { field: 'name' }]);
+  const unknown = new ApiError('TEAPOT', 'Short');
+  assert.deepStrictEqual([unknown.code, unknown.status], ['INTERNAL_ERROR', 500]);
+});
+
+test('upstream failures are typed by their HTTP status', () => {
+  assert.strictEqual(providerError('gemini', 401, 'denied').code, 'INVALID_API_KEY');
+  assert.strictEqual(providerError('gemini', 403, 'denied').code, 'INVALID_API_KEY');
+  assert.strictEqual(providerError('gemini', 429, 'slow down').code, 'PROVIDER_QUOTA_EXCEEDED');
+  const error = providerError('openai', 500, 'boom');
+  assert.deepStrictEqual([error.code, error.status, error.message], ['PROVIDER_ERROR', 502, 'openai request failed: boom']);
+  assert.deepStrictEqual(error.details, { provider: 'openai', status: 500, message: 'boom' });
+});
+
+test('upload, body parser and unexpected errors get their closest code', () => {
+  const multer = code => Object.assign(new Error(code), { name: 'MulterError', code });
+  assert.strictEqual(toApiError(multer('LIMIT_FILE_SIZE')).code, 'PAYLOAD_TOO_LARGE');
+  assert.strictEqual(toApiError(multer('LIMIT_UNEXPECTED_FILE')).code, 'INVALID_UPLOAD');
+  assert.strictEqual(toApiError(Object.assign(new Error('big'), { type: 'entity.too.large' })).code, 'PAYLOAD_TOO_LARGE');
+  assert.strictEqual(toApiError(Object.assign(new Error('bad'), { type: 'entity.parse.failed' })).code, 'INVALID_REQUEST');
+  const internal = toApiError(new Error('ENOENT: no such file, open /srv/app/data/cache.json'));
+  assert.deepStrictEqual([internal.code, internal.message], ['INTERNAL_ERROR', 'Internal server error']);
+
+  const typed = new ApiError('NOT_FOUND', 'Gone');
+  assert.strictEqual(toApiError(typed), typed);
+});
+
+test('bodies are nested for v1 routes and flat for deprecated ones', () => {
+  const error = new ApiError('NOT_FOUND', 'No such entry', { id: 'x' });
+  assert.deepStrictEqual(errorBody(error), { error: { code: 'NOT_FOUND', message: 'No such entry', details: { id: 'x' } } });
+  assert.deepStrictEqual(errorBody(new ApiError('NOT_FOUND', 'No such entry'), true), { error: 'Not found', message: 'No such entry', code: 'NOT_FOUND' });
+});
+
+test('keys and tokens are redacted from text, keeping what precedes them', () => {
+  const key = `AIza${'x'.repeat(35)}`;
+  assert.strictEqual(redactSecrets(`bad key ${key}`), 'bad key [REDACTED]');
+  assert.strictEqual(redactSecrets('use sk-proj-abc123456789 here'), 'use [REDACTED] here');
+  assert.strictEqual(redactSecrets('Authorization: Bearer abc.def'), 'Authorization: Bearer [REDACTED]');
+  assert.strictEqual(redactSecrets('GET /models?key=abc&api_key=def&page=2'), 'GET /models?key=[REDACTED]&api_key=[REDACTED]&page=2');
+  assert.strictEqual(redactSecrets('echoed my-own-key twice: my-own-key', ['my-own-key', 'abc']), 'echoed [REDACTED] twice: [REDACTED]');
+  assert.strictEqual(redactSecrets('abc stays', ['abc']), 'abc stays');
+});
+
+test('messages of errors and upstream failures never carry the key', () => {
+  assert.strictEqual(new ApiError('INVALID_REQUEST', 'Bearer leaked-token').message, 'Bearer [REDACTED]');
+  const error = providerError('openai', 500, 'key custom-key-1234 is over budget', 'custom-key-1234');
+  assert.strictEqual(error.details.message, 'key [REDACTED] is over budget');
+  assert.doesNotMatch(error.message, /custom-key-1234/);
+});
@@ -0,0 +1,375 @@
+// batchJobs.js - Queued batch jobs that answer every question in a set of images and PDFs
+
+const crypto = require('crypto');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const config = require('./config');
+const { toCsvField } = require('./csv');
+
+const MAX_ACTIVE_JOBS = 5; // Queued or running jobs at any one time
+const JOB_TTL = 60 * 60 * 1000; // Forget finished jobs after an hour
+
+// Map of job id to job; see createJob for the shape
+const jobs = new Map();
+// Pages waiting for a worker, as { job, page }
+const queue = [];
+let running = 0;
+// Slots taken by requests still reading their files, which count as active jobs
+let reservedSlots = 0;
+let resumeTimer = null;
+let stopped = false; // Set when the server shuts down; no more pages are started
+
+/**
+ * Split a PDF into the text of each page
+ * @param {Buffer} buffer - PDF data
+ * @returns {Promise<string[]>} - Text of each page, in order; empty for pages without a text layer
+ */
+async function extractPdfPages(buffer) {
+  const pages = [];
+  // The bundled pdf.js reads the whole underlying ArrayBuffer, which small Buffers share with
+  // other data, so hand it a copy that starts at offset 0
+  await pdfParse(new Uint8Array(buffer), {
+    // Same line handling as pdf-parse's default renderer, collected per page
+    pagerender: pageData => pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+      .then(textContent => {
+        let lastY;
+        let text = '';
+        for (const item of textContent.items) {
+          text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+          lastY = item.transform[5];
+        }
+        pages.push(text.trim());
+        return text;
+      })
+  });
+  return pages;
+}
+
+/**
+ * Take one of the MAX_ACTIVE_JOBS slots for a job about to be created, so requests reading their
+ * files at the same time can't queue more jobs between them. Release the slot once the job is
+ * created, or when the request fails
+ * @returns {Function|null} - Releases the slot; null if every slot is taken by queued, running or
+ *   reserved jobs
+ */
+function reserveJob() {
+  const active = [...jobs.values()].filter(job => job.status === 'queued' || job.status === 'running');
+  if (active.length + reservedSlots >= MAX_ACTIVE_JOBS) {
+    return null;
+  }
+
+  reservedSlots++;
+  let released = false;
+  return () => {
+    if (!released) {
+      released = true;
+      reservedSlots--;
+    }
+  };
+}
+
+/**
+ * Queue a job
+ * @param {Object} options - Job options
+ * @param {Object[]} options.pages - Pages to answer, each { file, page, source } where source is passed
+ *   to processPage, or { file, page, error } for pages that can't be answered
+ * @param {Function} options.processPage - Resolves to the structured answers for a page's source
+ * @param {Function} [options.releaseSource] - Called with a page's source once it is no longer needed,
+ *   e.g. to remove a spooled file
+ * @param {Function} [options.acquireQuota] - Called before each page is started; returns 0 once the page
+ *   has been charged to the job's quota, or the milliseconds to wait before asking again
+ * @param {Object} [options.meta] - Extra fields shown in the job status, such as provider and model
+ * @returns {Object} - Job status from getJob
+ */
+function createJob({ pages, processPage, releaseSource = null, acquireQuota = () => 0, meta = {} }) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    meta,
+    processPage,
+    releaseSource,
+    acquireQuota,
+    pages: pages.map((page, index) => ({
+      index,
+      file: page.file,
+      page: page.page,
+      source: page.error ? null : page.source,
+      status: page.error ? 'failed' : 'queued',
+      error: page.error || null,
+      answers: []
+    }))
+  };
+  jobs.set(job.id, job);
+
+  job.pages.filter(page => page.status === 'queued').forEach(page => queue.push({ job, page }));
+  finishIfDone(job);
+  pump();
+  return getJob(job.id);
+}
+
+/**
+ * Start queued pages while workers and quota allow. Jobs out of quota keep their place in the queue
+ * while pages of other jobs go ahead, and the queue is pumped again once the soonest of them can continue
+ * @returns {void}
+ */
+function pump() {
+  if (stopped) {
+    return;
+  }
+  const waiting = new Map(); // Job to milliseconds until its quota allows another page
+  const concurrency = config.get().limits.batchConcurrency;
+  for (let index = 0; running < concurrency && index < queue.length;) {
+    const { job, page } = queue[index];
+    if (job.status === 'cancelled') {
+      queue.splice(index, 1);
+      continue;
+    }
+
+    const wait = waiting.has(job) ? waiting.get(job) : job.acquireQuota();
+    if (wait > 0) {
+      waiting.set(job, wait);
+      index++;
+      continue;
+    }
+
+    queue.splice(index, 1);
+    running++;
+    runPage(job, page).finally(() => {
+      running--;
+      pump();
+    });
+  }
+
+  if (waiting.size > 0) {
+    clearTimeout(resumeTimer);
+    resumeTimer = setTimeout(() => {
+      resumeTimer = null;
+      pump();
+    }, Math.min(...waiting.values()));
+    resumeTimer.unref();
+  }
+}
+
+/**
+ * Answer one page, recording its answers or error on the job
+ * @param {Object} job - Job the page belongs to
+ * @param {Object} page - Page to answer
+ * @returns {Promise<void>}
+ */
+async function runPage(job, page) {
+  page.status = 'running';
+  job.status = 'running';
+  job.updatedAt = new Date().toISOString();
+
+  try {
+    page.answers = await job.processPage(page.source);
+    page.status = 'done';
+  } catch (error) {
+    page.status = 'failed';
+    page.error = error.message;
+  }
+
+  // The source is only needed until the page has been answered
+  dropSource(job, page);
+  job.updatedAt = new Date().toISOString();
+  finishIfDone(job);
+}
+
+/**
+ * Let go of a page's source, handing it to the job's releaseSource callback
+ * @param {Object} job - Job the page belongs to
+ * @param {Object} page - Page whose source is no longer needed
+ * @returns {void}
+ */
+function dropSource(job, page) {
+  if (page.source && job.releaseSource) {
+    job.releaseSource(page.source);
+  }
+  page.source = null;
+}
+
+/**
+ * Mark a job completed once none of its pages are waiting or running
+ * @param {Object} job - Job to check
+ * @returns {void}
+ */
+function finishIfDone(job) {
+  if (job.status === 'cancelled' || job.pages.some(page => page.status === 'queued' || page.status === 'running')) {
+    return;
+  }
+  job.status = 'completed';
+  job.finishedAt = new Date().toISOString();
+  job.updatedAt = job.finishedAt;
+}
+
+/**
+ * Get a job's progress without its page data
+ * @param {string} id - Job id
+ * @returns {Object|null} - Job status, or null if there is no such job
+ */
+function getJob(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    return null;
+  }
+
+  const finished = job.pages.filter(page => page.status === 'done' || page.status === 'failed');
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
+    ...job.meta,
+    totalPages: job.pages.length,
+    completedPages: finished.length,
+    failedPages: job.pages.filter(page => page.status === 'failed').length,
+    progress: job.pages.length > 0 ? finished.length / job.pages.length : 1,
+    questions: job.pages.reduce((sum, page) => sum + page.answers.length, 0),
+    pages: job.pages.map(page => ({
+      file: page.file,
+      page: page.page,
+      status: page.status,
+      error: page.error,
+      questions: page.answers.length
+    }))
+  };
+}
+
+/**
+ * Cancel a job's remaining pages; pages already being answered still finish
+ * @param {string} id - Job id
+ * @returns {Object|null} - Job status, or null if there is no such job
+ */
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    return null;
+  }
+
+  if (job.status === 'queued' || job.status === 'running') {
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    job.updatedAt = job.finishedAt;
+    job.pages.filter(page => page.status === 'queued').forEach(page => {
+      page.status = 'skipped';
+      dropSource(job, page);
+    });
+  }
+  return getJob(id);
+}
+
+/**
+ * List the sources of pages still waiting or being answered, in every job
+ * @returns {Object[]} - Page sources, as passed to createJob
+ */
+function listPendingSources() {
+  return [...jobs.values()].flatMap(job => job.pages.filter(page => page.source).map(page => page.source));
+}
+
+/**
+ * Flatten a job into one row per answered question, plus one per failed page
+ * @param {Object} job - Job to flatten
+ * @returns {Object[]} - Result rows
+ */
+function getResultRows(job) {
+  const rows = [];
+  for (const page of job.pages) {
+    if (page.status === 'failed') {
+      rows.push({ file: page.file, page: page.page, number: null, type: null, question: '', options: [], selectedLetters: [], answer: '', confidence: null, historyId: null, error: page.error });
+    }
+    page.answers.forEach((answer, index) => rows.push({
+      file: page.file,
+      page: page.page,
+      number: index + 1,
+      type: answer.type,
+      question: answer.question,
+      options: answer.options,
+      selectedLetters: answer.selectedLetters,
+      answer: answer.answer,
+      confidence: answer.confidence,
+      historyId: answer.historyId || null,
+      error: null
+    }));
+  }
+  return rows;
+}
+
+/**
+ * Export a job's answers
+ * @param {string} id - Job id
+ * @param {string} format - 'json' or 'csv'
+ * @returns {Object|null} - { contentType, extension, body }, or null for an unknown job or format
+ */
+function exportJobResults(id, format) {
+  const job = jobs.get(id);
+  if (!job) {
+    return null;
+  }
+  const rows = getResultRows(job);
+
+  switch (format) {
+    case 'json':
+      return {
+        contentType: 'application/json',
+        extension: 'json',
+        body: JSON.stringify({ job: getJob(id), results: rows }, null, 2)
+      };
+    case 'csv': {
+      const columns = ['file', 'page', 'number', 'type', 'question', 'options', 'selectedLetters', 'answer', 'confidence', 'error'];
+      const lines = rows.map(row => columns
+        .map(column => toCsvField(Array.isArray(row[column]) ? row[column].join('\n') : row[column]))
+        .join(','));
+      return {
+        contentType: 'text/csv',
+        extension: 'csv',
+        body: [columns.join(','), ...lines].join('\r\n')
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Forget jobs that finished more than JOB_TTL ago
+ * @returns {void}
+ */
+function pruneFinishedJobs() {
+  const now = Date.now();
+  for (const [id, job] of jobs.entries()) {
+    if (job.finishedAt && now - Date.parse(job.finishedAt) > JOB_TTL) {
+      jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Stop answering pages, when the server shuts down. Jobs still queued or running are cancelled;
+ * pages already being answered still finish
+ * @returns {void}
+ */
+function stopJobs() {
+  stopped = true;
+  clearTimeout(resumeTimer);
+  clearInterval(pruneTimer);
+  [...jobs.keys()].forEach(cancelJob);
+}
+
+// Prune finished jobs every five minutes
+const pruneTimer = setInterval(pruneFinishedJobs, 5 * 60 * 1000);
+pruneTimer.unref();
+
+module.exports = {
+  extractPdfPages,
+  reserveJob,
+  createJob,
+  getJob,
+  cancelJob,
+  listPendingSources,
+  exportJobResults,
+  stopJobs
+};
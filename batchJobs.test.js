@@ -0,0 +1,151 @@
+// batchJobs.test.js - Splitting PDFs, queueing pages, cancelling jobs and exporting their answers
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Answer one page at a time, so the order pages start in is known
+process.env.BATCH_CONCURRENCY = '1';
+const batchJobs = require('./batchJobs');
+
+test.after(() => batchJobs.stopJobs());
+
+/**
+ * Build a PDF with one line of text on each page. There is no cross-reference table; pdf.js indexes the objects itself
+ * @param {string[]} texts - Text of each page
+ * @returns {Buffer} - PDF data
+ */
+function makePdf(texts) {
+  const objects = ['<< /Type /Catalog /Pages 2 0 R >>', ''];
+  const kids = [];
+  texts.forEach(text => {
+    const content = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+    objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents ${objects.length} 0 R /Resources << /Font << /F1 ${2 * texts.length + 3} 0 R >> >> >>`);
+    kids.push(`${objects.length} 0 R`);
+  });
+  objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${texts.length} >>`;
+  objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+  const body = objects.map((object, index) => `${index + 1} 0 obj\n${object}\nendobj\n`).join('');
+  return Buffer.from(`%PDF-1.4\n${body}trailer\n<< /Root 1 0 R /Size ${objects.length + 1} >>\n%%EOF\n`);
+}
+
+/**
+ * Make a page answerer whose answers are given by the test
+ * @returns {Object} - { processPage, started, answer(answers), fail(message) }; answer and fail settle the oldest started page
+ */
+function controlledPages() {
+  const pending = [];
+  const control = {
+    started: [],
+    processPage: source => new Promise((resolve, reject) => {
+      control.started.push(source);
+      pending.push({ resolve, reject });
+    }),
+    answer: answers => pending.shift().resolve(answers),
+    fail: message => pending.shift().reject(new Error(message))
+  };
+  return control;
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+const answer = (question, fields = {}) => ({ type: 'multiple_choice', question, options: ['Yes', 'No'], selectedLetters: ['A'], answer: 'Yes', confidence: 0.9, ...fields });
+
+test('PDFs are split into the text of each page', async () => {
+  assert.deepStrictEqual(await batchJobs.extractPdfPages(makePdf(['First page', 'Second page'])), ['First page', 'Second page']);
+});
+
+test('pages are answered in order, failures are kept per page and sources released once used', async () => {
+  const pages = controlledPages();
+  const released = [];
+  const job = batchJobs.createJob({
+    pages: [{ file: 'a.png', page: 1, source: 'a' }, { file: 'b.pdf', page: 1, error: 'Unreadable' }, { file: 'b.pdf', page: 2, source: 'b2' }],
+    processPage: pages.processPage,
+    releaseSource: source => released.push(source),
+    meta: { provider: 'gemini' }
+  });
+  assert.strictEqual(job.provider, 'gemini');
+  assert.strictEqual(job.failedPages, 1);
+  assert.deepStrictEqual(pages.started, ['a']);
+  assert.deepStrictEqual(batchJobs.listPendingSources(), ['a', 'b2']);
+
+  pages.answer([answer('One?'), answer('Two?')]);
+  await settle();
+  assert.deepStrictEqual(released, ['a']);
+  assert.deepStrictEqual(pages.started, ['a', 'b2']);
+
+  pages.fail('Model timed out');
+  await settle();
+  const done = batchJobs.getJob(job.id);
+  assert.strictEqual(done.status, 'completed');
+  assert.deepStrictEqual([done.completedPages, done.failedPages, done.questions, done.progress], [3, 2, 2, 1]);
+  assert.strictEqual(done.pages[2].error, 'Model timed out');
+  assert.deepStrictEqual(released, ['a', 'b2']);
+  assert.deepStrictEqual(batchJobs.listPendingSources(), []);
+});
+
+test('cancelling skips the waiting pages and releases their sources, while the running page finishes', async () => {
+  const pages = controlledPages();
+  const released = [];
+  const job = batchJobs.createJob({
+    pages: [{ file: 'a.png', page: 1, source: 'a' }, { file: 'b.png', page: 1, source: 'b' }],
+    processPage: pages.processPage,
+    releaseSource: source => released.push(source)
+  });
+
+  const cancelled = batchJobs.cancelJob(job.id);
+  assert.strictEqual(cancelled.status, 'cancelled');
+  assert.deepStrictEqual(cancelled.pages.map(page => page.status), ['running', 'skipped']);
+  assert.deepStrictEqual(released, ['b']);
+
+  pages.answer([answer('One?')]);
+  await settle();
+  assert.deepStrictEqual(pages.started, ['a']);
+  assert.strictEqual(batchJobs.getJob(job.id).status, 'cancelled');
+  assert.strictEqual(batchJobs.getJob(job.id).questions, 1);
+  assert.strictEqual(batchJobs.cancelJob('missing'), null);
+});
+
+test('results export as CSV with one row per question or failed page, and as JSON', async () => {
+  const pages = controlledPages();
+  const job = batchJobs.createJob({
+    pages: [{ file: 'quiz, part 1.png', page: 1, source: 'a' }, { file: 'b.png', page: 1, error: 'Unreadable' }],
+    processPage: pages.processPage
+  });
+  pages.answer([answer('Say "yes"?'), answer('Link?', { answer: '=HYPERLINK("http://example.com")' })]);
+  await settle();
+
+  const csv = batchJobs.exportJobResults(job.id, 'csv');
+  assert.strictEqual(csv.contentType, 'text/csv');
+  assert.deepStrictEqual(csv.body.split('\r\n'), [
+    'file,page,number,type,question,options,selectedLetters,answer,confidence,error',
+    '"quiz, part 1.png",1,1,multiple_choice,"Say ""yes""?","Yes\nNo",A,Yes,0.9,',
+    '"quiz, part 1.png",1,2,multiple_choice,Link?,"Yes\nNo",A,"\'=HYPERLINK(""http://example.com"")",0.9,',
+    'b.png,1,,,,,,,,Unreadable'
+  ]);
+
+  const json = JSON.parse(batchJobs.exportJobResults(job.id, 'json').body);
+  assert.strictEqual(json.job.id, job.id);
+  assert.strictEqual(json.results.length, 3);
+  assert.strictEqual(batchJobs.exportJobResults(job.id, 'xml'), null);
+  assert.strictEqual(batchJobs.exportJobResults('missing', 'csv'), null);
+});
+
+test('no more jobs are taken while five are active or reserved', () => {
+  const pages = controlledPages();
+  const reserved = [];
+  let release;
+  while ((release = batchJobs.reserveJob())) {
+    reserved.push(release);
+  }
+  assert.ok(reserved.length > 0 && reserved.length <= 5);
+
+  // A released slot can be taken again, and a created job keeps the slot it was reserved for
+  reserved.pop()();
+  release = batchJobs.reserveJob();
+  batchJobs.createJob({ pages: [{ file: 'a.png', page: 1, source: 'a' }], processPage: pages.processPage });
+  release();
+  release();
+  assert.strictEqual(batchJobs.reserveJob(), null);
+  reserved.forEach(releaseSlot => releaseSlot());
+});
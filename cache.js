@@ -0,0 +1,213 @@
+// cache.js - Persistent answer cache backed by data/cache.json
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const CACHE_FILE = path.join(__dirname, 'data', 'cache.json');
+const DEFAULT_MAX_CACHE_SIZE = 100;
+const SAVE_DELAY = 1000; // Batch writes so bursts of lookups don't hammer the disk
+
+// Timer for the pending write to disk, if any
+let saveTimer = null;
+
+/**
+ * Load the cache from disk, falling back to an empty cache
+ * @returns {Object} - Cache data with questions, lastUpdated and maxCacheSize
+ */
+function loadCache() {
+  try {
+    const data = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
+    return {
+      questions: data.questions || {},
+      lastUpdated: data.lastUpdated || null,
+      maxCacheSize: data.maxCacheSize || DEFAULT_MAX_CACHE_SIZE
+    };
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.error('Error loading answer cache, starting empty', { error: err.message });
+    }
+    return { questions: {}, lastUpdated: null, maxCacheSize: DEFAULT_MAX_CACHE_SIZE };
+  }
+}
+
+const cacheData = loadCache();
+
+/**
+ * Write the cache to disk immediately
+ * @returns {void}
+ */
+function saveCache() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(CACHE_FILE), { recursive: true });
+    fs.writeFileSync(CACHE_FILE, JSON.stringify(cacheData, null, 2));
+  } catch (err) {
+    logger.error('Error saving answer cache', { error: err.message });
+  }
+}
+
+/**
+ * Schedule a write to disk, coalescing repeated changes
+ * @returns {void}
+ */
+function scheduleSave() {
+  if (saveTimer) {
+    return;
+  }
+  saveTimer = setTimeout(saveCache, SAVE_DELAY);
+  // Don't keep the process alive just to flush the cache
+  saveTimer.unref();
+}
+
+/**
+ * Normalize a text question so trivial differences still hit the cache
+ * @param {string} question - The raw question text
+ * @returns {string} - Lowercased question with collapsed whitespace
+ */
+function normalizeQuestion(question) {
+  return String(question)
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Hash the contents of an image
+ * @param {Buffer} image - Image contents
+ * @returns {string} - SHA-256 hex digest of the image bytes
+ */
+function hashImage(image) {
+  return crypto.createHash('sha256').update(image).digest('hex');
+}
+
+/**
+ * Build the cache key for a text question
+ * @param {string} question - The question text
+ * @param {string} modelName - Model that answers the question
+ * @returns {string} - Cache key
+ */
+function getTextCacheKey(question, modelName) {
+  const digest = crypto.createHash('sha256').update(normalizeQuestion(question)).digest('hex');
+  return `${modelName}:text:${digest}`;
+}
+
+/**
+ * Build the cache key for an image question
+ * @param {Buffer} image - Image contents
+ * @param {string} modelName - Model that answers the question
+ * @returns {string} - Cache key
+ */
+function getImageCacheKey(image, modelName) {
+  return `${modelName}:image:${hashImage(image)}`;
+}
+
+/**
+ * The keys an answer to the same question by the same model is cached under with and without
+ * explain mode, which the server marks by adding `:explain` to the model
+ * @param {string} key - Cache key from getTextCacheKey or getImageCacheKey
+ * @returns {string[]} - The key without explain mode, then with it; just the key if it isn't one of ours
+ */
+function getExplainVariantKeys(key) {
+  const match = /^(.*?)(?::explain)?:(text|image):([0-9a-f]+)$/.exec(key);
+  if (!match) {
+    return [key];
+  }
+  const [, model, kind, digest] = match;
+  return [`${model}:${kind}:${digest}`, `${model}:explain:${kind}:${digest}`];
+}
+
+/**
+ * Remove least recently used entries until the cache fits its size limit
+ * @returns {void}
+ */
+function evictLeastRecentlyUsed() {
+  const keys = Object.keys(cacheData.questions);
+  const excess = keys.length - cacheData.maxCacheSize;
+  if (excess <= 0) {
+    return;
+  }
+
+  keys
+    .sort((a, b) => cacheData.questions[a].lastAccessed - cacheData.questions[b].lastAccessed)
+    .slice(0, excess)
+    .forEach(key => delete cacheData.questions[key]);
+}
+
+/**
+ * Look up a cached answer
+ * @param {string} key - Cache key from getTextCacheKey or getImageCacheKey
+ * @returns {string|null} - The cached raw answer, or null on a miss
+ */
+function getCachedAnswer(key) {
+  const entry = cacheData.questions[key];
+  if (!entry) {
+    return null;
+  }
+
+  entry.lastAccessed = Date.now();
+  entry.hits = (entry.hits || 0) + 1;
+  scheduleSave();
+  return entry.answer;
+}
+
+/**
+ * Store an answer in the cache
+ * @param {string} key - Cache key from getTextCacheKey or getImageCacheKey
+ * @param {string} answer - The raw answer returned by the model
+ * @returns {void}
+ */
+function setCachedAnswer(key, answer) {
+  const now = Date.now();
+  cacheData.questions[key] = {
+    answer,
+    createdAt: now,
+    lastAccessed: now,
+    hits: 0
+  };
+  cacheData.lastUpdated = new Date(now).toISOString();
+
+  evictLeastRecentlyUsed();
+  scheduleSave();
+}
+
+/**
+ * Remove an answer from the cache, e.g. once it has been reported wrong
+ * @param {string} key - Cache key from getTextCacheKey or getImageCacheKey
+ * @returns {string|null} - The removed raw answer, or null if there was none
+ */
+function deleteCachedAnswer(key) {
+  const entry = cacheData.questions[key];
+  if (!entry) {
+    return null;
+  }
+
+  delete cacheData.questions[key];
+  cacheData.lastUpdated = new Date().toISOString();
+  scheduleSave();
+  return entry.answer;
+}
+
+// Flush pending writes when the process exits normally
+process.on('exit', () => {
+  if (saveTimer) {
+    saveCache();
+  }
+});
+
+module.exports = {
+  normalizeQuestion,
+  hashImage,
+  getTextCacheKey,
+  getImageCacheKey,
+  getExplainVariantKeys,
+  getCachedAnswer,
+  setCachedAnswer,
+  deleteCachedAnswer,
+  saveCache
+};
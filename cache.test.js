@@ -0,0 +1,53 @@
+// cache.test.js - Answer cache keys and least recently used eviction
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { withMemoryFs } = require('./testUtils');
+
+// Start from a small empty cache, kept in memory
+withMemoryFs('cache.json', { questions: {}, maxCacheSize: 3 });
+
+const cache = require('./cache');
+
+// A clock that moves on a millisecond per reading, so access order is never a tie
+let now = 1000;
+test.mock.method(Date, 'now', () => ++now);
+
+test('text keys ignore case and spacing but not the model', () => {
+  const key = cache.getTextCacheKey('What is  the Capital of France? ', 'gemini/flash');
+  assert.strictEqual(key, cache.getTextCacheKey('what is the capital of france?', 'gemini/flash'));
+  assert.notStrictEqual(key, cache.getTextCacheKey('what is the capital of france?', 'openai/gpt-4o'));
+  assert.match(key, /^gemini\/flash:text:[0-9a-f]{64}$/);
+});
+
+test('image keys hash the bytes', () => {
+  const key = cache.getImageCacheKey(Buffer.from('image'), 'local/llava');
+  assert.strictEqual(key, `local/llava:image:${cache.hashImage(Buffer.from('image'))}`);
+  assert.notStrictEqual(key, cache.getImageCacheKey(Buffer.from('other'), 'local/llava'));
+});
+
+test('explain variants are found from either key, including for models with colons', () => {
+  const plain = cache.getTextCacheKey('q', 'local/llama3:8b');
+  const explained = cache.getTextCacheKey('q', 'local/llama3:8b:explain');
+  assert.deepStrictEqual(cache.getExplainVariantKeys(plain), [plain, explained]);
+  assert.deepStrictEqual(cache.getExplainVariantKeys(explained), [plain, explained]);
+  assert.deepStrictEqual(cache.getExplainVariantKeys('not a key'), ['not a key']);
+});
+
+test('answers are stored, read and deleted', () => {
+  cache.setCachedAnswer('k1', 'one');
+  assert.strictEqual(cache.getCachedAnswer('k1'), 'one');
+  assert.strictEqual(cache.deleteCachedAnswer('k1'), 'one');
+  assert.strictEqual(cache.getCachedAnswer('k1'), null);
+  assert.strictEqual(cache.deleteCachedAnswer('k1'), null);
+});
+
+test('the least recently used answer is evicted when the cache is full', () => {
+  cache.setCachedAnswer('a', 'A');
+  cache.setCachedAnswer('b', 'B');
+  cache.setCachedAnswer('c', 'C');
+  cache.getCachedAnswer('a');
+  cache.setCachedAnswer('d', 'D');
+  assert.strictEqual(cache.getCachedAnswer('b'), null);
+  assert.deepStrictEqual(['a', 'c', 'd'].map(cache.getCachedAnswer), ['A', 'C', 'D']);
+});
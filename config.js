@@ -0,0 +1,394 @@
+// config.js - Server settings from config.json, overridden by environment variables and reloaded when the file changes
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const CONFIG_FILE = path.resolve(__dirname, process.env.CONFIG_FILE || 'config.json');
+const RELOAD_INTERVAL = 2000; // How often the file is checked for changes
+
+// Prompt templates. {{placeholders}} are filled in when the prompt is built: {{question}} or {{text}}
+// with what is being asked, {{typeInstructions}} with the question type rules from questionTypes.js,
+// and {{responseInstructions}} with the JSON format the answer parser expects
+const DEFAULT_PROMPTS = {
+  textQuestion: `Quiz question: "{{question}}"
+Identify the correct answer(s). If there are choices, only pick from them.
+{{typeInstructions}}
+{{responseInstructions}}`,
+  imageQuestion: `Quiz question image. Read the question and identify the correct answer(s). If there are choices, only pick from them.
+{{typeInstructions}}
+{{responseInstructions}}`,
+  detect: 'Is this a quiz question image? Answer only yes/no.',
+  detectAndAnswer: `Screenshot that may contain a quiz question.
+{{typeInstructions}}
+{{responseInstructions}}`,
+  detectAndAnswerText: `Text read from a screenshot that may contain a quiz question:
+"""
+{{text}}
+"""
+{{typeInstructions}}
+{{responseInstructions}}`,
+  batchImage: `Quiz page image. Read every question on it and identify the correct answer(s). If there are choices, only pick from them.
+{{typeInstructions}}
+{{responseInstructions}}`,
+  batchText: `Quiz page text:
+"""
+{{text}}
+"""
+Identify the correct answer(s) to every question. If there are choices, only pick from them.
+{{typeInstructions}}
+{{responseInstructions}}`
+};
+
+// Placeholders each prompt must keep for its answers to be usable
+const REQUIRED_PLACEHOLDERS = {
+  textQuestion: ['question', 'responseInstructions'],
+  imageQuestion: ['responseInstructions'],
+  detect: [],
+  detectAndAnswer: ['responseInstructions'],
+  detectAndAnswerText: ['text', 'responseInstructions'],
+  batchImage: ['responseInstructions'],
+  batchText: ['text', 'responseInstructions']
+};
+
+// Every setting, grouped by section: its type, default, allowed range and the environment
+// variable that overrides it
+const SCHEMA = {
+  server: {
+    port: { type: 'integer', default: 3000, min: 1, max: 65535, env: 'PORT', description: 'Port to listen on; read at startup only' },
+    shutdownTimeoutSeconds: { type: 'integer', default: 30, min: 0, max: 600, env: 'SHUTDOWN_TIMEOUT_SECONDS', description: 'How long a stopping server waits for model calls in flight to finish' }
+  },
+  models: {
+    provider: { type: 'string', default: 'gemini', values: ['gemini', 'openai', 'local'], env: 'MODEL_PROVIDER', description: 'Provider used when a request names none' },
+    gemini: { type: 'string', default: 'gemini-2.0-flash-lite', env: 'GEMINI_MODEL', description: 'Default Gemini model' },
+    openai: { type: 'string', default: 'gpt-4o-mini', env: 'OPENAI_MODEL', description: 'Default model of the openai provider' },
+    local: { type: 'string', default: 'llava', env: 'LOCAL_MODEL', description: 'Default model of the local provider' },
+    choices: {
+      type: 'choices',
+      default: [{ model: 'gemini-2.0-flash-lite', label: 'Faster' }, { model: 'gemini-2.0-flash', label: 'Balanced' }],
+      env: 'MODEL_CHOICES',
+      description: 'Models offered in the settings of the web interface, fastest first; also the models consensus mode asks there'
+    }
+  },
+  limits: {
+    uploadMb: { type: 'number', default: 5, min: 0.1, max: 100, env: 'UPLOAD_LIMIT_MB', description: 'Largest image accepted by /answer and /monitor/frames' },
+    batchUploadMb: { type: 'number', default: 20, min: 0.1, max: 500, env: 'BATCH_UPLOAD_LIMIT_MB', description: 'Largest file accepted by /batch' },
+    batchFiles: { type: 'integer', default: 20, min: 1, max: 200, env: 'BATCH_MAX_FILES', description: 'Files per batch job' },
+    batchPages: { type: 'integer', default: 100, min: 1, max: 5000, env: 'BATCH_MAX_PAGES', description: 'Pages per batch job' },
+    batchConcurrency: { type: 'integer', default: 2, min: 1, max: 20, env: 'BATCH_CONCURRENCY', description: 'Batch pages answered at the same time' },
+    batchSpoolThresholdMb: { type: 'number', default: 0, min: 0, env: 'BATCH_SPOOL_THRESHOLD_MB', description: 'Batch jobs larger than this keep page images on disk; 0 never does' }
+  },
+  quotas: {
+    defaultPerMinute: { type: 'integer', default: 30, min: 1, env: 'DEFAULT_MODEL_RATE_LIMIT', description: 'Model calls per minute per key' },
+    models: { type: 'modelLimits', default: {}, env: 'MODEL_RATE_LIMITS', description: 'Per-model calls per minute, overriding defaultPerMinute' },
+    requestsPerIp: { type: 'integer', default: 100, min: 1, env: 'IP_RATE_LIMIT', description: 'Requests of any kind per IP address per 15 minutes' }
+  },
+  retries: {
+    max: { type: 'integer', default: 3, min: 0, max: 10, env: 'MAX_RETRIES', description: 'Retries of a model call the provider refused for quota' },
+    initialDelayMs: { type: 'integer', default: 1000, min: 0, max: 60000, env: 'RETRY_DELAY_MS', description: 'Wait before the first retry, doubling after each' },
+    maxDelayMs: { type: 'integer', default: 10000, min: 0, max: 300000, env: 'RETRY_MAX_DELAY_MS', description: 'Longest wait between retries' }
+  },
+  monitoring: {
+    minIntervalMs: { type: 'integer', default: 2000, min: 500, env: 'MONITORING_MIN_INTERVAL_MS', description: 'Shortest time between screen captures' },
+    maxIntervalMs: { type: 'integer', default: 30000, min: 500, env: 'MONITORING_MAX_INTERVAL_MS', description: 'Longest time between screen captures while quota is low' },
+    frameChangeThreshold: { type: 'integer', default: 24, min: 0, max: 4096, env: 'FRAME_CHANGE_THRESHOLD', description: 'Differing hash bits (of 4096) up to which frames count as unchanged' }
+  },
+  consensus: {
+    models: { type: 'list', default: [], env: 'CONSENSUS_MODELS', description: 'Models consensus asks by default; empty asks the request\'s model' },
+    maxCalls: { type: 'integer', default: 5, min: 2, max: 20, env: 'CONSENSUS_MAX_CALLS', description: 'Model calls one consensus request may make' },
+    defaultSamples: { type: 'integer', default: 3, min: 2, max: 20, env: 'CONSENSUS_SAMPLES', description: 'Calls made when consensus has one model to ask' }
+  },
+  sessions: {
+    idleMinutes: { type: 'integer', default: 30, min: 1, max: 720, env: 'SESSION_IDLE_MINUTES', description: 'Sessions end after this long unused' }
+  },
+  images: {
+    preprocess: { type: 'boolean', default: true, env: 'IMAGE_PREPROCESS', description: 'false sends images as uploaded, converting only GIF and BMP' },
+    maxDimension: { type: 'integer', default: 1600, min: 64, max: 8000, env: 'IMAGE_MAX_DIMENSION', description: 'Longest side in pixels' },
+    format: { type: 'string', default: 'jpeg', values: ['jpeg', 'webp', 'png'], env: 'IMAGE_FORMAT', description: 'Format images are re-encoded in' },
+    quality: { type: 'integer', default: 80, min: 1, max: 100, env: 'IMAGE_QUALITY', description: 'JPEG and WebP quality' },
+    trim: { type: 'boolean', default: true, env: 'IMAGE_TRIM', description: 'Trim uniform borders' },
+    grayscale: { type: 'boolean', default: false, env: 'IMAGE_GRAYSCALE', description: 'Convert to grayscale' },
+    contrast: { type: 'boolean', default: false, env: 'IMAGE_CONTRAST', description: 'Stretch contrast' }
+  },
+  ocr: {
+    enabled: { type: 'boolean', default: false, env: 'OCR_ENABLED', description: 'Read the text of images locally first, and ask the model with the text when it reads well' },
+    minConfidence: { type: 'integer', default: 85, min: 0, max: 100, env: 'OCR_MIN_CONFIDENCE', description: 'OCR confidence, in percent, needed to send the text instead of the image' },
+    minCharacters: { type: 'integer', default: 15, min: 1, env: 'OCR_MIN_CHARACTERS', description: 'Fewest characters, not counting spaces, worth sending as text' }
+  },
+  prompts: Object.fromEntries(Object.entries(DEFAULT_PROMPTS).map(([name, template]) => [name, {
+    type: 'prompt',
+    default: template,
+    placeholders: REQUIRED_PLACEHOLDERS[name]
+  }]))
+};
+
+let current = null;
+let loadedAt = null;
+
+/**
+ * Check a value against its setting and convert it to the stored form
+ * @param {*} value - Value from the file, or a string from the environment
+ * @param {Object} spec - Setting from SCHEMA
+ * @param {boolean} fromEnv - Whether the value is an environment variable, to be parsed from text
+ * @returns {Object} - { value } or { error } saying what is wrong
+ */
+function parseValue(value, spec, fromEnv) {
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      const number = fromEnv ? Number(String(value).trim()) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number) || (spec.type === 'integer' && !Number.isInteger(number))) {
+        return { error: `must be a ${spec.type === 'integer' ? 'whole number' : 'number'}` };
+      }
+      if ((spec.min !== undefined && number < spec.min) || (spec.max !== undefined && number > spec.max)) {
+        return { error: `must be ${spec.max === undefined ? `at least ${spec.min}` : `from ${spec.min} to ${spec.max}`}` };
+      }
+      return { value: number };
+    }
+    case 'boolean': {
+      const flag = fromEnv ? { true: true, false: false }[String(value).trim().toLowerCase()] : value;
+      return typeof flag === 'boolean' ? { value: flag } : { error: 'must be true or false' };
+    }
+    case 'string': {
+      const text = typeof value === 'string' ? value.trim() : null;
+      if (!text) {
+        return { error: 'must be a non-empty string' };
+      }
+      if (spec.values && !spec.values.includes(text)) {
+        return { error: `must be one of ${spec.values.join(', ')}` };
+      }
+      return { value: text };
+    }
+    case 'list': {
+      const list = fromEnv ? String(value).split(',') : value;
+      if (!Array.isArray(list) || !list.every(item => typeof item === 'string')) {
+        return { error: 'must be a list of strings' };
+      }
+      return { value: list.map(item => item.trim()).filter(Boolean) };
+    }
+    case 'modelLimits': {
+      // The environment form is "gemini-1.5-pro=2,gpt-4o-mini=60"
+      let limits = value;
+      if (fromEnv) {
+        limits = {};
+        for (const entry of String(value).split(',').map(item => item.trim()).filter(Boolean)) {
+          const separator = entry.lastIndexOf('=');
+          if (separator <= 0) {
+            return { error: `has an entry "${entry}" that isn't model=callsPerMinute` };
+          }
+          limits[entry.slice(0, separator).trim()] = Number(entry.slice(separator + 1));
+        }
+      }
+      if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+        return { error: 'must map model names to calls per minute' };
+      }
+      const invalid = Object.entries(limits).find(([, limit]) => !Number.isInteger(limit) || limit < 1);
+      return invalid ? { error: `must give ${invalid[0]} a whole number of calls per minute of at least 1` } : { value: { ...limits } };
+    }
+    case 'choices': {
+      // The environment form is "gemini-2.0-flash-lite=Faster,gemini-2.0-flash=Balanced"
+      const choices = fromEnv
+        ? String(value).split(',').map(item => item.trim()).filter(Boolean).map(entry => {
+          const separator = entry.lastIndexOf('=');
+          return separator > 0
+            ? { model: entry.slice(0, separator).trim(), label: entry.slice(separator + 1).trim() }
+            : { model: entry, label: entry };
+        })
+        : value;
+      if (!Array.isArray(choices) || choices.length === 0
+        || !choices.every(choice => choice && typeof choice.model === 'string' && choice.model.trim() && typeof choice.label === 'string')) {
+        return { error: 'must be a non-empty list of { "model", "label" } objects' };
+      }
+      return { value: choices.map(choice => ({ model: choice.model.trim(), label: choice.label.trim() || choice.model.trim() })) };
+    }
+    case 'prompt': {
+      // Multi-line prompts may be written as an array of lines
+      const template = Array.isArray(value) && value.every(line => typeof line === 'string') ? value.join('\n') : value;
+      if (typeof template !== 'string' || !template.trim()) {
+        return { error: 'must be a string or a list of lines' };
+      }
+      const missing = spec.placeholders.filter(name => !template.includes(`{{${name}}}`));
+      return missing.length > 0
+        ? { error: `must contain ${missing.map(name => `{{${name}}}`).join(' and ')}` }
+        : { value: template };
+    }
+    default:
+      return { error: 'has an unknown type' };
+  }
+}
+
+/**
+ * Build the configuration from the defaults, the file and the environment, in increasing priority
+ * @param {Object} fileConfig - Parsed config file, or {} when there is none
+ * @returns {Object} - The validated configuration
+ * @throws {Error} - Listing every invalid or unknown setting
+ */
+function buildConfig(fileConfig) {
+  const errors = [];
+  const config = {};
+
+  Object.keys(fileConfig).filter(section => !SCHEMA[section]).forEach(section => errors.push(`Unknown section "${section}"`));
+
+  for (const [section, settings] of Object.entries(SCHEMA)) {
+    const fileSection = fileConfig[section] === undefined ? {} : fileConfig[section];
+    if (!fileSection || typeof fileSection !== 'object' || Array.isArray(fileSection)) {
+      errors.push(`${section} must be an object`);
+      continue;
+    }
+    Object.keys(fileSection).filter(key => !settings[key]).forEach(key => errors.push(`Unknown setting "${section}.${key}"`));
+
+    config[section] = {};
+    for (const [key, spec] of Object.entries(settings)) {
+      let result = { value: spec.default };
+      if (fileSection[key] !== undefined) {
+        result = parseValue(fileSection[key], spec, false);
+        if (result.error) {
+          errors.push(`${section}.${key} ${result.error}`);
+        }
+      }
+      if (spec.env && process.env[spec.env] !== undefined && process.env[spec.env] !== '') {
+        result = parseValue(process.env[spec.env], spec, true);
+        if (result.error) {
+          errors.push(`${spec.env} (${section}.${key}) ${result.error}`);
+        }
+      }
+      config[section][key] = result.value;
+    }
+  }
+
+  if (config.monitoring.minIntervalMs > config.monitoring.maxIntervalMs) {
+    errors.push('monitoring.minIntervalMs must not be larger than monitoring.maxIntervalMs');
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n- ${errors.join('\n- ')}`);
+  }
+  return config;
+}
+
+/**
+ * Read the config file, which is optional
+ * @returns {Object} - Parsed file, or {} if there is none
+ * @throws {Error} - If the file isn't valid JSON
+ */
+function readConfigFile() {
+  let text;
+  try {
+    text = fs.readFileSync(CONFIG_FILE, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return {};
+    }
+    throw err;
+  }
+  try {
+    const parsed = JSON.parse(text);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('the file must hold a JSON object');
+    }
+    return parsed;
+  } catch (err) {
+    throw new Error(`Invalid configuration: ${path.basename(CONFIG_FILE)} is not valid JSON (${err.message})`);
+  }
+}
+
+/**
+ * Freeze an object and everything in it, so code can't change the shared configuration by accident
+ * @param {Object} object - Object to freeze
+ * @returns {Object} - The same object
+ */
+function deepFreeze(object) {
+  Object.values(object).forEach(value => {
+    if (value && typeof value === 'object') {
+      deepFreeze(value);
+    }
+  });
+  return Object.freeze(object);
+}
+
+/**
+ * Load the configuration, replacing the current one only if the new one is valid
+ * @returns {Object} - The configuration now in use
+ * @throws {Error} - If the configuration is invalid
+ */
+function load() {
+  current = deepFreeze(buildConfig(readConfigFile()));
+  loadedAt = new Date();
+  return current;
+}
+
+/**
+ * Get the configuration in use. Read it when a setting is needed rather than keeping a copy,
+ * so changes to the file take effect without a restart
+ * @returns {Object} - The configuration, by section
+ */
+function get() {
+  return current || load();
+}
+
+/**
+ * When the configuration was last loaded
+ * @returns {Date} - Load time
+ */
+function getLoadedAt() {
+  get();
+  return loadedAt;
+}
+
+/**
+ * Fill in a prompt template
+ * @param {string} name - Prompt name, a key of the prompts section
+ * @param {Object} [values] - Placeholder values; placeholders without a value are left as they are
+ * @returns {string} - The prompt
+ */
+function renderPrompt(name, values = {}) {
+  return get().prompts[name].replace(/\{\{(\w+)\}\}/g, (placeholder, key) => (
+    values[key] === undefined ? placeholder : String(values[key])
+  ));
+}
+
+/**
+ * Identify the current text of a prompt template, so answers from before and after an edit can be told apart
+ * @param {string} name - Prompt name, a key of the prompts section
+ * @returns {string} - First 8 hex digits of the template's SHA-256 digest
+ */
+function getPromptVersion(name) {
+  return crypto.createHash('sha256').update(get().prompts[name]).digest('hex').slice(0, 8);
+}
+
+/**
+ * Reload the file when it changes. An invalid edit is reported and the previous configuration kept
+ * @param {Object} stats - Current fs.Stats of the file
+ * @param {Object} previous - fs.Stats from the previous check
+ * @returns {void}
+ */
+function reloadOnChange(stats, previous) {
+  if (stats.mtimeMs === previous.mtimeMs) {
+    return;
+  }
+  try {
+    load();
+    logger.info('Configuration reloaded', { file: path.basename(CONFIG_FILE) });
+  } catch (err) {
+    logger.error('Invalid configuration edit, keeping the previous configuration', { error: err.message });
+  }
+}
+
+/**
+ * Stop checking the file for changes, when the server shuts down
+ * @returns {void}
+ */
+function stopWatching() {
+  fs.unwatchFile(CONFIG_FILE, reloadOnChange);
+}
+
+fs.watchFile(CONFIG_FILE, { interval: RELOAD_INTERVAL }, reloadOnChange).unref();
+
+module.exports = {
+  CONFIG_FILE,
+  get,
+  getLoadedAt,
+  renderPrompt,
+  getPromptVersion,
+  stopWatching
+};
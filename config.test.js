@@ -0,0 +1,131 @@
+// config.test.js - Settings from defaults, config.json and the environment, and reloading on edits
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// The config file is whatever the test puts here; null means there is none
+const CONFIG_FILE = path.resolve(__dirname, 'config.json');
+let fileText = null;
+const readFileSync = fs.readFileSync;
+test.mock.method(fs, 'readFileSync', (file, ...rest) => {
+  if (file !== CONFIG_FILE) {
+    return readFileSync(file, ...rest);
+  }
+  if (fileText === null) {
+    throw Object.assign(new Error('no such file'), { code: 'ENOENT' });
+  }
+  return fileText;
+});
+
+// Keep the file watcher's callback, to report edits by hand
+let reloadOnChange;
+test.mock.method(fs, 'watchFile', (file, options, listener) => {
+  reloadOnChange = listener;
+  return { unref: () => {} };
+});
+const logger = require('./logger');
+test.mock.method(logger, 'info', () => {});
+const loggedErrors = test.mock.method(logger, 'error', () => {});
+
+const config = require('./config');
+
+/**
+ * Replace the config file and report it as changed
+ * @param {Object|string} contents - New contents, as an object or raw text
+ * @returns {void}
+ */
+function editFile(contents) {
+  fileText = typeof contents === 'string' ? contents : JSON.stringify(contents);
+  reloadOnChange({ mtimeMs: Date.now() }, { mtimeMs: 0 });
+}
+
+/**
+ * Set environment variables for one test
+ * @param {Object} t - Test context
+ * @param {Object} variables - Values keyed by variable name
+ * @returns {void}
+ */
+function setEnv(t, variables) {
+  Object.assign(process.env, variables);
+  t.after(() => Object.keys(variables).forEach(name => delete process.env[name]));
+}
+
+test('without a config file the defaults are used, and cannot be changed by accident', () => {
+  const settings = config.get();
+  assert.strictEqual(settings.server.port, 3000);
+  assert.deepStrictEqual(settings.consensus.models, []);
+  assert.strictEqual(Object.isFrozen(settings.server), true);
+  assert.strictEqual(Object.isFrozen(settings.models.choices[0]), true);
+});
+
+test('the file overrides the defaults and the environment overrides the file', t => {
+  setEnv(t, {
+    PORT: ' 8080 ',
+    IMAGE_TRIM: 'FALSE',
+    CONSENSUS_MODELS: 'a, b,,',
+    MODEL_RATE_LIMITS: 'gemini-1.5-pro=2, org/model=v2=60',
+    MODEL_CHOICES: 'fast=Faster,slow',
+    IMAGE_QUALITY: ''
+  });
+  editFile({ server: { port: 4000 }, images: { quality: 50 }, prompts: { detect: ['Is this', 'a quiz?'] } });
+
+  const settings = config.get();
+  assert.strictEqual(settings.server.port, 8080);
+  assert.strictEqual(settings.images.trim, false);
+  assert.strictEqual(settings.images.quality, 50);
+  assert.deepStrictEqual(settings.consensus.models, ['a', 'b']);
+  assert.deepStrictEqual(settings.quotas.models, { 'gemini-1.5-pro': 2, 'org/model=v2': 60 });
+  assert.deepStrictEqual(settings.models.choices, [{ model: 'fast', label: 'Faster' }, { model: 'slow', label: 'slow' }]);
+  assert.strictEqual(settings.prompts.detect, 'Is this\na quiz?');
+});
+
+test('every invalid setting is reported together and the previous configuration is kept', t => {
+  setEnv(t, { SESSION_IDLE_MINUTES: '5.5', MODEL_RATE_LIMITS: 'oops' });
+  const before = config.get();
+  editFile({
+    cache: {},
+    server: { port: 0, colour: 'blue' },
+    images: { format: 'gif' },
+    monitoring: { minIntervalMs: 5000, maxIntervalMs: 1000 },
+    prompts: { textQuestion: 'Answer this' }
+  });
+
+  assert.strictEqual(config.get(), before);
+  const message = loggedErrors.mock.calls.at(-1).arguments[1].error;
+  assert.strictEqual(message.split('\n- ')[0], 'Invalid configuration:');
+  assert.deepStrictEqual(message.split('\n- ').slice(1), [
+    'Unknown section "cache"',
+    'Unknown setting "server.colour"',
+    'server.port must be from 1 to 65535',
+    'MODEL_RATE_LIMITS (quotas.models) has an entry "oops" that isn\'t model=callsPerMinute',
+    'SESSION_IDLE_MINUTES (sessions.idleMinutes) must be a whole number',
+    'images.format must be one of jpeg, webp, png',
+    'prompts.textQuestion must contain {{question}} and {{responseInstructions}}',
+    'monitoring.minIntervalMs must not be larger than monitoring.maxIntervalMs'
+  ]);
+});
+
+test('a file that is not JSON is reported', () => {
+  const before = config.get();
+  editFile('{ "server": ');
+  assert.strictEqual(config.get(), before);
+  assert.match(loggedErrors.mock.calls.at(-1).arguments[1].error, /^Invalid configuration: config\.json is not valid JSON/);
+});
+
+test('an unchanged file is not reloaded', () => {
+  const before = config.getLoadedAt();
+  reloadOnChange({ mtimeMs: 5 }, { mtimeMs: 5 });
+  assert.strictEqual(config.getLoadedAt(), before);
+});
+
+test('prompts are filled in, leaving placeholders without a value, and versioned by their text', () => {
+  editFile({ prompts: { textQuestion: 'Q: {{question}} ({{lang}})\n{{responseInstructions}}' } });
+  assert.strictEqual(config.renderPrompt('textQuestion', { question: 'Why?', responseInstructions: 0 }), 'Q: Why? ({{lang}})\n0');
+
+  const version = config.getPromptVersion('textQuestion');
+  assert.match(version, /^[0-9a-f]{8}$/);
+  editFile({});
+  assert.notStrictEqual(config.getPromptVersion('textQuestion'), version);
+});
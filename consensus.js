@@ -0,0 +1,182 @@
+// consensus.js - Asking several models (or one model several times) and voting on their answers
+
+const config = require('./config');
+const { isValidModelName } = require('./providers');
+
+/**
+ * Read the consensus fields of a request
+ * @param {Object} body - Request body with consensus, consensusModels and samples fields
+ * @param {string} modelName - Model the request would use on its own
+ * @returns {Object} - { calls, error } where calls lists the model of every call to make, in order,
+ *   or is null when consensus wasn't asked for
+ */
+function parseConsensusOptions(body, modelName) {
+  if (String(body.consensus) !== 'true') {
+    return { calls: null, error: null };
+  }
+
+  // Models come as a JSON array or a comma-separated list
+  let models = body.consensusModels;
+  if (typeof models === 'string') {
+    try {
+      models = models.trim().startsWith('[') ? JSON.parse(models) : models.split(',');
+    } catch (err) {
+      return { calls: null, error: 'consensusModels must be a JSON array or a comma-separated list of models' };
+    }
+  }
+  if (models !== undefined && !Array.isArray(models)) {
+    return { calls: null, error: 'consensusModels must be a JSON array or a comma-separated list of models' };
+  }
+  // Without a list, the configured consensus models are asked, or else the request's model
+  const { maxCalls, defaultSamples, models: defaultModels } = config.get().consensus;
+  models = (models || []).map(model => String(model).trim()).filter(Boolean);
+  if (!models.every(isValidModelName)) {
+    return { calls: null, error: 'consensusModels must name models of letters, digits and . _ : / - characters' };
+  }
+  if (models.length === 0) {
+    models = defaultModels.length > 0 ? defaultModels : [modelName];
+  }
+  models = [...new Set(models)];
+
+  const samples = body.samples === undefined || body.samples === ''
+    ? (models.length > 1 ? 1 : defaultSamples)
+    : Number(body.samples);
+  if (!Number.isInteger(samples) || samples < 1) {
+    return { calls: null, error: 'samples must be a positive whole number' };
+  }
+
+  const calls = models.flatMap(model => Array(samples).fill(model));
+  if (calls.length < 2) {
+    return { calls: null, error: 'Consensus needs at least two calls; name more models or raise samples' };
+  }
+  if (calls.length > maxCalls) {
+    return { calls: null, error: `Consensus can make at most ${maxCalls} calls, this request would make ${calls.length}` };
+  }
+  return { calls, error: null };
+}
+
+/**
+ * Model calls per model, for quota accounting
+ * @param {string[]} calls - From parseConsensusOptions
+ * @returns {Object} - Map of model name to number of calls
+ */
+function countCalls(calls) {
+  return calls.reduce((costs, model) => ({ ...costs, [model]: (costs[model] || 0) + 1 }), {});
+}
+
+/**
+ * Reduce text to what matters when comparing answers: case, accents, punctuation and spacing are ignored
+ * @param {*} text - Text to normalize
+ * @returns {string} - Normalized text
+ */
+function normalizeText(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}.\-\s]/gu, ' ')
+    .replace(/\.(?!\d)/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Key under which equivalent answers compare equal, using the type-specific details where the
+ * type has them and the chosen options or answer text otherwise
+ * @param {Object} structured - Answer from answerParser, or { detected: false } for frames without a question
+ * @returns {string} - Comparison key
+ */
+function answerKey(structured) {
+  if (structured.detected === false) {
+    return 'none';
+  }
+  const details = structured.details || {};
+  switch (structured.type) {
+    case 'true_false':
+      if (typeof details.value === 'boolean') {
+        return `true_false:${details.value}`;
+      }
+      break;
+    case 'numeric':
+      if (Number.isFinite(details.value)) {
+        return `numeric:${Number(details.value.toPrecision(6))}:${normalizeText(details.unit || '')}`;
+      }
+      break;
+    case 'fill_blank':
+      if (Array.isArray(details.blanks)) {
+        return `fill_blank:${details.blanks.map(normalizeText).join('|')}`;
+      }
+      break;
+    case 'ordering':
+      if (Array.isArray(details.order)) {
+        return `ordering:${details.order.map(normalizeText).join('|')}`;
+      }
+      break;
+    case 'matching':
+      if (Array.isArray(details.pairs)) {
+        return `matching:${details.pairs.map(pair => `${normalizeText(pair.left)}=${normalizeText(pair.right)}`).sort().join('|')}`;
+      }
+      break;
+    default:
+      break;
+  }
+
+  // Models read the options separately, so compare the chosen options by text rather than position
+  if (structured.options && structured.selectedIndexes && structured.selectedIndexes.length > 0) {
+    return `options:${structured.selectedIndexes.map(index => normalizeText(structured.options[index])).sort().join('|')}`;
+  }
+  return `text:${normalizeText(structured.answer)}`;
+}
+
+/**
+ * Vote on the answers of a consensus request
+ * @param {Object[]} results - One per call, in call order: { model, answer } with a structured answer,
+ *   or { model, error } for calls that failed
+ * @returns {Object} - { answer, consensus } where answer is the first answer of the largest group of
+ *   equivalent answers (ties go to the group answered first), and consensus holds the agreement score
+ *   and every call's answer; answer is null if every call failed
+ */
+function combineAnswers(results) {
+  const groups = new Map();
+  results.forEach((result, index) => {
+    if (result.error) {
+      return;
+    }
+    const key = answerKey(result.answer);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(index);
+  });
+
+  const ranked = [...groups.entries()].sort((a, b) => b[1].length - a[1].length || a[1][0] - b[1][0]);
+  const responded = results.length - results.filter(result => result.error).length;
+  const majority = ranked.length > 0 ? ranked[0] : null;
+  const agreeing = majority ? majority[1].length : 0;
+
+  return {
+    answer: majority ? results[majority[1][0]].answer : null,
+    consensus: {
+      agreement: responded > 0 ? Math.round((agreeing / responded) * 100) / 100 : 0,
+      agreeing,
+      responded,
+      calls: results.length,
+      unanimous: responded > 0 && agreeing === responded,
+      results: results.map(result => (result.error
+        ? { model: result.model, error: result.error.message }
+        : {
+          model: result.model,
+          detected: result.answer.detected !== false,
+          answer: result.answer.detected === false ? null : result.answer.answer,
+          agrees: answerKey(result.answer) === majority[0]
+        }))
+    }
+  };
+}
+
+module.exports = {
+  parseConsensusOptions,
+  countCalls,
+  answerKey,
+  combineAnswers
+};
@@ -0,0 +1,71 @@
+// consensus.test.js - Planning consensus calls and voting on their answers
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseConsensusOptions, countCalls, answerKey, combineAnswers } = require('./consensus');
+
+test('consensus is only planned when asked for', () => {
+  assert.deepStrictEqual(parseConsensusOptions({ consensusModels: 'a,b' }, 'flash'), { calls: null, error: null });
+});
+
+test('one model is sampled several times, several models once each', () => {
+  assert.deepStrictEqual(parseConsensusOptions({ consensus: 'true' }, 'flash').calls, ['flash', 'flash', 'flash']);
+  assert.deepStrictEqual(parseConsensusOptions({ consensus: true, consensusModels: ' a, b ,a,' }, 'flash').calls, ['a', 'b']);
+  assert.deepStrictEqual(parseConsensusOptions({ consensus: 'true', consensusModels: '["a","b"]', samples: '2' }, 'flash').calls, ['a', 'a', 'b', 'b']);
+});
+
+test('plans that are malformed, too small or too large are refused', () => {
+  const error = body => parseConsensusOptions({ consensus: 'true', ...body }, 'flash').error;
+  assert.match(error({ consensusModels: '["a",' }), /JSON array or a comma-separated list/);
+  assert.match(error({ consensusModels: { a: 1 } }), /JSON array or a comma-separated list/);
+  assert.match(error({ consensusModels: 'a,constructor' }), /must name models/);
+  assert.match(error({ samples: '1.5' }), /positive whole number/);
+  assert.match(error({ samples: '0' }), /positive whole number/);
+  assert.match(error({ samples: '1' }), /at least two calls/);
+  assert.match(error({ consensusModels: 'a,b,c', samples: '2' }), /at most 5 calls, this request would make 6/);
+});
+
+test('calls are counted per model for the quota', () => {
+  assert.deepStrictEqual(countCalls(['a', 'b', 'a']), { a: 2, b: 1 });
+});
+
+test('equivalent answers share a key whatever their wording or option order', () => {
+  assert.strictEqual(answerKey({ type: 'numeric', details: { value: 0.1 + 0.2, unit: 'M/s' } }), answerKey({ type: 'numeric', details: { value: 0.3, unit: 'm/s' } }));
+  assert.strictEqual(answerKey({ answer: 'Café!' }), answerKey({ answer: 'cafe' }));
+  assert.notStrictEqual(answerKey({ answer: '3.5' }), answerKey({ answer: '35' }));
+  assert.strictEqual(
+    answerKey({ options: ['Paris', 'Rome'], selectedIndexes: [0] }),
+    answerKey({ options: ['Rome', 'paris'], selectedIndexes: [1] })
+  );
+  assert.strictEqual(
+    answerKey({ type: 'matching', details: { pairs: [{ left: 'A', right: '1' }, { left: 'B', right: '2' }] } }),
+    answerKey({ type: 'matching', details: { pairs: [{ left: 'b', right: '2' }, { left: 'a', right: '1' }] } })
+  );
+  assert.notStrictEqual(answerKey({ type: 'ordering', details: { order: ['x', 'y'] } }), answerKey({ type: 'ordering', details: { order: ['y', 'x'] } }));
+  assert.strictEqual(answerKey({ detected: false }), 'none');
+});
+
+test('the largest group wins and failed calls do not count towards agreement', () => {
+  const { answer, consensus } = combineAnswers([
+    { model: 'a', answer: { answer: 'Rome' } },
+    { model: 'b', answer: { answer: 'Paris' } },
+    { model: 'c', error: new Error('timeout') },
+    { model: 'd', answer: { answer: 'paris.' } }
+  ]);
+  assert.deepStrictEqual(answer, { answer: 'Paris' });
+  assert.deepStrictEqual([consensus.agreement, consensus.agreeing, consensus.responded, consensus.calls, consensus.unanimous], [0.67, 2, 3, 4, false]);
+  assert.deepStrictEqual(consensus.results.map(result => result.agrees), [false, true, undefined, true]);
+  assert.deepStrictEqual(consensus.results[2], { model: 'c', error: 'timeout' });
+});
+
+test('ties go to the answer given first, and frames without a question can win', () => {
+  const tie = combineAnswers([{ model: 'a', answer: { detected: false } }, { model: 'b', answer: { answer: 'x' } }]);
+  assert.deepStrictEqual(tie.answer, { detected: false });
+  assert.deepStrictEqual(tie.consensus.results[0], { model: 'a', detected: false, answer: null, agrees: true });
+});
+
+test('without any answers there is no winner', () => {
+  const { answer, consensus } = combineAnswers([{ model: 'a', error: new Error('down') }]);
+  assert.strictEqual(answer, null);
+  assert.deepStrictEqual([consensus.agreement, consensus.unanimous], [0, false]);
+});
@@ -0,0 +1,20 @@
+// csv.js - Quoting fields for the CSV exports of the history, batch results and study decks
+
+/**
+ * Quote a value for CSV output. Text starting like a formula gets a leading apostrophe, so
+ * spreadsheets show it instead of running it
+ * @param {*} value - Value to quote
+ * @param {string} [separator] - Field separator
+ * @returns {string} - CSV-safe field
+ */
+function toCsvField(value, separator = ',') {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return text.includes(separator) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+  toCsvField
+};
@@ -0,0 +1,17 @@
+// csv.test.js - Fields quoted for CSV exports and kept from running as spreadsheet formulas
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { toCsvField } = require('./csv');
+
+test('fields with the separator, quotes or line breaks are quoted', () => {
+  assert.strictEqual(toCsvField('plain'), 'plain');
+  assert.strictEqual(toCsvField('a, "b"'), '"a, ""b"""');
+  assert.strictEqual(toCsvField('a\tb', '\t'), '"a\tb"');
+  assert.strictEqual(toCsvField(null), '');
+});
+
+test('fields starting like a formula are shown as text', () => {
+  assert.deepStrictEqual(['=1+1', '+1', '-2', '@SUM(A1)'].map(value => toCsvField(value)), ["'=1+1", "'+1", "'-2", "'@SUM(A1)"]);
+  assert.strictEqual(toCsvField('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+});
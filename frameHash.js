@@ -0,0 +1,173 @@
+// frameHash.js - Perceptual frame hashing to skip unchanged screen captures
+
+const config = require('./config');
+const { openImage } = require('./imagePreprocess');
+
+// A 64×64 grid of neighbour comparisons (4096 bits). Coarser grids can't tell apart screens that
+// share a layout but differ in a line of text
+const HASH_WIDTH = 65; // One column more than bits per row, for comparing neighbours
+const HASH_HEIGHT = 64;
+const MAX_FRAMES_PER_CLIENT = 5; // Recent frames remembered per client
+const CLIENT_TTL = 10 * 60 * 1000; // Forget clients idle for 10 minutes
+
+// Map of client id (who sent the frame and the model answering it) to { frames: [{ hash, response }], skipped, lastSeen }
+const clients = new Map();
+
+/**
+ * Compute a 4096-bit difference hash (dHash) of an image
+ * @param {Buffer} imageBuffer - Encoded image data
+ * @returns {Promise<string>} - Hash as 1024 hex characters
+ */
+async function computeDifferenceHash(imageBuffer) {
+  const pixels = await openImage(imageBuffer)
+    .grayscale()
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  const hash = Buffer.alloc((HASH_WIDTH - 1) * HASH_HEIGHT / 8);
+  let bit = 0;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const left = pixels[y * HASH_WIDTH + x];
+      const right = pixels[y * HASH_WIDTH + x + 1];
+      if (left > right) {
+        hash[bit >> 3] |= 0x80 >> (bit & 7);
+      }
+      bit++;
+    }
+  }
+  return hash.toString('hex');
+}
+
+/**
+ * Count the bits that differ between two hashes
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number} - Hamming distance; hashes of different lengths differ in every bit
+ */
+function hammingDistance(a, b) {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  if (left.length !== right.length) {
+    return Math.max(left.length, right.length) * 8;
+  }
+  let count = 0;
+  for (let i = 0; i < left.length; i++) {
+    let diff = left[i] ^ right[i];
+    while (diff) {
+      count += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return count;
+}
+
+/**
+ * Get the tracking state for a client, creating it as needed
+ * @param {string} clientId - Client identifier
+ * @returns {Object} - Client state
+ */
+function getClient(clientId) {
+  let client = clients.get(clientId);
+  if (!client) {
+    client = { frames: [], skipped: 0, lastSeen: Date.now() };
+    clients.set(clientId, client);
+  }
+  client.lastSeen = Date.now();
+  return client;
+}
+
+/**
+ * Find a recent frame from the same client that looks the same as this one
+ * @param {string} clientId - Client identifier
+ * @param {string} hash - Hash of the new frame
+ * @param {number} [threshold] - Max differing bits to count as unchanged; defaults to monitoring.frameChangeThreshold
+ * @returns {Object|null} - The matching frame's stored response and the client's skipped count, or null
+ */
+function findSimilarFrame(clientId, hash, threshold = config.get().monitoring.frameChangeThreshold) {
+  const client = getClient(clientId);
+  const match = client.frames.find(frame => hammingDistance(frame.hash, hash) <= threshold);
+  if (!match) {
+    return null;
+  }
+
+  client.skipped++;
+  return { response: match.response, skipped: client.skipped };
+}
+
+/**
+ * Remember a processed frame and the response sent for it
+ * @param {string} clientId - Client identifier
+ * @param {string} hash - Hash of the frame
+ * @param {Object} response - Response body sent to the client
+ * @returns {void}
+ */
+function rememberFrame(clientId, hash, response) {
+  const client = getClient(clientId);
+  client.frames.unshift({ hash, response });
+  if (client.frames.length > MAX_FRAMES_PER_CLIENT) {
+    client.frames.length = MAX_FRAMES_PER_CLIENT;
+  }
+}
+
+/**
+ * Forget remembered frames of every client whose response matches, so later frames that look the
+ * same are processed again rather than answered with that response
+ * @param {Function} matches - Called with each stored response; true forgets the frame
+ * @returns {number} - Number of frames forgotten
+ */
+function forgetFrames(matches) {
+  let forgotten = 0;
+  for (const client of clients.values()) {
+    const kept = client.frames.filter(frame => !matches(frame.response));
+    forgotten += client.frames.length - kept.length;
+    client.frames = kept;
+  }
+  return forgotten;
+}
+
+/**
+ * Number of frames skipped for a client so far
+ * @param {string} clientId - Client identifier
+ * @returns {number} - Skipped frame count
+ */
+function getSkippedCount(clientId) {
+  const client = clients.get(clientId);
+  return client ? client.skipped : 0;
+}
+
+/**
+ * Forget clients that haven't sent a frame recently
+ * @returns {void}
+ */
+function pruneIdleClients() {
+  const now = Date.now();
+  for (const [clientId, client] of clients.entries()) {
+    if (now - client.lastSeen > CLIENT_TTL) {
+      clients.delete(clientId);
+    }
+  }
+}
+
+// Prune idle clients every minute
+const pruneTimer = setInterval(pruneIdleClients, 60 * 1000);
+pruneTimer.unref();
+
+/**
+ * Stop pruning idle clients, when the server shuts down
+ * @returns {void}
+ */
+function stopPruning() {
+  clearInterval(pruneTimer);
+}
+
+module.exports = {
+  computeDifferenceHash,
+  hammingDistance,
+  findSimilarFrame,
+  rememberFrame,
+  forgetFrames,
+  getSkippedCount,
+  stopPruning
+};
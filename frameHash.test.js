@@ -0,0 +1,74 @@
+// frameHash.test.js - Frame fingerprints tell apart screens that differ in a line of text
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const frameHash = require('./frameHash');
+
+const WIDTH = 1280;
+const HEIGHT = 720;
+
+/**
+ * Draw a quiz-like screen: a white page with dark bars standing in for lines of text
+ * @param {Array<Array<number>>} lines - [x, y, width, height] of each bar
+ * @returns {Promise<Buffer>} - PNG data
+ */
+function drawScreen(lines) {
+  const pixels = Buffer.alloc(WIDTH * HEIGHT, 255);
+  for (const [left, top, width, height] of lines) {
+    for (let y = top; y < top + height; y++) {
+      pixels.fill(30, y * WIDTH + left, y * WIDTH + left + width);
+    }
+  }
+  return sharp(pixels, { raw: { width: WIDTH, height: HEIGHT, channels: 1 } }).png().toBuffer();
+}
+
+// The same layout of a title, four choices and a button
+const LAYOUT = [[100, 40, 600, 30], [140, 300, 400, 24], [140, 360, 380, 24], [140, 420, 420, 24], [140, 480, 360, 24], [1000, 620, 180, 50]];
+
+test.after(() => frameHash.stopPruning());
+
+test('identical frames hash the same', async () => {
+  const screen = await drawScreen(LAYOUT);
+  const first = await frameHash.computeDifferenceHash(screen);
+  const second = await frameHash.computeDifferenceHash(screen);
+  assert.strictEqual(first.length, 1024);
+  assert.strictEqual(frameHash.hammingDistance(first, second), 0);
+});
+
+test('a new question in the same layout changes the hash', async () => {
+  const before = await frameHash.computeDifferenceHash(await drawScreen([...LAYOUT, [100, 120, 900, 28]]));
+  const after = await frameHash.computeDifferenceHash(await drawScreen([...LAYOUT, [100, 120, 700, 28], [820, 120, 90, 28]]));
+  assert.ok(frameHash.hammingDistance(before, after) > 0);
+  assert.strictEqual(frameHash.findSimilarFrame('layout-client', before), null);
+  frameHash.rememberFrame('layout-client', before, { answer: 'A' });
+  assert.strictEqual(frameHash.findSimilarFrame('layout-client', after), null);
+});
+
+test('a frame that only differs by a cursor counts as the same frame', async () => {
+  const before = await frameHash.computeDifferenceHash(await drawScreen(LAYOUT));
+  const after = await frameHash.computeDifferenceHash(await drawScreen([...LAYOUT, [700, 200, 12, 20]]));
+  assert.ok(frameHash.hammingDistance(before, after) > 0);
+  frameHash.rememberFrame('cursor-client', before, { answer: 'C' });
+  assert.deepStrictEqual(frameHash.findSimilarFrame('cursor-client', after), { response: { answer: 'C' }, skipped: 1 });
+});
+
+test('hammingDistance counts differing bits', () => {
+  assert.strictEqual(frameHash.hammingDistance('00ff', '00ff'), 0);
+  assert.strictEqual(frameHash.hammingDistance('00ff', '01fe'), 2);
+  assert.strictEqual(frameHash.hammingDistance('ff', '00ff'), 16);
+});
+
+test('remembered frames are only matched for the same client', () => {
+  frameHash.rememberFrame('key-a|gemini/flash', 'abcd', { answer: 'B' });
+  assert.deepStrictEqual(frameHash.findSimilarFrame('key-a|gemini/flash', 'abcd', 0), { response: { answer: 'B' }, skipped: 1 });
+  assert.strictEqual(frameHash.findSimilarFrame('key-b|gemini/flash', 'abcd', 0), null);
+  assert.strictEqual(frameHash.findSimilarFrame('key-a|gemini/pro', 'abcd', 0), null);
+  assert.strictEqual(frameHash.getSkippedCount('key-a|gemini/flash'), 1);
+});
+
+test('forgetFrames drops matching responses', () => {
+  frameHash.rememberFrame('forget-client', '1234', { historyId: 'h1' });
+  assert.strictEqual(frameHash.forgetFrames(body => body.historyId === 'h1'), 1);
+  assert.strictEqual(frameHash.findSimilarFrame('forget-client', '1234', 0), null);
+});
@@ -0,0 +1,182 @@
+// hotkeys.js - Keyboard shortcut bindings backed by data/hotkeys.json
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const HOTKEYS_FILE = path.join(__dirname, 'data', 'hotkeys.json');
+
+// Actions the page knows how to perform, with their default bindings
+const DEFAULT_HOTKEYS = {
+  startMonitoring: 'Alt+S',
+  stopMonitoring: 'Alt+X',
+  openSettings: 'Alt+O',
+  clearResults: 'Alt+C'
+};
+
+// Modifiers in the order they appear in a normalized combo
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+const MODIFIER_ALIASES = {
+  ctrl: 'Ctrl',
+  control: 'Ctrl',
+  alt: 'Alt',
+  option: 'Alt',
+  shift: 'Shift',
+  meta: 'Meta',
+  cmd: 'Meta',
+  command: 'Meta'
+};
+
+// Keys that may be bound in addition to letters, digits and function keys
+const NAMED_KEYS = [
+  'Escape', 'Space', 'Enter', 'Tab', 'Backspace', 'Delete', 'Insert',
+  'Home', 'End', 'PageUp', 'PageDown', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'
+];
+
+// Browser shortcuts that pages cannot reliably override
+const RESERVED_COMBOS = ['Ctrl+N', 'Ctrl+T', 'Ctrl+W', 'Ctrl+Shift+N', 'Ctrl+Shift+T', 'Ctrl+Shift+W', 'Meta+Q', 'Meta+W'];
+
+/**
+ * Normalize a key combo such as "shift+alt+s" into "Alt+Shift+S"
+ * @param {string} combo - Key combo with modifiers and a key joined by '+'
+ * @returns {string|null} - Normalized combo, or null if it isn't a valid combo
+ */
+function normalizeCombo(combo) {
+  if (typeof combo !== 'string') {
+    return null;
+  }
+
+  const parts = combo.split('+').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) {
+    return null;
+  }
+
+  const modifiers = new Set();
+  for (const part of parts.slice(0, -1)) {
+    const modifier = MODIFIER_ALIASES[part.toLowerCase()];
+    if (!modifier) {
+      return null;
+    }
+    modifiers.add(modifier);
+  }
+
+  let key = parts[parts.length - 1];
+  if (/^[a-z0-9]$/i.test(key)) {
+    key = key.toUpperCase();
+  } else if (/^f([1-9]|1[0-2])$/i.test(key)) {
+    key = key.toUpperCase();
+  } else {
+    key = NAMED_KEYS.find(name => name.toLowerCase() === key.toLowerCase());
+    if (!key) {
+      return null;
+    }
+  }
+
+  // Single letters and digits need a modifier so they don't fire while typing
+  if (modifiers.size === 0 && !/^F\d+$/.test(key)) {
+    return null;
+  }
+
+  return [...MODIFIERS.filter(modifier => modifiers.has(modifier)), key].join('+');
+}
+
+/**
+ * Load the bindings from disk, falling back to the defaults
+ * @returns {Object} - Bindings keyed by action, plus lastUpdated
+ */
+function loadHotkeys() {
+  let data = {};
+  try {
+    data = JSON.parse(fs.readFileSync(HOTKEYS_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.error('Error loading hotkeys, using defaults', { error: err.message });
+    }
+  }
+
+  const hotkeys = {};
+  for (const action of Object.keys(DEFAULT_HOTKEYS)) {
+    hotkeys[action] = normalizeCombo(data[action]) || DEFAULT_HOTKEYS[action];
+  }
+  hotkeys.lastUpdated = data.lastUpdated || null;
+  return hotkeys;
+}
+
+let hotkeysData = loadHotkeys();
+
+/**
+ * Get the current bindings
+ * @returns {Object} - Bindings keyed by action, plus lastUpdated
+ */
+function getHotkeys() {
+  return { ...hotkeysData };
+}
+
+/**
+ * Validate and save new bindings; actions that are not given keep their current binding
+ * @param {Object} updates - New combos keyed by action
+ * @returns {Object} - { hotkeys } on success, or { errors } / { conflicts } describing why it was rejected
+ */
+function updateHotkeys(updates) {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    return { errors: ['Hotkeys must be an object mapping actions to key combos'] };
+  }
+
+  const errors = [];
+  const next = { ...hotkeysData };
+
+  for (const [action, combo] of Object.entries(updates)) {
+    if (action === 'lastUpdated') {
+      continue;
+    }
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_HOTKEYS, action)) {
+      errors.push(`Unknown action "${action}"`);
+      continue;
+    }
+
+    const normalized = normalizeCombo(combo);
+    if (!normalized) {
+      errors.push(`Invalid key combo "${combo}" for ${action}`);
+    } else if (RESERVED_COMBOS.includes(normalized)) {
+      errors.push(`${normalized} is reserved by the browser and cannot be bound to ${action}`);
+    } else {
+      next[action] = normalized;
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  // Every combo must trigger exactly one action
+  const actionsByCombo = {};
+  for (const action of Object.keys(DEFAULT_HOTKEYS)) {
+    (actionsByCombo[next[action]] = actionsByCombo[next[action]] || []).push(action);
+  }
+  const conflicts = Object.entries(actionsByCombo)
+    .filter(([, actions]) => actions.length > 1)
+    .map(([combo, actions]) => ({ combo, actions }));
+
+  if (conflicts.length > 0) {
+    return { conflicts };
+  }
+
+  next.lastUpdated = new Date().toISOString();
+  hotkeysData = next;
+
+  try {
+    fs.mkdirSync(path.dirname(HOTKEYS_FILE), { recursive: true });
+    fs.writeFileSync(HOTKEYS_FILE, JSON.stringify(hotkeysData, null, 2));
+  } catch (err) {
+    logger.error('Error saving hotkeys', { error: err.message });
+  }
+
+  return { hotkeys: getHotkeys() };
+}
+
+module.exports = {
+  DEFAULT_HOTKEYS,
+  normalizeCombo,
+  getHotkeys,
+  updateHotkeys
+};
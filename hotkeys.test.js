@@ -0,0 +1,52 @@
+// hotkeys.test.js - Normalizing, validating and saving keyboard shortcuts
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { withMemoryFs } = require('./testUtils');
+
+// Start from the default bindings, kept in memory
+withMemoryFs('hotkeys.json', {});
+
+const hotkeys = require('./hotkeys');
+
+test('combos are normalized to a fixed modifier order', () => {
+  assert.strictEqual(hotkeys.normalizeCombo('shift + alt + s'), 'Alt+Shift+S');
+  assert.strictEqual(hotkeys.normalizeCombo('cmd+control+pageup'), 'Ctrl+Meta+PageUp');
+  assert.strictEqual(hotkeys.normalizeCombo('f5'), 'F5');
+});
+
+test('combos without a modifier, with an unknown modifier or key, are refused', () => {
+  for (const combo of ['s', 'Escape', 'Hyper+S', 'Alt+Foo', 'Alt+F13', '', '+', 42]) {
+    assert.strictEqual(hotkeys.normalizeCombo(combo), null, `${combo}`);
+  }
+});
+
+test('the defaults are used until bindings are saved', () => {
+  const { lastUpdated, ...bindings } = hotkeys.getHotkeys();
+  assert.deepStrictEqual(bindings, hotkeys.DEFAULT_HOTKEYS);
+  assert.strictEqual(lastUpdated, null);
+});
+
+test('invalid, unknown and reserved bindings are rejected together and nothing changes', () => {
+  const { errors } = hotkeys.updateHotkeys({ startMonitoring: 'q', fly: 'Alt+F', stopMonitoring: 'ctrl+w' });
+  assert.deepStrictEqual(errors, [
+    'Invalid key combo "q" for startMonitoring',
+    'Unknown action "fly"',
+    'Ctrl+W is reserved by the browser and cannot be bound to stopMonitoring'
+  ]);
+  assert.deepStrictEqual(hotkeys.updateHotkeys([]).errors, ['Hotkeys must be an object mapping actions to key combos']);
+  assert.strictEqual(hotkeys.getHotkeys().startMonitoring, 'Alt+S');
+});
+
+test('a combo bound to two actions is a conflict, including with a kept binding', () => {
+  const { conflicts } = hotkeys.updateHotkeys({ clearResults: 'alt+s' });
+  assert.deepStrictEqual(conflicts, [{ combo: 'Alt+S', actions: ['startMonitoring', 'clearResults'] }]);
+});
+
+test('valid bindings are saved and the others kept', () => {
+  const { hotkeys: saved } = hotkeys.updateHotkeys({ clearResults: 'ctrl+shift+k', lastUpdated: 'ignored' });
+  assert.strictEqual(saved.clearResults, 'Ctrl+Shift+K');
+  assert.strictEqual(saved.startMonitoring, 'Alt+S');
+  assert.notStrictEqual(saved.lastUpdated, 'ignored');
+  assert.deepStrictEqual(hotkeys.getHotkeys(), saved);
+});
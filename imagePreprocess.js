@@ -0,0 +1,233 @@
+// imagePreprocess.js - Shrinking and cleaning up screenshots before they are sent to a model
+
+const sharp = require('sharp');
+const config = require('./config');
+const logger = require('./logger');
+
+const TRIM_THRESHOLD = 10; // How far from the corner pixel's color a border may stray and still be trimmed
+// Largest BMP decoded here, room for a 6K screenshot. Decoding takes 4 bytes a pixel whatever the
+// file's bit depth, so a 1-bit BMP that fits in an upload could otherwise need hundreds of MB
+const MAX_BMP_PIXELS = 25e6;
+
+// Types every provider accepts as they are; others are always converted
+const MODEL_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+/**
+ * Decode an uncompressed or bitfield-encoded BMP, which sharp can't read, to RGBA pixels
+ * @param {Buffer} buffer - BMP file contents
+ * @returns {Object} - { data, width, height } with 4 bytes per pixel
+ */
+function decodeBmp(buffer) {
+  const dataOffset = buffer.readUInt32LE(10);
+  const headerSize = buffer.readUInt32LE(14);
+  const core = headerSize === 12;
+  const width = core ? buffer.readUInt16LE(18) : buffer.readInt32LE(18);
+  const rawHeight = core ? buffer.readInt16LE(20) : buffer.readInt32LE(22);
+  const bitsPerPixel = buffer.readUInt16LE(core ? 24 : 28);
+  const compression = core ? 0 : buffer.readUInt32LE(30);
+  // Rows are stored bottom-up unless the height is negative
+  const height = Math.abs(rawHeight);
+  const topDown = rawHeight < 0;
+
+  if (width <= 0 || height === 0) {
+    throw new Error('BMP has no pixels');
+  }
+  if (width * height > MAX_BMP_PIXELS) {
+    throw new Error(`BMP of ${width}x${height} pixels exceeds the limit of ${MAX_BMP_PIXELS} pixels`);
+  }
+  if (![0, 3, 6].includes(compression)) {
+    throw new Error('Compressed BMP files are not supported');
+  }
+  const stride = Math.floor((bitsPerPixel * width + 31) / 32) * 4;
+  if (dataOffset + stride * height > buffer.length) {
+    throw new Error('BMP is truncated');
+  }
+
+  // Bitfield masks follow a 40-byte header, or are part of the larger ones
+  let masks = null;
+  if (compression === 3 || compression === 6) {
+    masks = [54, 58, 62].map(offset => buffer.readUInt32LE(offset));
+    masks.push(compression === 6 || headerSize >= 56 ? buffer.readUInt32LE(66) : 0);
+  } else if (bitsPerPixel === 16) {
+    masks = [0x7c00, 0x03e0, 0x001f, 0];
+  } else if (bitsPerPixel === 32) {
+    masks = [0x00ff0000, 0x0000ff00, 0x000000ff, 0];
+  }
+
+  let palette = null;
+  if (bitsPerPixel <= 8) {
+    const entrySize = core ? 3 : 4;
+    const paletteStart = 14 + headerSize + (headerSize === 40 && compression === 3 ? 12 : 0) + (headerSize === 40 && compression === 6 ? 16 : 0);
+    const colorsUsed = core ? 0 : buffer.readUInt32LE(46);
+    const count = Math.min(colorsUsed || 2 ** bitsPerPixel, Math.floor((dataOffset - paletteStart) / entrySize));
+    palette = [];
+    for (let index = 0; index < count; index++) {
+      const offset = paletteStart + index * entrySize;
+      palette.push([buffer[offset + 2], buffer[offset + 1], buffer[offset]]);
+    }
+  } else if (![16, 24, 32].includes(bitsPerPixel)) {
+    throw new Error(`${bitsPerPixel}-bit BMP files are not supported`);
+  }
+
+  // Scale a masked channel to 0-255
+  const channel = (value, mask) => {
+    if (!mask) {
+      return null;
+    }
+    const shift = 31 - Math.clz32(mask & -mask);
+    const max = (mask >>> shift);
+    return Math.round((((value & mask) >>> shift) / max) * 255);
+  };
+
+  const data = Buffer.alloc(width * height * 4);
+  let anyAlpha = false;
+  for (let y = 0; y < height; y++) {
+    const row = dataOffset + (topDown ? y : height - 1 - y) * stride;
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      let rgba;
+      if (palette) {
+        const bit = x * bitsPerPixel;
+        const index = (buffer[row + (bit >> 3)] >> (8 - bitsPerPixel - (bit & 7))) & (2 ** bitsPerPixel - 1);
+        rgba = [...(palette[index] || [0, 0, 0]), 255];
+      } else if (bitsPerPixel === 24) {
+        const offset = row + x * 3;
+        rgba = [buffer[offset + 2], buffer[offset + 1], buffer[offset], 255];
+      } else {
+        const value = bitsPerPixel === 16 ? buffer.readUInt16LE(row + x * 2) : buffer.readUInt32LE(row + x * 4);
+        const alpha = channel(value, masks[3]);
+        anyAlpha = anyAlpha || alpha > 0;
+        rgba = [channel(value, masks[0]), channel(value, masks[1]), channel(value, masks[2]), alpha === null ? 255 : alpha];
+      }
+      data[out] = rgba[0];
+      data[out + 1] = rgba[1];
+      data[out + 2] = rgba[2];
+      data[out + 3] = rgba[3];
+    }
+  }
+
+  // Many writers leave the alpha channel empty; such images are opaque, not invisible
+  if (masks && masks[3] && !anyAlpha) {
+    for (let out = 3; out < data.length; out += 4) {
+      data[out] = 255;
+    }
+  }
+  return { data, width, height };
+}
+
+/**
+ * Open an uploaded image for sharp, decoding BMP files itself
+ * @param {Buffer} buffer - Encoded image data
+ * @returns {Object} - sharp instance; for animated GIFs, of the first frame
+ */
+function openImage(buffer) {
+  if (buffer.length > 1 && buffer[0] === 0x42 && buffer[1] === 0x4d) {
+    const { data, width, height } = decodeBmp(buffer);
+    return sharp(data, { raw: { width, height, channels: 4 } });
+  }
+  return sharp(buffer);
+}
+
+/**
+ * Re-encode an image in the configured output format
+ * @param {Object} image - sharp instance
+ * @param {Object} settings - The images section of the configuration
+ * @returns {Object} - The same instance, set to encode
+ */
+function encode(image, settings) {
+  if (settings.format === 'png') {
+    return image.png({ compressionLevel: 9, palette: settings.grayscale });
+  }
+  // JPEG has no transparency, so transparent areas become white rather than black
+  return settings.format === 'jpeg'
+    ? image.flatten({ background: '#ffffff' }).jpeg({ quality: settings.quality, mozjpeg: true })
+    : image.webp({ quality: settings.quality });
+}
+
+/**
+ * Apply the configured steps to an image
+ * @param {Buffer} buffer - Encoded image data
+ * @param {Object} settings - The images section of the configuration
+ * @param {boolean} trim - Whether to trim uniform borders
+ * @returns {Promise<Object>} - { data, info } from sharp
+ */
+function transform(buffer, settings, trim) {
+  let image = openImage(buffer).rotate();
+  if (trim) {
+    image = image.trim({ threshold: TRIM_THRESHOLD });
+  }
+  image = image.resize({ width: settings.maxDimension, height: settings.maxDimension, fit: 'inside', withoutEnlargement: true });
+  if (settings.grayscale) {
+    image = image.grayscale();
+  }
+  if (settings.contrast) {
+    image = image.normalise();
+  }
+  return encode(image, settings).toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Format a byte count for the log
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - Size such as "1.2 MB"
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+  return bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${bytes} B`;
+}
+
+/**
+ * Prepare an uploaded image for a model as set in the images section of the configuration: scale
+ * it down, trim uniform borders, optionally convert it to grayscale or stretch its contrast, and
+ * re-encode it compactly. The before and after sizes are logged. With preprocessing turned off,
+ * images are only converted when the model can't read their type (GIF and BMP)
+ * @param {Buffer} buffer - Encoded image data
+ * @param {string} mimeType - Detected type of the data
+ * @returns {Promise<Object>} - { buffer, mimeType } of the image to send
+ */
+async function preprocessImage(buffer, mimeType) {
+  const settings = config.get().images;
+  if (!settings.preprocess) {
+    if (MODEL_TYPES.includes(mimeType)) {
+      return { buffer, mimeType };
+    }
+    return { buffer: await openImage(buffer).png().toBuffer(), mimeType: 'image/png' };
+  }
+
+  const startTime = Date.now();
+  const { width, height } = await openImage(buffer).metadata();
+  let result;
+  try {
+    result = await transform(buffer, settings, settings.trim);
+  } catch (err) {
+    // An image of a single color has nothing left after trimming
+    if (!settings.trim) {
+      throw err;
+    }
+    result = await transform(buffer, settings, false);
+  }
+  const { data, info } = result;
+
+  // A small screenshot may already be smaller as it was; keep it if nothing else changed
+  const unchanged = info.width === width && info.height === height && !settings.grayscale && !settings.contrast;
+  if (unchanged && data.length >= buffer.length && MODEL_TYPES.includes(mimeType)) {
+    logger.info('Image preprocessing kept the original', { width, height, mimeType, bytes: buffer.length, size: formatBytes(buffer.length) });
+    return { buffer, mimeType };
+  }
+
+  const saved = Math.round((1 - data.length / buffer.length) * 100);
+  logger.info('Image preprocessed', {
+    durationMs: Date.now() - startTime,
+    before: { width, height, mimeType, bytes: buffer.length, size: formatBytes(buffer.length) },
+    after: { width: info.width, height: info.height, mimeType: `image/${settings.format}`, bytes: data.length, size: formatBytes(data.length) },
+    savedPercent: saved
+  });
+  return { buffer: data, mimeType: `image/${settings.format}` };
+}
+
+module.exports = {
+  openImage,
+  preprocessImage
+};
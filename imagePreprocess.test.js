@@ -0,0 +1,131 @@
+// imagePreprocess.test.js - Decoding BMP files and shrinking screenshots before they reach a model
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+
+// Small limits so test images are scaled, in a lossless format so pixels can be compared
+process.env.IMAGE_MAX_DIMENSION = '64';
+process.env.IMAGE_FORMAT = 'png';
+const logger = require('./logger');
+test.mock.method(logger, 'info', () => {});
+const { openImage, preprocessImage } = require('./imagePreprocess');
+
+/**
+ * Build a BMP file with a 40-byte header
+ * @param {Object} options - Image layout
+ * @param {number} options.width - Width in pixels
+ * @param {number} options.height - Height in pixels; negative for rows stored top-down
+ * @param {number} options.bitsPerPixel - Bits per pixel
+ * @param {Buffer[]} options.rows - Pixel bytes of each row as stored, without padding
+ * @param {number} [options.compression] - Compression field: 0 for none, 3 or 6 for bitfields
+ * @param {Buffer} [options.extra] - Palette or bitfield masks written between the header and the pixels
+ * @returns {Buffer} - BMP data
+ */
+function makeBmp({ width, height, bitsPerPixel, rows, compression = 0, extra = Buffer.alloc(0) }) {
+  const stride = Math.floor((bitsPerPixel * width + 31) / 32) * 4;
+  const pixels = Buffer.concat(rows.map(row => Buffer.concat([row, Buffer.alloc(stride - row.length)])));
+  const header = Buffer.alloc(54);
+  header.write('BM', 0, 'latin1');
+  header.writeUInt32LE(54 + extra.length + pixels.length, 2);
+  header.writeUInt32LE(54 + extra.length, 10);
+  header.writeUInt32LE(40, 14);
+  header.writeInt32LE(width, 18);
+  header.writeInt32LE(height, 22);
+  header.writeUInt16LE(1, 26);
+  header.writeUInt16LE(bitsPerPixel, 28);
+  header.writeUInt32LE(compression, 30);
+  return Buffer.concat([header, extra, pixels]);
+}
+
+/**
+ * Read an image's pixels as RGBA
+ * @param {Buffer} buffer - Encoded image data
+ * @returns {Promise<number[][]>} - [r, g, b, a] of each pixel, row by row from the top
+ */
+async function readPixels(buffer) {
+  const data = await openImage(buffer).ensureAlpha().raw().toBuffer();
+  return Array.from({ length: data.length / 4 }, (value, index) => [...data.subarray(index * 4, index * 4 + 4)]);
+}
+
+test('24-bit BMPs are read bottom row first, skipping row padding', async () => {
+  const bmp = makeBmp({
+    width: 3,
+    height: 2,
+    bitsPerPixel: 24,
+    // Blue, green, red bytes; the bottom row comes first
+    rows: [Buffer.from([0, 0, 255, 0, 255, 0, 255, 0, 0]), Buffer.from([255, 255, 255, 0, 0, 0, 128, 128, 128])]
+  });
+  assert.deepStrictEqual(await readPixels(bmp), [
+    [255, 255, 255, 255], [0, 0, 0, 255], [128, 128, 128, 255],
+    [255, 0, 0, 255], [0, 255, 0, 255], [0, 0, 255, 255]
+  ]);
+});
+
+test('1-bit BMPs use their palette, and negative heights store rows top-down', async () => {
+  // Black and then orange, as blue, green, red and a reserved byte
+  const palette = Buffer.from([0, 0, 0, 0, 0, 165, 255, 0]);
+  const bmp = makeBmp({ width: 10, height: -2, bitsPerPixel: 1, extra: palette, rows: [Buffer.from([0b10000000, 0b01000000]), Buffer.from([0, 0])] });
+  const pixels = await readPixels(bmp);
+  assert.deepStrictEqual(pixels[0], [255, 165, 0, 255]);
+  assert.deepStrictEqual(pixels[1], [0, 0, 0, 255]);
+  assert.deepStrictEqual(pixels[9], [255, 165, 0, 255]);
+  assert.ok(pixels.slice(10).every(pixel => pixel.join() === '0,0,0,255'));
+});
+
+test('16-bit BMPs default to five bits per channel', async () => {
+  const bmp = makeBmp({ width: 2, height: 1, bitsPerPixel: 16, rows: [Buffer.from([0x00, 0x7c, 0x1f, 0x00])] });
+  assert.deepStrictEqual(await readPixels(bmp), [[255, 0, 0, 255], [0, 0, 255, 255]]);
+});
+
+test('bitfield BMPs with an empty alpha channel are opaque', async () => {
+  const masks = Buffer.alloc(16);
+  [0x000000ff, 0x0000ff00, 0x00ff0000, 0xff000000].forEach((mask, index) => masks.writeUInt32LE(mask, index * 4));
+  // Compression 6 adds an alpha mask after the red, green and blue ones
+  const bmp = makeBmp({ width: 1, height: 1, bitsPerPixel: 32, compression: 6, extra: masks, rows: [Buffer.from([10, 20, 30, 0])] });
+  assert.deepStrictEqual(await readPixels(bmp), [[10, 20, 30, 255]]);
+});
+
+test('BMPs that are compressed, truncated, empty or of an unknown depth are refused', () => {
+  const pixel = [Buffer.from([0, 0, 0])];
+  assert.throws(() => openImage(makeBmp({ width: 1, height: 1, bitsPerPixel: 24, compression: 1, rows: pixel })), /Compressed BMP files are not supported/);
+  assert.throws(() => openImage(makeBmp({ width: 1, height: 1, bitsPerPixel: 24, rows: pixel }).subarray(0, 55)), /BMP is truncated/);
+  assert.throws(() => openImage(makeBmp({ width: 0, height: 1, bitsPerPixel: 24, rows: [] })), /BMP has no pixels/);
+  assert.throws(() => openImage(makeBmp({ width: 1, height: 1, bitsPerPixel: 12, rows: [Buffer.from([0, 0])] })), /12-bit BMP files are not supported/);
+});
+
+test('BMPs with more pixels than the decoding limit are refused before they are decoded', () => {
+  // A header claiming 20000x20000 pixels, far more than the few bytes that follow it
+  const bmp = makeBmp({ width: 20000, height: 20000, bitsPerPixel: 1, rows: [] });
+  assert.throws(() => openImage(bmp), /BMP of 20000x20000 pixels exceeds the limit of 25000000 pixels/);
+  // 1 bit a pixel: under 20 MB as a file, but 640 MB once decoded
+  const dense = makeBmp({ width: 16000, height: 10000, bitsPerPixel: 1, rows: [] });
+  assert.throws(() => openImage(dense), /BMP of 16000x10000 pixels exceeds the limit/);
+});
+
+test('screenshots are trimmed of uniform borders and scaled down', async () => {
+  const content = await sharp({ create: { width: 100, height: 50, channels: 3, background: '#203040' } }).png().toBuffer();
+  const screenshot = await sharp({ create: { width: 300, height: 150, channels: 3, background: '#ffffff' } })
+    .composite([{ input: content, left: 100, top: 50 }])
+    .png()
+    .toBuffer();
+
+  const { buffer, mimeType } = await preprocessImage(screenshot, 'image/png');
+  assert.strictEqual(mimeType, 'image/png');
+  const { width, height } = await sharp(buffer).metadata();
+  assert.deepStrictEqual([width, height], [64, 32]);
+});
+
+test('an image of a single color is kept whole', async () => {
+  const blank = await sharp({ create: { width: 100, height: 100, channels: 3, background: '#ffffff' } }).jpeg().toBuffer();
+  const { buffer } = await preprocessImage(blank, 'image/jpeg');
+  const { width, height } = await sharp(buffer).metadata();
+  assert.deepStrictEqual([width, height], [64, 64]);
+});
+
+test('BMP uploads become images the model can read', async () => {
+  const bmp = makeBmp({ width: 1, height: 1, bitsPerPixel: 24, rows: [Buffer.from([0, 0, 255])] });
+  const { buffer, mimeType } = await preprocessImage(bmp, 'image/bmp');
+  assert.strictEqual(mimeType, 'image/png');
+  assert.deepStrictEqual(await readPixels(buffer), [[255, 0, 0, 255]]);
+});
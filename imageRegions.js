@@ -0,0 +1,94 @@
+// imageRegions.js - Crop uploaded screenshots to one or more regions of interest
+
+const sharp = require('sharp');
+const { openImage } = require('./imagePreprocess');
+
+const MAX_REGIONS = 10;
+
+/**
+ * Parse the `crop` field of an upload request
+ * Accepts one region or an array of regions, each { x, y, width, height } in pixels,
+ * either as an object or as a JSON string (multipart form fields are always strings)
+ * @param {string|Object|Object[]} value - Raw crop field
+ * @returns {Object} - { regions } on success or { error } describing what is wrong
+ */
+function parseCropRegions(value) {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (err) {
+      return { error: 'Crop must be valid JSON' };
+    }
+  }
+
+  const list = Array.isArray(parsed) ? parsed : [parsed];
+  if (list.length === 0 || list.length > MAX_REGIONS) {
+    return { error: `Crop must contain between 1 and ${MAX_REGIONS} regions` };
+  }
+
+  const regions = [];
+  for (const region of list) {
+    const { x, y, width, height } = region || {};
+    if (![x, y, width, height].every(Number.isFinite) || x < 0 || y < 0 || width <= 0 || height <= 0) {
+      return { error: 'Each crop region needs numeric x, y, width and height in pixels, with a positive size' };
+    }
+    regions.push({
+      left: Math.floor(x),
+      top: Math.floor(y),
+      width: Math.ceil(width),
+      height: Math.ceil(height)
+    });
+  }
+  return { regions };
+}
+
+/**
+ * Crop an image to the given regions, stacking several regions vertically
+ * @param {Buffer} imageBuffer - Encoded image data
+ * @param {Object[]} regions - Regions from parseCropRegions
+ * @param {string} format - Output format, 'png' or 'jpeg'
+ * @returns {Promise<Buffer>} - Encoded cropped image
+ */
+async function cropImage(imageBuffer, regions, format) {
+  const { width: imageWidth, height: imageHeight } = await openImage(imageBuffer).metadata();
+
+  // Clamp regions to the image so slightly oversized selections still work
+  const clamped = regions
+    .map(region => ({
+      left: Math.min(region.left, imageWidth),
+      top: Math.min(region.top, imageHeight),
+      width: Math.min(region.width, imageWidth - Math.min(region.left, imageWidth)),
+      height: Math.min(region.height, imageHeight - Math.min(region.top, imageHeight))
+    }))
+    .filter(region => region.width > 0 && region.height > 0);
+
+  if (clamped.length === 0) {
+    throw new Error(`Crop regions lie outside the ${imageWidth}x${imageHeight} image`);
+  }
+
+  if (clamped.length === 1) {
+    return openImage(imageBuffer).extract(clamped[0]).toFormat(format).toBuffer();
+  }
+
+  const pieces = await Promise.all(clamped.map(region => openImage(imageBuffer).extract(region).png().toBuffer()));
+  const width = Math.max(...clamped.map(region => region.width));
+  const height = clamped.reduce((sum, region) => sum + region.height, 0);
+
+  let top = 0;
+  const composites = pieces.map((input, index) => {
+    const piece = { input, left: 0, top };
+    top += clamped[index].height;
+    return piece;
+  });
+
+  return sharp({ create: { width, height, channels: 3, background: '#ffffff' } })
+    .composite(composites)
+    .toFormat(format)
+    .toBuffer();
+}
+
+module.exports = {
+  parseCropRegions,
+  cropImage
+};
@@ -0,0 +1,46 @@
+// imageRegions.test.js - Parsing crop fields and cutting regions out of screenshots
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { parseCropRegions, cropImage } = require('./imageRegions');
+
+/**
+ * Make a plain 200x100 image in one colour
+ * @returns {Promise<Buffer>} - PNG data
+ */
+function drawImage() {
+  return sharp({ create: { width: 200, height: 100, channels: 3, background: '#336699' } }).png().toBuffer();
+}
+
+test('one region or a list is read from objects and JSON strings, rounded outwards', () => {
+  assert.deepStrictEqual(parseCropRegions({ x: 1.7, y: 2, width: 10.2, height: 5 }).regions, [{ left: 1, top: 2, width: 11, height: 5 }]);
+  const { regions } = parseCropRegions('[{"x":0,"y":0,"width":1,"height":1},{"x":5,"y":5,"width":2,"height":2}]');
+  assert.strictEqual(regions.length, 2);
+});
+
+test('malformed crop fields are refused', () => {
+  assert.match(parseCropRegions('{x:1').error, /valid JSON/);
+  assert.match(parseCropRegions([]).error, /between 1 and 10 regions/);
+  assert.match(parseCropRegions(new Array(11).fill({ x: 0, y: 0, width: 1, height: 1 })).error, /between 1 and 10/);
+  for (const region of [null, { x: 0, y: 0, width: 0, height: 1 }, { x: -1, y: 0, width: 1, height: 1 }, { x: '1', y: 0, width: 1, height: 1 }]) {
+    assert.match(parseCropRegions(region).error, /numeric x, y, width and height/);
+  }
+});
+
+test('a region is cut out and clamped to the image', async () => {
+  const cropped = await cropImage(await drawImage(), [{ left: 150, top: 20, width: 100, height: 30 }], 'png');
+  const { width, height, format } = await sharp(cropped).metadata();
+  assert.deepStrictEqual([width, height, format], [50, 30, 'png']);
+});
+
+test('several regions are stacked and regions outside the image are dropped', async () => {
+  const regions = [{ left: 0, top: 0, width: 40, height: 10 }, { left: 300, top: 0, width: 5, height: 5 }, { left: 10, top: 50, width: 60, height: 20 }];
+  const stacked = await cropImage(await drawImage(), regions, 'jpeg');
+  const { width, height, format } = await sharp(stacked).metadata();
+  assert.deepStrictEqual([width, height, format], [60, 30, 'jpeg']);
+});
+
+test('regions that all lie outside the image are an error', async () => {
+  await assert.rejects(cropImage(await drawImage(), [{ left: 200, top: 0, width: 5, height: 5 }], 'png'), /outside the 200x100 image/);
+});
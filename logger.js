@@ -0,0 +1,94 @@
+// logger.js - Structured JSON logs, tagged with the id of the request they belong to
+
+const crypto = require('crypto');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const { redactSecrets } = require('./apiErrors');
+
+// Fields whose values are credentials, logged as [REDACTED] whatever they hold
+const SECRET_FIELDS = /^(?:api_?key|key|token|authorization|password|secret)$/i;
+
+// Request ids may be passed in by a proxy; anything else is replaced by our own
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Holds { requestId } while a request is being handled, including in the callbacks it starts
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Prepare a field value for the log: errors become their message and stack, secrets are removed
+ * from text, and credential fields are hidden entirely
+ * @param {string} key - Field name
+ * @param {*} value - Field value
+ * @returns {*} - Value that is safe to log
+ */
+function cleanField(key, value) {
+  if (SECRET_FIELDS.test(key) && value) {
+    return '[REDACTED]';
+  }
+  if (value instanceof Error) {
+    return { message: redactSecrets(value.message), code: value.code, stack: redactSecrets(value.stack) };
+  }
+  if (typeof value === 'string') {
+    return redactSecrets(value);
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return Object.fromEntries(Object.entries(value).map(([name, nested]) => [name, cleanField(name, nested)]));
+  }
+  return value;
+}
+
+/**
+ * Write one log line as JSON: errors to stderr, everything else to stdout
+ * @param {string} level - 'info', 'warn' or 'error'
+ * @param {string} message - What happened
+ * @param {Object} [fields] - Details to log with it; the current request's id is added
+ * @returns {void}
+ */
+function log(level, message, fields = {}) {
+  const context = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactSecrets(message),
+    ...(context ? { requestId: context.requestId } : {}),
+    ...cleanField('', fields)
+  };
+  const line = `${JSON.stringify(entry)}\n`;
+  if (level === 'error') {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+}
+
+/**
+ * Middleware giving each request an id, from the X-Request-Id header when a proxy set a usable one,
+ * that is echoed in the response and added to every log line written while the request is handled
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ * @returns {void}
+ */
+function assignRequestId(req, res, next) {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  requestContext.run({ requestId: req.id }, next);
+}
+
+/**
+ * Wrap a middleware that reads the request body, such as a body parser or multer, so the request id
+ * survives it; they call next from stream events, which run outside the request's context
+ * @param {Function} middleware - Express middleware
+ * @returns {Function} - Middleware that calls next in the request's context
+ */
+function keepRequestContext(middleware) {
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
+
+module.exports = {
+  info: (message, fields) => log('info', message, fields),
+  warn: (message, fields) => log('warn', message, fields),
+  error: (message, fields) => log('error', message, fields),
+  assignRequestId,
+  keepRequestContext
+};
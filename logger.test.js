@@ -0,0 +1,102 @@
+// logger.test.js - JSON log lines without credentials, tagged with the request they belong to
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const logger = require('./logger');
+
+/**
+ * Run a function and collect the log lines it writes
+ * @param {Function} fn - Writes to the log
+ * @returns {Object} - { stdout, stderr } with the parsed lines written to each
+ */
+function captureLogs(fn) {
+  const lines = { stdout: [], stderr: [] };
+  const mocks = ['stdout', 'stderr'].map(stream => test.mock.method(process[stream], 'write', line => {
+    lines[stream].push(JSON.parse(line));
+    return true;
+  }));
+  try {
+    fn();
+  } finally {
+    mocks.forEach(mock => mock.mock.restore());
+  }
+  return lines;
+}
+
+test('errors go to stderr and everything else to stdout', () => {
+  const { stdout, stderr } = captureLogs(() => {
+    logger.info('Started', { port: 3000 });
+    logger.warn('Slow');
+    logger.error('Failed');
+  });
+  assert.deepStrictEqual(stdout.map(line => [line.level, line.msg]), [['info', 'Started'], ['warn', 'Slow']]);
+  assert.strictEqual(stdout[0].port, 3000);
+  assert.match(stdout[0].time, /^\d{4}-\d\d-\d\dT/);
+  assert.deepStrictEqual(stderr.map(line => line.msg), ['Failed']);
+});
+
+test('credential fields are hidden and keys are removed from text, at any depth', () => {
+  const key = `AIza${'k'.repeat(35)}`;
+  const { stdout } = captureLogs(() => logger.info(`Calling with ${key}`, {
+    apiKey: 'anything',
+    headers: { Authorization: 'Bearer abc', 'x-api-key': 'kept-name' },
+    url: `/models?key=${key}`,
+    token: '',
+    tags: ['plain']
+  }));
+  const [line] = stdout;
+  assert.strictEqual(line.msg, 'Calling with [REDACTED]');
+  assert.strictEqual(line.apiKey, '[REDACTED]');
+  assert.strictEqual(line.headers.Authorization, '[REDACTED]');
+  assert.strictEqual(line.headers['x-api-key'], 'kept-name');
+  assert.strictEqual(line.url, '/models?key=[REDACTED]');
+  assert.strictEqual(line.token, '');
+  assert.deepStrictEqual(line.tags, ['plain']);
+});
+
+test('errors are logged as their message, code and stack, without keys', () => {
+  const error = Object.assign(new Error('rejected sk-abcdefghijkl'), { code: 'E_KEY' });
+  const { stderr } = captureLogs(() => logger.error('Call failed', { error }));
+  assert.strictEqual(stderr[0].error.message, 'rejected [REDACTED]');
+  assert.strictEqual(stderr[0].error.code, 'E_KEY');
+  assert.doesNotMatch(stderr[0].error.stack, /sk-abcdefghijkl/);
+});
+
+/**
+ * Run assignRequestId for a request with the given X-Request-Id header
+ * @param {string} [incoming] - Header value
+ * @param {Function} next - Called as the next middleware
+ * @returns {Object} - { req, headers } with the response headers set
+ */
+function assignRequestId(incoming, next) {
+  const headers = {};
+  const req = { get: name => (name === 'x-request-id' ? incoming : undefined) };
+  logger.assignRequestId(req, { setHeader: (name, value) => { headers[name] = value; } }, next);
+  return { req, headers };
+}
+
+test('request ids from a proxy are kept if usable, and added to every line of the request', () => {
+  let lines;
+  const { req, headers } = assignRequestId('edge-42.a:b', () => {
+    lines = captureLogs(() => logger.info('Handling')).stdout;
+  });
+  assert.strictEqual(req.id, 'edge-42.a:b');
+  assert.strictEqual(headers['X-Request-Id'], 'edge-42.a:b');
+  assert.strictEqual(lines[0].requestId, 'edge-42.a:b');
+
+  assert.match(assignRequestId('bad id\n', () => {}).req.id, /^[0-9a-f-]{36}$/);
+  assert.match(assignRequestId(undefined, () => {}).req.id, /^[0-9a-f-]{36}$/);
+  assert.strictEqual(captureLogs(() => logger.info('Idle')).stdout[0].requestId, undefined);
+});
+
+test('the request id survives middleware that continues from stream events', async () => {
+  const body = new EventEmitter();
+  // Like a body parser: next is called once the body has been read
+  const parser = logger.keepRequestContext((req, res, next) => body.once('end', () => next()));
+  const logged = new Promise(resolve => {
+    assignRequestId('stream-1', () => parser({}, {}, () => resolve(captureLogs(() => logger.info('Parsed')).stdout[0])));
+  });
+  setImmediate(() => body.emit('end'));
+  assert.strictEqual((await logged).requestId, 'stream-1');
+});
@@ -0,0 +1,135 @@
+// markdown.js - Model output rendered from Markdown to sanitized HTML, with LaTeX math and code blocks
+
+const { Marked } = require('marked');
+const katex = require('katex');
+
+// Links may only point to web pages and mail addresses; anything else (javascript:, data:, relative
+// paths) is shown as plain text
+const SAFE_LINK = /^(https?:|mailto:)/i;
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Entities marked uses when it escapes titles and autolink addresses itself
+const MARKED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'" };
+
+/**
+ * Undo marked's own escaping of a value, so it is escaped exactly once when the attribute is written
+ * @param {string} text - Text that marked may have escaped
+ * @returns {string} - Unescaped text
+ */
+function unescapeHtml(text) {
+  return String(text).replace(/&(amp|lt|gt|quot|#39);/g, (entity, name) => MARKED_ENTITIES[name]);
+}
+
+/**
+ * Render LaTeX as MathML, which browsers display without any script, stylesheet or font.
+ * Commands that could add links or HTML are turned off, and invalid LaTeX is shown as its source
+ * @param {string} tex - LaTeX source
+ * @param {boolean} displayMode - Whether to render as a centered block
+ * @returns {string} - MathML markup
+ */
+function renderMath(tex, displayMode) {
+  return katex.renderToString(tex, {
+    displayMode,
+    output: 'mathml',
+    throwOnError: false,
+    trust: false,
+    strict: 'ignore',
+    maxExpand: 100
+  });
+}
+
+// $$...$$ or \[...\] on lines of their own
+const blockMath = {
+  name: 'blockMath',
+  level: 'block',
+  start(src) {
+    const index = src.search(/\$\$|\\\[/);
+    return index === -1 ? undefined : index;
+  },
+  tokenizer(src) {
+    const match = /^(?:\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\])[ \t]*(?:\n+|$)/.exec(src);
+    if (match) {
+      return { type: 'blockMath', raw: match[0], text: (match[1] || match[2]).trim() };
+    }
+    return undefined;
+  },
+  renderer(token) {
+    return `<div class="math-display">${renderMath(token.text, true)}</div>\n`;
+  }
+};
+
+// $...$ or \(...\) within a line. A dollar sign followed by a space or digit after the closing one
+// isn't math, so prices such as "$5 and $10" are left alone
+const inlineMath = {
+  name: 'inlineMath',
+  level: 'inline',
+  start(src) {
+    const index = src.search(/\$|\\\(/);
+    return index === -1 ? undefined : index;
+  },
+  tokenizer(src) {
+    const match = /^\$\$([^$]+?)\$\$/.exec(src)
+      || /^\$(?![\s$])((?:\\\$|[^$\n])+?)(?<!\s)\$(?!\d)/.exec(src)
+      || /^\\\((.+?)\\\)/.exec(src);
+    if (match) {
+      return { type: 'inlineMath', raw: match[0], text: match[1].trim(), displayMode: match[0].startsWith('$$') };
+    }
+    return undefined;
+  },
+  renderer(token) {
+    return renderMath(token.text, token.displayMode);
+  }
+};
+
+const markdown = new Marked({ gfm: true, breaks: true });
+markdown.use({
+  extensions: [blockMath, inlineMath],
+  renderer: {
+    // Raw HTML in model output is shown as text rather than interpreted
+    html(html) {
+      return escapeHtml(html);
+    },
+    // Titles and autolink addresses arrive escaped, other addresses don't
+    link(href, title, text) {
+      if (!SAFE_LINK.test(String(href || '').trim())) {
+        return text;
+      }
+      const titleAttribute = title ? ` title="${escapeHtml(unescapeHtml(title))}"` : '';
+      return `<a href="${escapeHtml(unescapeHtml(href))}"${titleAttribute} target="_blank" rel="noopener noreferrer">${text}</a>`;
+    },
+    // Images would load from wherever the model points them, so only their alt text (which marked
+    // has already escaped) is shown
+    image(href, title, text) {
+      return text;
+    }
+  }
+});
+
+/**
+ * Render Markdown from a model as HTML that is safe to insert into the page
+ * @param {string} text - Markdown, which may contain LaTeX math and fenced code blocks
+ * @returns {string} - Sanitized HTML; empty for empty input
+ */
+function renderMarkdown(text) {
+  if (!text) {
+    return '';
+  }
+  return markdown.parse(String(text));
+}
+
+module.exports = {
+  renderMarkdown
+};
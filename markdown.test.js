@@ -0,0 +1,49 @@
+// markdown.test.js - Model output rendered to HTML that is safe to insert into the page
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderMarkdown } = require('./markdown');
+
+test('raw HTML in model output is shown as text', () => {
+  assert.strictEqual(renderMarkdown('<script>alert(1)</script>'), '&lt;script&gt;alert(1)&lt;/script&gt;');
+  assert.strictEqual(renderMarkdown('Hi <img src=x onerror=alert(1)> there'), '<p>Hi &lt;img src=x onerror=alert(1)&gt; there</p>\n');
+  assert.strictEqual(renderMarkdown('```html\n<b>bold</b>\n```'), '<pre><code class="language-html">&lt;b&gt;bold&lt;/b&gt;\n</code></pre>\n');
+});
+
+test('only web and mail links are kept, opening in a new tab', () => {
+  assert.strictEqual(renderMarkdown('[click](javascript:alert(1))'), '<p>click</p>\n');
+  assert.strictEqual(renderMarkdown('[file](/etc/passwd)'), '<p>file</p>\n');
+  assert.strictEqual(
+    renderMarkdown('[docs](https://example.com/?a=1&b=2 "Tom & Jerry")'),
+    '<p><a href="https://example.com/?a=1&amp;b=2" title="Tom &amp; Jerry" target="_blank" rel="noopener noreferrer">docs</a></p>\n'
+  );
+  assert.match(renderMarkdown('<https://example.com/?a=1&b=2>'), /href="https:\/\/example\.com\/\?a=1&amp;b=2"/);
+  assert.match(renderMarkdown('[x](https://example.com/"><script>)'), /href="https:\/\/example\.com\/&quot;&gt;&lt;script&gt;"/);
+});
+
+test('images show their alt text instead of loading', () => {
+  assert.strictEqual(renderMarkdown('![a <b> chart](https://tracker.example/pixel.png)'), '<p>a &lt;b&gt; chart</p>\n');
+});
+
+test('inline and display math are rendered as MathML', () => {
+  const inline = renderMarkdown('Area is $\\pi r^2$ and \\(x_1\\)');
+  assert.match(inline, /^<p>Area is <span class="katex"><math xmlns="http:\/\/www\.w3\.org\/1998\/Math\/MathML">/);
+  assert.strictEqual(inline.match(/<math /g).length, 2);
+  assert.match(renderMarkdown('$$\n\\frac{1}{2}\n$$'), /^<div class="math-display"><span class="katex"><math [^>]*display="block"><semantics><mrow><mfrac>/);
+  assert.match(renderMarkdown('\\[x\\]'), /^<div class="math-display">/);
+});
+
+test('prices are not mistaken for math', () => {
+  assert.strictEqual(renderMarkdown('It costs $5 and $10'), '<p>It costs $5 and $10</p>\n');
+});
+
+test('math cannot add links, and invalid LaTeX is shown as its source', () => {
+  const link = renderMarkdown('$\\href{javascript:alert(1)}{x}$');
+  assert.doesNotMatch(link, /<a |href="/);
+  assert.match(renderMarkdown('$\\frac{$'), /<span class="katex-error" title="ParseError: [^"]*" style="color:#cc0000">\\frac\{<\/span>/);
+});
+
+test('empty output renders as nothing', () => {
+  assert.strictEqual(renderMarkdown(''), '');
+  assert.strictEqual(renderMarkdown(null), '');
+});
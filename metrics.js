@@ -0,0 +1,195 @@
+// metrics.js - Prometheus metrics for requests, model calls, quotas and uploads
+
+const client = require('prom-client');
+const config = require('./config');
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const requestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time taken to answer HTTP requests',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [registry]
+});
+
+const rateLimitedResponses = new client.Counter({
+  name: 'http_rate_limited_responses_total',
+  help: 'Responses with status 429, by error code',
+  labelNames: ['code'],
+  registers: [registry]
+});
+
+const modelCallDuration = new client.Histogram({
+  name: 'model_call_duration_seconds',
+  help: 'Time taken by each attempt at a model call, by outcome',
+  labelNames: ['provider', 'model', 'outcome'],
+  buckets: [0.25, 0.5, 1, 2, 4, 8, 15, 30, 60, 120],
+  registers: [registry]
+});
+
+const modelCallRetries = new client.Counter({
+  name: 'model_call_retries_total',
+  help: 'Model calls retried after the provider reported its quota exhausted',
+  labelNames: ['provider', 'model'],
+  registers: [registry]
+});
+
+const modelCallsInFlight = new client.Gauge({
+  name: 'model_calls_in_flight',
+  help: 'Model calls waiting for a response',
+  registers: [registry]
+});
+
+const quotaRejections = new client.Counter({
+  name: 'quota_rejections_total',
+  help: 'Requests refused because an API key used up its per-model quota',
+  labelNames: ['model'],
+  registers: [registry]
+});
+
+const uploadSize = new client.Histogram({
+  name: 'upload_size_bytes',
+  help: 'Size of uploaded files',
+  labelNames: ['route'],
+  buckets: [10e3, 50e3, 100e3, 250e3, 500e3, 1e6, 2.5e6, 5e6, 10e6, 20e6],
+  registers: [registry]
+});
+
+// Model calls that haven't settled, so shutdown can wait for them
+const pendingCalls = new Set();
+
+/**
+ * Label for a model name. Clients may name any model, so only configured models get their own
+ * label and every other name is counted as "other", which keeps the number of series bounded
+ * @param {string} model - Model name
+ * @returns {string} - The model name if it is configured, otherwise "other"
+ */
+function modelLabel(model) {
+  const { models, consensus, quotas } = config.get();
+  const known = new Set([
+    models.gemini,
+    models.openai,
+    models.local,
+    ...models.choices.map(choice => choice.model),
+    ...consensus.models,
+    ...Object.keys(quotas.models)
+  ]);
+  return known.has(model) ? model : 'other';
+}
+
+/**
+ * Record an answered HTTP request
+ * @param {Object} request - { method, route, status, durationMs, code } where route is the matched
+ *   route pattern rather than the path, and code the API error code of a failed request
+ * @returns {void}
+ */
+function recordRequest({ method, route, status, durationMs, code }) {
+  requestDuration.observe({ method, route, status: String(status) }, durationMs / 1000);
+  if (status === 429) {
+    rateLimitedResponses.inc({ code: code || 'RATE_LIMITED' });
+  }
+}
+
+/**
+ * Time a model call attempt and count it as in flight until it settles
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @param {Function} callFn - Makes the call and returns a promise
+ * @returns {Promise<*>} - The call's result
+ */
+function trackModelCall(provider, model, callFn) {
+  const end = modelCallDuration.startTimer({ provider, model: modelLabel(model) });
+  const call = Promise.resolve().then(callFn);
+  const settled = call.then(
+    () => end({ outcome: 'success' }),
+    error => end({ outcome: error.code === 'PROVIDER_QUOTA_EXCEEDED' ? 'quota_exceeded' : 'error' })
+  ).finally(() => {
+    pendingCalls.delete(settled);
+    modelCallsInFlight.set(pendingCalls.size);
+  });
+  pendingCalls.add(settled);
+  modelCallsInFlight.set(pendingCalls.size);
+  return call;
+}
+
+/**
+ * Count a retried model call
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @returns {void}
+ */
+function recordRetry(provider, model) {
+  modelCallRetries.inc({ provider, model: modelLabel(model) });
+}
+
+/**
+ * Count a request refused by the per-key quota
+ * @param {string} model - Model whose quota ran out
+ * @returns {void}
+ */
+function recordQuotaRejection(model) {
+  quotaRejections.inc({ model: modelLabel(model) });
+}
+
+/**
+ * Record the size of an uploaded file
+ * @param {string} route - Route the file was sent to
+ * @param {number} bytes - File size
+ * @returns {void}
+ */
+function recordUpload(route, bytes) {
+  uploadSize.observe({ route }, bytes);
+}
+
+/**
+ * Number of model calls waiting for a response
+ * @returns {number} - Calls in flight
+ */
+function getModelCallsInFlight() {
+  return pendingCalls.size;
+}
+
+/**
+ * Wait for the model calls in flight to settle, including calls started while waiting
+ * @param {number} timeoutMs - Longest time to wait
+ * @returns {Promise<boolean>} - True if every call settled, false if time ran out first
+ */
+async function waitForModelCalls(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  while (pendingCalls.size > 0) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      return false;
+    }
+    let timer;
+    await Promise.race([
+      Promise.all(pendingCalls),
+      new Promise(resolve => {
+        timer = setTimeout(resolve, remaining);
+      })
+    ]);
+    clearTimeout(timer);
+  }
+  return true;
+}
+
+/**
+ * Render every metric in the Prometheus text format
+ * @returns {Promise<Object>} - { contentType, body }
+ */
+async function renderMetrics() {
+  return { contentType: registry.contentType, body: await registry.metrics() };
+}
+
+module.exports = {
+  recordRequest,
+  trackModelCall,
+  recordRetry,
+  recordQuotaRejection,
+  recordUpload,
+  getModelCallsInFlight,
+  waitForModelCalls,
+  renderMetrics
+};
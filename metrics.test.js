@@ -0,0 +1,67 @@
+// metrics.test.js - Model calls in flight, waiting for them at shutdown, and the Prometheus output
+
+const test = require('node:test');
+const assert = require('node:assert');
+const metrics = require('./metrics');
+
+test('model calls count as in flight until they settle, by outcome', async () => {
+  let finish;
+  const call = metrics.trackModelCall('gemini', 'gemini-2.0-flash', () => new Promise(resolve => {
+    finish = resolve;
+  }));
+  const failed = metrics.trackModelCall('gemini', 'gemini-2.0-flash', async () => {
+    throw Object.assign(new Error('quota'), { code: 'PROVIDER_QUOTA_EXCEEDED' });
+  });
+  assert.strictEqual(metrics.getModelCallsInFlight(), 2);
+
+  await assert.rejects(failed, /quota/);
+  finish('answer');
+  assert.strictEqual(await call, 'answer');
+  assert.strictEqual(await metrics.waitForModelCalls(1000), true);
+  assert.strictEqual(metrics.getModelCallsInFlight(), 0);
+
+  const { body } = await metrics.renderMetrics();
+  assert.match(body, /model_call_duration_seconds_count\{provider="gemini",model="gemini-2.0-flash",outcome="success"\} 1/);
+  assert.match(body, /model_call_duration_seconds_count\{provider="gemini",model="gemini-2.0-flash",outcome="quota_exceeded"\} 1/);
+  assert.match(body, /model_calls_in_flight 0/);
+});
+
+test('waiting for model calls gives up when time runs out', async () => {
+  let finish;
+  metrics.trackModelCall('local', 'llava', () => new Promise(resolve => {
+    finish = resolve;
+  }));
+  assert.strictEqual(await metrics.waitForModelCalls(20), false);
+  finish();
+  assert.strictEqual(await metrics.waitForModelCalls(1000), true);
+});
+
+test('requests are timed by route, and rate limited responses counted by code', async () => {
+  metrics.recordRequest({ method: 'POST', route: '/api/v1/answer', status: 200, durationMs: 120 });
+  metrics.recordRequest({ method: 'POST', route: '/api/v1/answer', status: 429, durationMs: 3, code: 'PROVIDER_QUOTA_EXCEEDED' });
+  metrics.recordRequest({ method: 'POST', route: '/api/v1/answer', status: 429, durationMs: 3 });
+  metrics.recordQuotaRejection('gemini-2.0-flash');
+  metrics.recordRetry('gemini', 'gemini-2.0-flash');
+  metrics.recordUpload('/api/v1/answer', 20000);
+
+  const { contentType, body } = await metrics.renderMetrics();
+  assert.match(contentType, /^text\/plain/);
+  assert.match(body, /http_request_duration_seconds_count\{method="POST",route="\/api\/v1\/answer",status="200"\} 1/);
+  assert.match(body, /http_rate_limited_responses_total\{code="PROVIDER_QUOTA_EXCEEDED"\} 1/);
+  assert.match(body, /http_rate_limited_responses_total\{code="RATE_LIMITED"\} 1/);
+  assert.match(body, /quota_rejections_total\{model="gemini-2.0-flash"\} 1/);
+  assert.match(body, /model_call_retries_total\{provider="gemini",model="gemini-2.0-flash"\} 1/);
+  assert.match(body, /upload_size_bytes_bucket\{le="50000",route="\/api\/v1\/answer"\} 1/);
+});
+
+test('models that are not configured are labelled other', async () => {
+  await metrics.trackModelCall('local', 'my-finetune-7b', async () => 'answer');
+  metrics.recordQuotaRejection('my-finetune-7b');
+  metrics.recordRetry('local', 'llava');
+
+  const { body } = await metrics.renderMetrics();
+  assert.match(body, /model_call_duration_seconds_count\{provider="local",model="other",outcome="success"\} 1/);
+  assert.match(body, /quota_rejections_total\{model="other"\} 1/);
+  assert.match(body, /model_call_retries_total\{provider="local",model="llava"\} 1/);
+  assert.doesNotMatch(body, /my-finetune-7b/);
+});
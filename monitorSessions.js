@@ -0,0 +1,397 @@
+// monitorSessions.js - Server-Sent Events channels for monitoring sessions, and the devices paired to follow them
+
+const crypto = require('crypto');
+
+const HEARTBEAT_INTERVAL = 15 * 1000; // Comment lines keep proxies from closing idle streams
+const SESSION_TTL = 30 * 60 * 1000; // Forget sessions with no frames or watchers for 30 minutes
+const MAX_WATCHERS_PER_SESSION = 10;
+const MAX_VIEWERS_PER_SESSION = 5;
+const PAIRING_CODE_TTL = 10 * 60 * 1000; // Pairing codes can be used once, within ten minutes
+const VIEWER_TTL = 12 * 60 * 60 * 1000; // Paired viewers are disconnected after twelve hours
+const PAIRING_CODE_LENGTH = 6;
+// Letters and digits that are easily confused, such as O and 0 or I and 1, are left out
+const PAIRING_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Map of session id to { watchers: Set of responses, viewers: Map of viewer id to viewer, pairingCode,
+// createdAt, lastActivity, nextEventId }. Watchers know the session id; viewers only hold a token
+const sessions = new Map();
+// Map of pairing code to { sessionId, expiresAt }
+const pairingCodes = new Map();
+// Map of viewer token hash to { id, sessionId, tokenHash, pairedAt, expiresAt, res }. Tokens are stored hashed,
+// so a dump of this map can't be used to follow a session
+const viewerTokens = new Map();
+
+/**
+ * Start a new monitoring session
+ * @returns {Object} - The session id and creation time
+ */
+function createSession() {
+  const id = crypto.randomUUID();
+  const now = Date.now();
+  sessions.set(id, { watchers: new Set(), viewers: new Map(), pairingCode: null, createdAt: now, lastActivity: now, nextEventId: 1 });
+  return { id, createdAt: new Date(now).toISOString() };
+}
+
+/**
+ * Check whether a session exists
+ * @param {string} id - Session id
+ * @returns {boolean} - True if the session is open
+ */
+function hasSession(id) {
+  return typeof id === 'string' && sessions.has(id);
+}
+
+/**
+ * Write one event to a watcher's stream
+ * @param {Object} res - Express response of the watcher
+ * @param {number} eventId - Sequential event id within the session
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload, sent as JSON
+ * @returns {void}
+ */
+function writeEvent(res, eventId, event, data) {
+  res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Hash a viewer token for lookups without holding the token itself
+ * @param {string} token - Viewer token
+ * @returns {string} - Hex SHA-256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Start an event stream on a response, with heartbeats until the client disconnects
+ * @param {Object} req - Express request, used to notice when the client disconnects
+ * @param {Object} res - Express response to stream events to
+ * @param {Object} ready - Payload of the initial ready event
+ * @param {Function} onClose - Called once the client has disconnected
+ * @returns {void}
+ */
+function openStream(req, res, ready, onClose) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+  writeEvent(res, 0, 'ready', ready);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    onClose();
+  });
+}
+
+/**
+ * Describe a session's paired viewers and unused pairing code
+ * @param {Object} session - Stored session
+ * @returns {Object} - { viewers, pairing } with ISO timestamps; pairing is null without a code
+ */
+function describeViewers(session) {
+  const pairing = session.pairingCode ? pairingCodes.get(session.pairingCode) : null;
+  return {
+    viewers: [...session.viewers.values()].map(viewer => ({
+      id: viewer.id,
+      pairedAt: new Date(viewer.pairedAt).toISOString(),
+      expiresAt: new Date(viewer.expiresAt).toISOString(),
+      connected: viewer.res !== null
+    })),
+    pairing: pairing ? { code: session.pairingCode, expiresAt: new Date(pairing.expiresAt).toISOString() } : null
+  };
+}
+
+/**
+ * Tell a session's watchers, but not its viewers, that its viewers have changed
+ * @param {string} id - Session id
+ * @returns {void}
+ */
+function publishViewers(id) {
+  const session = sessions.get(id);
+  if (!session) {
+    return;
+  }
+  const eventId = session.nextEventId++;
+  for (const res of session.watchers) {
+    writeEvent(res, eventId, 'viewers', describeViewers(session));
+  }
+}
+
+/**
+ * Attach a response as a watcher that receives the session's events
+ * @param {string} id - Session id
+ * @param {Object} req - Express request, used to notice when the watcher disconnects
+ * @param {Object} res - Express response to stream events to
+ * @returns {boolean} - False if the session doesn't exist or has too many watchers
+ */
+function subscribe(id, req, res) {
+  const session = sessions.get(id);
+  if (!session || session.watchers.size >= MAX_WATCHERS_PER_SESSION) {
+    return false;
+  }
+
+  openStream(req, res, { sessionId: id }, () => {
+    session.watchers.delete(res);
+    session.lastActivity = Date.now();
+  });
+  session.watchers.add(res);
+  session.lastActivity = Date.now();
+  return true;
+}
+
+/**
+ * Create a code another device can pair with to follow a session, replacing any unused one
+ * @param {string} id - Session id
+ * @returns {Object|null} - { code, expiresAt }, or null if the session doesn't exist
+ */
+function createPairingCode(id) {
+  const session = sessions.get(id);
+  if (!session) {
+    return null;
+  }
+  if (session.pairingCode) {
+    pairingCodes.delete(session.pairingCode);
+  }
+
+  let code;
+  do {
+    code = Array.from({ length: PAIRING_CODE_LENGTH }, () => PAIRING_ALPHABET[crypto.randomInt(PAIRING_ALPHABET.length)]).join('');
+  } while (pairingCodes.has(code));
+
+  const expiresAt = Date.now() + PAIRING_CODE_TTL;
+  pairingCodes.set(code, { sessionId: id, expiresAt });
+  session.pairingCode = code;
+  publishViewers(id);
+  return { code, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Exchange a pairing code for a viewer token. Each code works once
+ * @param {string} code - Code from createPairingCode; case, spaces and dashes are ignored
+ * @returns {Object} - { viewer, error, limitReached } where viewer is { token, viewerId, expiresAt }; the
+ *   token is only ever returned here, and never gives access to the session id. limitReached is true when
+ *   the code is valid but the session already has its most paired devices; the code then stays usable
+ */
+function pairViewer(code) {
+  const normalized = String(code || '').toUpperCase().replace(/[\s-]/g, '');
+  const pairing = pairingCodes.get(normalized);
+  if (!pairing || pairing.expiresAt <= Date.now()) {
+    return { viewer: null, error: 'The pairing code is wrong or has expired; ask for a new one on the monitoring page', limitReached: false };
+  }
+  const session = sessions.get(pairing.sessionId);
+  if (session.viewers.size >= MAX_VIEWERS_PER_SESSION) {
+    return { viewer: null, error: `At most ${MAX_VIEWERS_PER_SESSION} devices can be paired to a session; revoke one first`, limitReached: true };
+  }
+
+  pairingCodes.delete(normalized);
+  session.pairingCode = null;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  const viewer = {
+    id: crypto.randomUUID(),
+    sessionId: pairing.sessionId,
+    tokenHash: hashToken(token),
+    pairedAt: now,
+    expiresAt: now + VIEWER_TTL,
+    res: null
+  };
+  session.viewers.set(viewer.id, viewer);
+  viewerTokens.set(viewer.tokenHash, viewer);
+  publishViewers(pairing.sessionId);
+  return { viewer: { token, viewerId: viewer.id, expiresAt: new Date(viewer.expiresAt).toISOString() }, error: null, limitReached: false };
+}
+
+/**
+ * Attach a response as a paired viewer's stream. A viewer has one stream; connecting again replaces it
+ * @param {string} token - Viewer token from pairViewer
+ * @param {Object} req - Express request, used to notice when the viewer disconnects
+ * @param {Object} res - Express response to stream events to
+ * @returns {boolean} - False if the token is unknown, revoked or expired
+ */
+function subscribeViewer(token, req, res) {
+  const viewer = viewerTokens.get(hashToken(token));
+  if (!viewer || viewer.expiresAt <= Date.now()) {
+    return false;
+  }
+  const session = sessions.get(viewer.sessionId);
+  if (viewer.res) {
+    viewer.res.end();
+  }
+
+  openStream(req, res, { viewerId: viewer.id, expiresAt: new Date(viewer.expiresAt).toISOString() }, () => {
+    if (viewer.res === res) {
+      viewer.res = null;
+      session.lastActivity = Date.now();
+      publishViewers(viewer.sessionId);
+    }
+  });
+  viewer.res = res;
+  session.lastActivity = Date.now();
+  publishViewers(viewer.sessionId);
+  return true;
+}
+
+/**
+ * Remove a viewer, ending its stream with the reason
+ * @param {Object} viewer - Stored viewer
+ * @param {string} reason - 'revoked', 'expired' or 'ended', sent in the viewer's end event
+ * @returns {void}
+ */
+function removeViewer(viewer, reason) {
+  const session = sessions.get(viewer.sessionId);
+  if (viewer.res) {
+    writeEvent(viewer.res, session.nextEventId, 'end', { reason });
+    viewer.res.end();
+    viewer.res = null;
+  }
+  session.viewers.delete(viewer.id);
+  viewerTokens.delete(viewer.tokenHash);
+}
+
+/**
+ * List the devices paired to a session
+ * @param {string} id - Session id
+ * @returns {Object|null} - { viewers, pairing }, or null if the session doesn't exist
+ */
+function listViewers(id) {
+  const session = sessions.get(id);
+  return session ? describeViewers(session) : null;
+}
+
+/**
+ * Revoke one paired viewer, or every viewer and the unused pairing code
+ * @param {string} id - Session id
+ * @param {string} [viewerId] - Viewer to revoke; all of them when left out
+ * @returns {boolean} - False if the session or viewer doesn't exist
+ */
+function revokeViewers(id, viewerId) {
+  const session = sessions.get(id);
+  if (!session || (viewerId && !session.viewers.has(viewerId))) {
+    return false;
+  }
+
+  if (viewerId) {
+    removeViewer(session.viewers.get(viewerId), 'revoked');
+  } else {
+    [...session.viewers.values()].forEach(viewer => removeViewer(viewer, 'revoked'));
+    if (session.pairingCode) {
+      pairingCodes.delete(session.pairingCode);
+      session.pairingCode = null;
+    }
+  }
+  publishViewers(id);
+  return true;
+}
+
+/**
+ * Send an event to everyone watching a session
+ * @param {string} id - Session id; unknown sessions are ignored
+ * @param {string} event - Event name such as 'detection', 'token', 'answer' or 'error'
+ * @param {Object} data - Event payload, sent as JSON
+ * @returns {void}
+ */
+function publish(id, event, data) {
+  const session = sessions.get(id);
+  if (!session) {
+    return;
+  }
+
+  session.lastActivity = Date.now();
+  const eventId = session.nextEventId++;
+  for (const res of session.watchers) {
+    writeEvent(res, eventId, event, data);
+  }
+  for (const viewer of session.viewers.values()) {
+    if (viewer.res) {
+      writeEvent(viewer.res, eventId, event, data);
+    }
+  }
+}
+
+/**
+ * End a session, telling its watchers and viewers and closing their streams. Its viewer tokens and
+ * pairing code stop working
+ * @param {string} id - Session id
+ * @returns {boolean} - True if the session existed
+ */
+function endSession(id) {
+  const session = sessions.get(id);
+  if (!session) {
+    return false;
+  }
+
+  for (const res of session.watchers) {
+    writeEvent(res, session.nextEventId, 'end', { sessionId: id });
+    res.end();
+  }
+  [...session.viewers.values()].forEach(viewer => removeViewer(viewer, 'ended'));
+  if (session.pairingCode) {
+    pairingCodes.delete(session.pairingCode);
+  }
+  sessions.delete(id);
+  return true;
+}
+
+/**
+ * Disconnect expired viewers, drop expired pairing codes, and forget sessions that have had no
+ * frames and nobody following them for a while
+ * @returns {void}
+ */
+function pruneIdleSessions() {
+  const now = Date.now();
+  for (const [code, pairing] of pairingCodes) {
+    if (pairing.expiresAt <= now) {
+      pairingCodes.delete(code);
+      sessions.get(pairing.sessionId).pairingCode = null;
+      publishViewers(pairing.sessionId);
+    }
+  }
+  for (const viewer of viewerTokens.values()) {
+    if (viewer.expiresAt <= now) {
+      removeViewer(viewer, 'expired');
+      publishViewers(viewer.sessionId);
+    }
+  }
+  for (const [id, session] of sessions.entries()) {
+    const followed = session.watchers.size > 0 || [...session.viewers.values()].some(viewer => viewer.res);
+    if (!followed && now - session.lastActivity > SESSION_TTL) {
+      endSession(id);
+    }
+  }
+}
+
+/**
+ * End every session and stop pruning, when the server shuts down. Watchers get an end event and
+ * viewers one with the reason 'ended', and their streams are closed
+ * @returns {void}
+ */
+function endAllSessions() {
+  clearInterval(pruneTimer);
+  [...sessions.keys()].forEach(endSession);
+}
+
+// Prune idle sessions every minute
+const pruneTimer = setInterval(pruneIdleSessions, 60 * 1000);
+pruneTimer.unref();
+
+module.exports = {
+  createSession,
+  hasSession,
+  subscribe,
+  publish,
+  endSession,
+  createPairingCode,
+  pairViewer,
+  subscribeViewer,
+  listViewers,
+  revokeViewers,
+  endAllSessions
+};
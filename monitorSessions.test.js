@@ -0,0 +1,113 @@
+// monitorSessions.test.js - Event streams of monitoring sessions and pairing companion viewers to them
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const monitorSessions = require('./monitorSessions');
+
+test.after(() => monitorSessions.endAllSessions());
+
+/**
+ * Make a request and response pair that records what is streamed
+ * @returns {Object} - { req, res, events, ended }; events holds the parsed { id, event, data } written
+ */
+function openStream() {
+  const stream = { req: new EventEmitter(), events: [], ended: false };
+  stream.res = {
+    writeHead: status => assert.strictEqual(status, 200),
+    write: chunk => {
+      const match = /^id: (\d+)\nevent: (\w+)\ndata: (.*)\n\n$/.exec(chunk);
+      if (match) {
+        stream.events.push({ id: Number(match[1]), event: match[2], data: JSON.parse(match[3]) });
+      }
+    },
+    end: () => {
+      stream.ended = true;
+    }
+  };
+  return stream;
+}
+
+test('watchers get a ready event, then every published event with increasing ids', () => {
+  const { id } = monitorSessions.createSession();
+  const first = openStream();
+  const second = openStream();
+  assert.strictEqual(monitorSessions.subscribe(id, first.req, first.res), true);
+  assert.strictEqual(monitorSessions.subscribe(id, second.req, second.res), true);
+
+  monitorSessions.publish(id, 'detection', { detected: true });
+  second.req.emit('close');
+  monitorSessions.publish(id, 'answer', { answer: '42' });
+
+  assert.deepStrictEqual(first.events.map(event => [event.id, event.event]), [[0, 'ready'], [1, 'detection'], [2, 'answer']]);
+  assert.deepStrictEqual(first.events[0].data, { sessionId: id });
+  assert.deepStrictEqual(second.events.map(event => event.event), ['ready', 'detection']);
+});
+
+test('unknown sessions cannot be watched and publishing to them is ignored', () => {
+  const stream = openStream();
+  assert.strictEqual(monitorSessions.subscribe('missing', stream.req, stream.res), false);
+  assert.strictEqual(monitorSessions.hasSession('missing'), false);
+  monitorSessions.publish('missing', 'answer', {});
+  assert.deepStrictEqual(stream.events, []);
+});
+
+test('a session takes at most ten watchers', () => {
+  const { id } = monitorSessions.createSession();
+  for (let index = 0; index < 10; index++) {
+    const stream = openStream();
+    assert.strictEqual(monitorSessions.subscribe(id, stream.req, stream.res), true);
+  }
+  const extra = openStream();
+  assert.strictEqual(monitorSessions.subscribe(id, extra.req, extra.res), false);
+});
+
+test('ending a session tells its watchers and closes their streams', () => {
+  const { id } = monitorSessions.createSession();
+  const stream = openStream();
+  monitorSessions.subscribe(id, stream.req, stream.res);
+
+  assert.strictEqual(monitorSessions.endSession(id), true);
+  assert.deepStrictEqual(stream.events.at(-1), { id: 1, event: 'end', data: { sessionId: id } });
+  assert.strictEqual(stream.ended, true);
+  assert.strictEqual(monitorSessions.hasSession(id), false);
+  assert.strictEqual(monitorSessions.endSession(id), false);
+});
+
+test('a pairing code works once, ignoring case, spaces and dashes', () => {
+  const session = monitorSessions.createSession();
+  const { code } = monitorSessions.createPairingCode(session.id);
+  const typed = `${code.slice(0, 3).toLowerCase()}-${code.slice(3)} `;
+
+  const paired = monitorSessions.pairViewer(typed);
+  assert.ok(paired.viewer.token);
+  assert.strictEqual(paired.error, null);
+  assert.strictEqual(monitorSessions.listViewers(session.id).viewers.length, 1);
+
+  const reused = monitorSessions.pairViewer(code);
+  assert.strictEqual(reused.viewer, null);
+  assert.strictEqual(reused.limitReached, false);
+});
+
+test('a full session is reported apart from a wrong code, and the code stays usable', () => {
+  const session = monitorSessions.createSession();
+  for (let index = 0; index < 5; index++) {
+    assert.ok(monitorSessions.pairViewer(monitorSessions.createPairingCode(session.id).code).viewer);
+  }
+
+  const { code } = monitorSessions.createPairingCode(session.id);
+  const full = monitorSessions.pairViewer(code);
+  assert.strictEqual(full.viewer, null);
+  assert.strictEqual(full.limitReached, true);
+  assert.match(full.error, /At most 5 devices/);
+
+  const [first] = monitorSessions.listViewers(session.id).viewers;
+  assert.ok(monitorSessions.revokeViewers(session.id, first.id));
+  assert.ok(monitorSessions.pairViewer(code).viewer);
+});
+
+test('an unknown code is not a full session', () => {
+  const wrong = monitorSessions.pairViewer('ZZZZZZ');
+  assert.strictEqual(wrong.viewer, null);
+  assert.strictEqual(wrong.limitReached, false);
+});
@@ -0,0 +1,88 @@
+// ocr.js - Reading the text of screenshots locally, so questions in plain text can be asked as text
+
+const { createWorker, OEM } = require('tesseract.js');
+const englishData = require('@tesseract.js-data/eng');
+const config = require('./config');
+const logger = require('./logger');
+const { openImage } = require('./imagePreprocess');
+
+// One Tesseract worker, started on first use. It reads one image at a time and queues the rest
+let workerPromise = null;
+
+/**
+ * Get the Tesseract worker, starting it with the bundled English data so nothing is downloaded
+ * @returns {Promise<Object>} - Tesseract worker
+ */
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = createWorker(englishData.code, OEM.LSTM_ONLY, {
+      langPath: englishData.langPath,
+      gzip: englishData.gzip,
+      cacheMethod: 'none'
+    }).catch(err => {
+      // Try again on the next image rather than failing every image from now on
+      workerPromise = null;
+      throw err;
+    });
+  }
+  return workerPromise;
+}
+
+/**
+ * Read the text of an image
+ * @param {Buffer} buffer - Encoded image data, in any type the server accepts
+ * @returns {Promise<Object>} - { text, confidence } with confidence as a whole percentage
+ */
+async function recognizeText(buffer) {
+  // Tesseract reads grayscale PNG well, and can't read some of the types we accept
+  const png = await openImage(buffer).rotate().grayscale().png().toBuffer();
+  const worker = await getWorker();
+  const { data } = await worker.recognize(png);
+  return { text: data.text.trim(), confidence: Math.round(data.confidence) };
+}
+
+/**
+ * Read the question in a screenshot when OCR is turned on in the ocr section of the configuration,
+ * and decide whether the text is good enough to send to the model instead of the image: it must
+ * be read with at least ocr.minConfidence and hold at least ocr.minCharacters characters
+ * @param {Buffer} buffer - Encoded image data
+ * @returns {Promise<Object|null>} - { text, confidence, used }, or null when OCR is off or failed;
+ *   a failure is logged and the image is sent as it would be without OCR
+ */
+async function readQuestionText(buffer) {
+  const { enabled, minConfidence, minCharacters } = config.get().ocr;
+  if (!enabled) {
+    return null;
+  }
+
+  const startTime = Date.now();
+  try {
+    const { text, confidence } = await recognizeText(buffer);
+    const used = confidence >= minConfidence && text.replace(/\s/g, '').length >= minCharacters;
+    logger.info('OCR read an image', { durationMs: Date.now() - startTime, confidence, characters: text.length, used });
+    return { text, confidence, used };
+  } catch (err) {
+    logger.warn('OCR failed, sending the image instead', { error: err.message });
+    return null;
+  }
+}
+
+/**
+ * Stop the Tesseract worker, when the server shuts down
+ * @returns {Promise<void>}
+ */
+async function stopWorker() {
+  if (!workerPromise) {
+    return;
+  }
+  const worker = await workerPromise.catch(() => null);
+  workerPromise = null;
+  if (worker) {
+    await worker.terminate();
+  }
+}
+
+module.exports = {
+  readQuestionText,
+  stopWorker
+};
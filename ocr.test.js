@@ -0,0 +1,79 @@
+// ocr.test.js - Deciding whether the text read from a screenshot is good enough to ask as text
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const tesseract = require('tesseract.js');
+const config = require('./config');
+const logger = require('./logger');
+
+// Tesseract reads whatever the test sets, and only after it has started
+let recognized = { text: '', confidence: 0 };
+let startFailure = null;
+const createWorker = test.mock.method(tesseract, 'createWorker', async () => {
+  if (startFailure) {
+    throw startFailure;
+  }
+  return {
+    recognize: async () => {
+      if (recognized instanceof Error) {
+        throw recognized;
+      }
+      return { data: recognized };
+    },
+    terminate: async () => {}
+  };
+});
+test.mock.method(logger, 'info', () => {});
+const warnings = test.mock.method(logger, 'warn', () => {});
+const { readQuestionText, stopWorker } = require('./ocr');
+
+let ocrSettings = { enabled: true, minConfidence: 85, minCharacters: 15 };
+const realConfig = config.get();
+test.mock.method(config, 'get', () => ({ ...realConfig, ocr: ocrSettings }));
+
+let image;
+test.before(async () => {
+  image = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#ffffff' } }).png().toBuffer();
+});
+test.after(() => stopWorker());
+
+test('nothing is read while OCR is turned off', async t => {
+  ocrSettings = { ...ocrSettings, enabled: false };
+  t.after(() => {
+    ocrSettings = { ...ocrSettings, enabled: true };
+  });
+  assert.strictEqual(await readQuestionText(image), null);
+  assert.strictEqual(createWorker.mock.callCount(), 0);
+});
+
+test('clear text with enough characters is used', async () => {
+  recognized = { text: '  What is the capital of France?\n', confidence: 91.6 };
+  assert.deepStrictEqual(await readQuestionText(image), { text: 'What is the capital of France?', confidence: 92, used: true });
+});
+
+test('text read with low confidence, or too short, is kept but not used', async () => {
+  recognized = { text: 'What is the capital of France?', confidence: 84.4 };
+  assert.strictEqual((await readQuestionText(image)).used, false);
+  recognized = { text: '2 + 2 = ?   a b c', confidence: 99 };
+  assert.strictEqual((await readQuestionText(image)).used, false);
+});
+
+test('a failed read is logged and gives no text', async () => {
+  recognized = new Error('unreadable image');
+  assert.strictEqual(await readQuestionText(image), null);
+  assert.strictEqual(warnings.mock.calls.at(-1).arguments[1].error, 'unreadable image');
+  assert.strictEqual(await readQuestionText(Buffer.from('not an image')), null);
+});
+
+test('a worker that fails to start is started again for the next image', async () => {
+  await stopWorker();
+  const starts = createWorker.mock.callCount();
+  startFailure = new Error('no language data');
+  assert.strictEqual(await readQuestionText(image), null);
+
+  startFailure = null;
+  recognized = { text: 'Which planet is the largest one?', confidence: 90 };
+  assert.strictEqual((await readQuestionText(image)).used, true);
+  assert.strictEqual(createWorker.mock.callCount(), starts + 2);
+});
@@ -0,0 +1,1002 @@
+// openapi.js - OpenAPI 3 description of the /api/v1 routes, served at /api/v1/openapi.json
+
+const { ERROR_CODES } = require('./apiErrors');
+const { TYPE_NAMES } = require('./questionTypes');
+const { version } = require('./package.json');
+
+// Shorthands for the repetitive parts of the document
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ 'application/json': { schema } });
+const errorResponses = (...statuses) => Object.fromEntries(statuses.map(status => [status, { $ref: `#/components/responses/Error${status}` }]));
+const header = name => ({ $ref: `#/components/headers/${name}` });
+const quotaHeaders = { 'X-RateLimit-Limit': header('X-RateLimit-Limit'), 'X-RateLimit-Remaining': header('X-RateLimit-Remaining') };
+const idParameter = description => ({ name: 'id', in: 'path', required: true, description, schema: { type: 'string' } });
+const cardIdParameter = { name: 'cardId', in: 'path', required: true, description: 'Card id', schema: { type: 'string' } };
+
+// Fields shared by every request that asks a model for an answer
+const modelFields = {
+  provider: { type: 'string', description: 'Model provider; see GET /providers. Defaults to the server\'s MODEL_PROVIDER' },
+  model: { type: 'string', pattern: '^[A-Za-z0-9][A-Za-z0-9._:/-]{0,127}$', description: 'Model name; defaults to the provider\'s default model' },
+  apiKey: { type: 'string', description: 'Provider API key, if not sent in the X-API-Key header' }
+};
+
+// Fields that turn on consensus, where several models (or samples) answer and vote
+const consensusFields = {
+  consensus: { type: 'string', enum: ['true', 'false'], description: 'true asks several models and returns the majority answer, bypassing the cache' },
+  consensusModels: { type: 'string', description: 'Comma-separated or JSON list of models to ask; defaults to CONSENSUS_MODELS, or else the request\'s model' },
+  samples: { type: 'integer', minimum: 1, description: 'Calls per model; defaults to 1 with several models and 3 with one. At most 5 calls in all' }
+};
+
+const explainField = {
+  type: 'string',
+  enum: ['true', 'false'],
+  description: 'true also returns the step-by-step reasoning behind the answer as Markdown and sanitized HTML'
+};
+
+const cropField = {
+  type: 'string',
+  description: 'JSON region {"x","y","width","height"} in pixels, or an array of up to 10 regions stacked vertically before answering'
+};
+
+/**
+ * Build the OpenAPI document
+ * @returns {Object} - OpenAPI 3.0 document
+ */
+function buildOpenApiDocument() {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Screen Answerer API',
+      version,
+      description: 'Answers quiz questions from text, screenshots and PDFs. The routes from before /api/v1 ' +
+        '(/process_question, /process_question_with_key, /monitor_screen, /monitor_sessions, /history, /providers, ' +
+        '/stats, /hotkeys and /batch) still work as deprecated aliases and answer with Deprecation and Link headers.'
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ sessionToken: [] }, { apiKey: [] }, {}],
+    paths: {
+      '/sessions': {
+        post: {
+          summary: 'Exchange an API key, checked with the provider, for a session token',
+          security: [{ apiKey: [] }],
+          requestBody: {
+            content: json({ type: 'object', properties: { ...modelFields } })
+          },
+          responses: {
+            201: { description: 'The new session; the token is only ever returned here', content: json(ref('Session')) },
+            ...errorResponses(400, 401, 429, 502)
+          }
+        }
+      },
+      '/sessions/current': {
+        get: {
+          summary: 'Describe the session of the token in the Authorization header',
+          security: [{ sessionToken: [] }],
+          responses: {
+            200: { description: 'The session', content: json(ref('Session')) },
+            ...errorResponses(401)
+          }
+        },
+        delete: {
+          summary: 'Log out, ending the session of the token in the Authorization header',
+          security: [{ sessionToken: [] }],
+          responses: {
+            200: { description: 'Whether the session still existed', content: json({ type: 'object', properties: { revoked: { type: 'boolean' } } }) },
+            ...errorResponses(401)
+          }
+        }
+      },
+      '/sessions/revoke': {
+        post: {
+          summary: 'End every session started with the API key in X-API-Key',
+          security: [{ apiKey: [] }],
+          requestBody: {
+            content: json({ type: 'object', properties: { provider: modelFields.provider } })
+          },
+          responses: {
+            200: { description: 'Number of sessions ended', content: json({ type: 'object', properties: { revoked: { type: 'integer' } } }) },
+            ...errorResponses(400, 401)
+          }
+        }
+      },
+      '/answer': {
+        post: {
+          summary: 'Answer a text question or a screenshot of one',
+          requestBody: {
+            required: true,
+            content: {
+              'multipart/form-data': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    image: { type: 'string', format: 'binary', description: 'PNG, JPEG, WebP, GIF or BMP screenshot, up to limits.uploadMb (5MB by default)' },
+                    question: { type: 'string', description: 'Question text, when no image is sent' },
+                    crop: cropField,
+                    cache: { type: 'string', enum: ['true', 'false'], description: 'false always asks the model, leaving the cache alone' },
+                    explain: explainField,
+                    ...consensusFields,
+                    ...modelFields
+                  }
+                }
+              },
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['question'],
+                  properties: {
+                    question: { type: 'string' },
+                    cache: { type: 'boolean' },
+                    explain: { type: 'boolean', description: explainField.description },
+                    ...consensusFields,
+                    ...modelFields
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            200: { description: 'The answer; cached answers carry no quota headers', headers: quotaHeaders, content: json(ref('Answer')) },
+            ...errorResponses(400, 401, 413, 429, 500, 502)
+          }
+        }
+      },
+      '/monitor/frames': {
+        post: {
+          summary: 'Detect and answer a quiz question in a screen capture',
+          requestBody: {
+            required: true,
+            content: {
+              'multipart/form-data': {
+                schema: {
+                  type: 'object',
+                  required: ['image'],
+                  properties: {
+                    image: { type: 'string', format: 'binary' },
+                    crop: cropField,
+                    sessionId: { type: 'string', description: 'Monitoring session to push events to' },
+                    detectionMode: { type: 'string', enum: ['combined', 'two-step'], default: 'combined' },
+                    skipUnchanged: { type: 'string', enum: ['true', 'false'], default: 'true' },
+                    explain: explainField,
+                    ...consensusFields,
+                    ...modelFields
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            200: { description: 'Detection result, with the answer when a question was found; unchanged frames and cached answers carry no quota headers', headers: quotaHeaders, content: json(ref('FrameResult')) },
+            ...errorResponses(400, 401, 404, 413, 429, 500, 502)
+          }
+        }
+      },
+      '/monitor/sessions': {
+        post: {
+          summary: 'Start a monitoring session',
+          responses: {
+            201: { description: 'The new session', content: json(ref('MonitorSession')) }
+          }
+        }
+      },
+      '/monitor/sessions/{id}': {
+        delete: {
+          summary: 'End a monitoring session and disconnect its watchers and paired viewers',
+          parameters: [idParameter('Session id')],
+          responses: {
+            204: { description: 'Session ended' },
+            ...errorResponses(404)
+          }
+        }
+      },
+      '/monitor/sessions/{id}/events': {
+        get: {
+          summary: 'Stream a session\'s ready, frame, detection, token, answer, error and end events, and viewers events when its paired viewers change',
+          parameters: [idParameter('Session id')],
+          responses: {
+            200: { description: 'Server-Sent Events stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+            ...errorResponses(404)
+          }
+        }
+      },
+      '/monitor/sessions/{id}/pairing': {
+        post: {
+          summary: 'Create a one-time code another device can pair with to follow the session, replacing any unused one',
+          parameters: [idParameter('Session id')],
+          responses: {
+            201: { description: 'The pairing code', content: json(ref('PairingCode')) },
+            ...errorResponses(404)
+          }
+        }
+      },
+      '/monitor/sessions/{id}/viewers': {
+        get: {
+          summary: 'List the devices paired to a session and its unused pairing code',
+          parameters: [idParameter('Session id')],
+          responses: {
+            200: { description: 'Paired viewers', content: json(ref('SessionViewers')) },
+            ...errorResponses(404)
+          }
+        },
+        delete: {
+          summary: 'Revoke every paired device and the unused pairing code',
+          parameters: [idParameter('Session id')],
+          responses: {
+            204: { description: 'Viewers revoked' },
+            ...errorResponses(404)
+          }
+        }
+      },
+      '/monitor/sessions/{id}/viewers/{viewerId}': {
+        delete: {
+          summary: 'Revoke one paired device, disconnecting it',
+          parameters: [
+            idParameter('Session id'),
+            { name: 'viewerId', in: 'path', required: true, description: 'Viewer id', schema: { type: 'string' } }
+          ],
+          responses: {
+            204: { description: 'Viewer revoked' },
+            ...errorResponses(404)
+          }
+        }
+      },
+      '/viewer/pair': {
+        post: {
+          summary: 'Exchange a pairing code for a viewer token; each code works once, within ten minutes',
+          security: [{}],
+          requestBody: {
+            required: true,
+            content: json({
+              type: 'object',
+              required: ['code'],
+              properties: { code: { type: 'string', description: 'Code shown on the monitoring page; case, spaces and dashes are ignored' } }
+            })
+          },
+          responses: {
+            201: { description: 'The viewer token, which only ever appears in this response', content: json(ref('Viewer')) },
+            ...errorResponses(400, 404, 409)
+          }
+        }
+      },
+      '/viewer/events': {
+        get: {
+          summary: 'Stream the paired session\'s ready, frame, detection, token, answer, error and end events',
+          security: [{}],
+          parameters: [{ name: 'token', in: 'query', required: true, description: 'Viewer token from POST /viewer/pair', schema: { type: 'string' } }],
+          responses: {
+            200: { description: 'Server-Sent Events stream; the end event\'s reason is revoked, expired or ended', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+            ...errorResponses(401)
+          }
+        }
+      },
+      '/batch': {
+        post: {
+          summary: 'Queue a job answering every question in a set of images and PDFs',
+          requestBody: {
+            required: true,
+            content: {
+              'multipart/form-data': {
+                schema: {
+                  type: 'object',
+                  required: ['files'],
+                  properties: {
+                    files: { type: 'array', items: { type: 'string', format: 'binary' }, description: 'Images or PDFs with a text layer, by default up to 20 files of 20MB each' },
+                    ...modelFields
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            202: { description: 'The queued job', content: json(ref('BatchJob')) },
+            ...errorResponses(400, 401, 413, 429)
+          }
+        }
+      },
+      '/batch/{id}': {
+        get: {
+          summary: 'Batch job progress',
+          parameters: [idParameter('Job id')],
+          responses: {
+            200: { description: 'The job', content: json(ref('BatchJob')) },
+            ...errorResponses(404)
+          }
+        },
+        delete: {
+          summary: 'Cancel the pages of a batch job that haven\'t started',
+          parameters: [idParameter('Job id')],
+          responses: {
+            200: { description: 'The cancelled job', content: json(ref('BatchJob')) },
+            ...errorResponses(404)
+          }
+        }
+      },
+      '/batch/{id}/results': {
+        get: {
+          summary: 'Download a batch job\'s answers',
+          parameters: [
+            idParameter('Job id'),
+            { name: 'format', in: 'query', schema: { type: 'string', enum: ['json', 'csv'], default: 'json' } }
+          ],
+          responses: {
+            200: { description: 'One row per answered question, plus one per failed page', content: { 'application/json': {}, 'text/csv': {} } },
+            ...errorResponses(400, 404)
+          }
+        }
+      },
+      '/decks': {
+        get: {
+          summary: 'List study decks',
+          responses: {
+            200: { description: 'Every deck with its card counts', content: json({ type: 'object', properties: { decks: { type: 'array', items: ref('Deck') } } }) }
+          }
+        },
+        post: {
+          summary: 'Create an empty study deck',
+          requestBody: { required: true, content: json({ type: 'object', required: ['name'], properties: { name: { type: 'string', maxLength: 100, description: 'Unique, ignoring case' } } }) },
+          responses: {
+            201: { description: 'The new deck', content: json(ref('Deck')) },
+            ...errorResponses(400)
+          }
+        }
+      },
+      '/decks/{id}': {
+        patch: {
+          summary: 'Rename a study deck',
+          parameters: [idParameter('Deck id')],
+          requestBody: { required: true, content: json({ type: 'object', required: ['name'], properties: { name: { type: 'string', maxLength: 100 } } }) },
+          responses: {
+            200: { description: 'The renamed deck', content: json(ref('Deck')) },
+            ...errorResponses(400, 404)
+          }
+        },
+        delete: {
+          summary: 'Delete a study deck and its cards',
+          parameters: [idParameter('Deck id')],
+          responses: {
+            200: { description: 'Deleted', content: json({ type: 'object', properties: { deleted: { type: 'boolean' } } }) },
+            ...errorResponses(404)
+          }
+        }
+      },
+      '/decks/{id}/cards': {
+        get: {
+          summary: 'Every card in a deck with its review schedule',
+          parameters: [idParameter('Deck id')],
+          responses: {
+            200: { description: 'The deck and its cards, in the order they were added', content: json({ type: 'object', properties: { deck: ref('Deck'), cards: { type: 'array', items: ref('Card') } } }) },
+            ...errorResponses(404)
+          }
+        },
+        post: {
+          summary: 'Add a card to a deck',
+          description: 'A card whose front matches one already in the deck, ignoring case and spacing, updates that card ' +
+            'instead and keeps its schedule, so a question collected from several frames becomes one card.',
+          parameters: [idParameter('Deck id')],
+          requestBody: {
+            required: true,
+            content: json({
+              type: 'object',
+              required: ['front', 'back'],
+              properties: {
+                front: { type: 'string', description: 'Question side, in Markdown' },
+                back: { type: 'string', description: 'Answer side, in Markdown' },
+                explanation: { type: 'string', description: 'Reasoning behind the answer, in Markdown' },
+                tags: { oneOf: [{ type: 'array', items: { type: 'string' } }, { type: 'string' }], description: 'Words, or one space-separated string' },
+                historyId: { type: 'string', description: 'History entry the card was collected from' }
+              }
+            })
+          },
+          responses: {
+            200: { description: 'An existing card was updated', content: json(ref('CardAdded')) },
+            201: { description: 'The card was added', content: json(ref('CardAdded')) },
+            ...errorResponses(400, 404)
+          }
+        }
+      },
+      '/decks/{id}/cards/{cardId}': {
+        delete: {
+          summary: 'Delete a card',
+          parameters: [idParameter('Deck id'), cardIdParameter],
+          responses: {
+            200: { description: 'Deleted', content: json({ type: 'object', properties: { deleted: { type: 'boolean' } } }) },
+            ...errorResponses(404)
+          }
+        }
+      },
+      '/decks/{id}/review': {
+        get: {
+          summary: 'Cards due for review, most overdue first',
+          parameters: [
+            idParameter('Deck id'),
+            { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 200, default: 20 } }
+          ],
+          responses: {
+            200: { description: 'The deck and its due cards', content: json({ type: 'object', properties: { deck: ref('Deck'), cards: { type: 'array', items: ref('Card') } } }) },
+            ...errorResponses(404)
+          }
+        }
+      },
+      '/decks/{id}/cards/{cardId}/review': {
+        post: {
+          summary: 'Grade a review and schedule the card\'s next one',
+          description: 'Cards are scheduled with SM-2: a grade of 3 or more lengthens the interval to 1 day, then 6, then ' +
+            'the previous interval times the card\'s ease; a lower grade starts the card over at 1 day. Every grade adjusts the ease.',
+          parameters: [idParameter('Deck id'), cardIdParameter],
+          requestBody: {
+            required: true,
+            content: json({
+              type: 'object',
+              required: ['grade'],
+              properties: { grade: { type: 'integer', minimum: 0, maximum: 5, description: '0 for no recall up to 5 for perfect recall' } }
+            })
+          },
+          responses: {
+            200: { description: 'The card with its new schedule, and the deck\'s counts', content: json({ type: 'object', properties: { card: ref('Card'), deck: ref('Deck') } }) },
+            ...errorResponses(400, 404)
+          }
+        }
+      },
+      '/decks/{id}/export': {
+        get: {
+          summary: 'Download a deck as CSV for Anki',
+          description: 'Front, back and tags columns of HTML, with Anki header lines naming the separator, the tags column ' +
+            'and the deck. The explanation follows the answer on the back, under a horizontal rule.',
+          parameters: [idParameter('Deck id')],
+          responses: {
+            200: { description: 'The deck\'s cards', content: { 'text/csv': {} } },
+            ...errorResponses(404)
+          }
+        }
+      },
+      '/decks/{id}/import': {
+        post: {
+          summary: 'Add the cards of a CSV or tab-separated file, such as an Anki export, to a deck',
+          description: 'Anki header lines set the separator, HTML and tag columns; guid, note type and deck columns are ' +
+            'skipped. The first two note fields become the front and back. Cards whose front is already in the deck update it. ' +
+            'A file with a bad row is refused whole, with a 400 whose details list each bad row.',
+          parameters: [idParameter('Deck id')],
+          requestBody: {
+            required: true,
+            content: {
+              'multipart/form-data': {
+                schema: { type: 'object', required: ['file'], properties: { file: { type: 'string', format: 'binary' } } }
+              }
+            }
+          },
+          responses: {
+            200: {
+              description: 'How many cards were added and updated',
+              content: json({
+                type: 'object',
+                properties: {
+                  deck: ref('Deck'),
+                  added: { type: 'integer' },
+                  updated: { type: 'integer' }
+                }
+              })
+            },
+            ...errorResponses(400, 404, 413)
+          }
+        }
+      },
+      '/history': {
+        get: {
+          summary: 'List answered questions, newest first',
+          parameters: [
+            { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1 } },
+            { name: 'search', in: 'query', schema: { type: 'string' } },
+            { name: 'from', in: 'query', schema: { type: 'string', format: 'date' } },
+            { name: 'to', in: 'query', schema: { type: 'string', format: 'date' } }
+          ],
+          responses: {
+            200: { description: 'A page of history entries', content: json(ref('HistoryPage')) }
+          }
+        }
+      },
+      '/history/export': {
+        get: {
+          summary: 'Download the (optionally filtered) history',
+          parameters: [
+            { name: 'format', in: 'query', schema: { type: 'string', enum: ['json', 'csv', 'markdown'], default: 'json' } },
+            { name: 'search', in: 'query', schema: { type: 'string' } },
+            { name: 'from', in: 'query', schema: { type: 'string', format: 'date' } },
+            { name: 'to', in: 'query', schema: { type: 'string', format: 'date' } }
+          ],
+          responses: {
+            200: { description: 'The exported history', content: { 'application/json': {}, 'text/csv': {}, 'text/markdown': {} } },
+            ...errorResponses(400)
+          }
+        }
+      },
+      '/history/{id}': {
+        delete: {
+          summary: 'Delete a history entry',
+          parameters: [idParameter('Entry id')],
+          responses: {
+            200: { description: 'Deleted', content: json({ type: 'object', properties: { deleted: { type: 'boolean' } } }) },
+            ...errorResponses(404)
+          }
+        }
+      },
+      '/history/{id}/feedback': {
+        post: {
+          summary: 'Mark an answer right or wrong',
+          description: 'A wrong answer is evicted from the cache, or replaced there by correctAnswer when one is given, ' +
+            'so the same question gets the right answer from then on. Sending feedback again replaces the earlier verdict. ' +
+            'Only the key or session that asked the question, or its address when it sent no key, may give feedback on it.',
+          parameters: [idParameter('Entry id')],
+          requestBody: {
+            required: true,
+            content: json({
+              type: 'object',
+              properties: {
+                correct: { type: 'boolean', description: 'May be left out when correctAnswer is given' },
+                correctAnswer: { type: 'string', description: 'The right answer; options may be named by letter, as in "B" or "A, C"' }
+              }
+            })
+          },
+          responses: {
+            200: {
+              description: 'The recorded feedback and what happened to the cached answer',
+              content: json({
+                type: 'object',
+                properties: {
+                  historyId: { type: 'string' },
+                  feedback: ref('Feedback'),
+                  cache: { type: 'string', enum: ['kept', 'evicted', 'overridden', 'none'] }
+                }
+              })
+            },
+            ...errorResponses(400, 403, 404)
+          }
+        }
+      },
+      '/providers': {
+        get: {
+          summary: 'Available model providers',
+          responses: {
+            200: {
+              description: 'Providers and the default',
+              content: json({
+                type: 'object',
+                properties: {
+                  defaultProvider: { type: 'string' },
+                  providers: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        name: { type: 'string' },
+                        defaultModel: { type: 'string' },
+                        requiresClientApiKey: { type: 'boolean' }
+                      }
+                    }
+                  }
+                }
+              })
+            }
+          }
+        }
+      },
+      '/config': {
+        get: {
+          summary: 'Model choices, monitoring intervals and limits from the server configuration',
+          responses: {
+            200: { description: 'The client-facing settings', content: json(ref('Config')) }
+          }
+        }
+      },
+      '/stats': {
+        get: {
+          summary: 'Usage statistics',
+          responses: {
+            200: { description: 'Totals, per-day and per-model counters', content: json({ type: 'object', additionalProperties: true }) }
+          }
+        }
+      },
+      '/stats/accuracy': {
+        get: {
+          summary: 'Answer accuracy from feedback, least accurate first',
+          parameters: [
+            { name: 'minFeedback', in: 'query', description: 'Leave out rows with fewer verdicts', schema: { type: 'integer', minimum: 1, default: 1 } }
+          ],
+          responses: {
+            200: { description: 'Accuracy overall and per model, question type and model/prompt combination', content: json(ref('AccuracyReport')) },
+            ...errorResponses(400)
+          }
+        }
+      },
+      '/hotkeys': {
+        get: {
+          summary: 'Keyboard shortcut bindings',
+          responses: {
+            200: { description: 'Combo for each action', content: json(ref('Hotkeys')) }
+          }
+        },
+        put: {
+          summary: 'Rebind keyboard shortcuts; actions not given keep their binding',
+          requestBody: { required: true, content: json(ref('Hotkeys')) },
+          responses: {
+            200: { description: 'The saved bindings', content: json(ref('Hotkeys')) },
+            ...errorResponses(400, 409)
+          }
+        }
+      },
+      '/openapi.json': {
+        get: {
+          summary: 'This document',
+          responses: {
+            200: { description: 'OpenAPI document', content: json({ type: 'object' }) }
+          }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        sessionToken: { type: 'http', scheme: 'bearer', description: 'Session token from POST /sessions' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'Provider API key; optional for providers with a server-side key' }
+      },
+      headers: {
+        'X-RateLimit-Limit': { description: 'Calls per minute allowed for this API key and model', schema: { type: 'integer' } },
+        'X-RateLimit-Remaining': { description: 'Calls left in the key\'s bucket for this model', schema: { type: 'integer' } },
+        'Retry-After': { description: 'Seconds until the next call is allowed', schema: { type: 'integer' } }
+      },
+      responses: Object.fromEntries([400, 401, 403, 404, 409, 413, 429, 500, 502].map(status => [
+        `Error${status}`,
+        {
+          description: `Error; code is one of ${Object.keys(ERROR_CODES).filter(code => ERROR_CODES[code].status === status).join(', ')}`,
+          ...(status === 429 ? { headers: { 'Retry-After': header('Retry-After') } } : {}),
+          content: json(ref('Error'))
+        }
+      ])),
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: {
+              type: 'object',
+              required: ['code', 'message'],
+              properties: {
+                code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+                message: { type: 'string' },
+                details: { description: 'Extra information for some codes, such as validation problems or the upstream status' }
+              }
+            }
+          }
+        },
+        Answer: {
+          type: 'object',
+          properties: {
+            question: { type: 'string' },
+            options: { type: 'array', items: { type: 'string' } },
+            selectedIndexes: { type: 'array', items: { type: 'integer' } },
+            selectedLetters: { type: 'array', items: { type: 'string' } },
+            answer: { type: 'string' },
+            answerHtml: { type: 'string', description: 'The answer rendered from Markdown to sanitized HTML, with math as MathML' },
+            explanation: { type: 'string', description: 'Step-by-step reasoning in Markdown; empty unless explain was true' },
+            explanationHtml: { type: 'string', description: 'The explanation rendered like answerHtml' },
+            type: { type: 'string', enum: TYPE_NAMES },
+            details: { type: 'object', description: 'Type-specific answer, such as {"value", "unit"} for numeric questions' },
+            warnings: { type: 'array', items: { type: 'string' } },
+            confidence: { type: 'number', nullable: true, minimum: 0, maximum: 1 },
+            answers: { type: 'array', items: { type: 'string' }, description: 'Answer lines for display' },
+            format: { type: 'string', enum: ['json', 'text'] },
+            cached: { type: 'boolean' },
+            historyId: { type: 'string', description: 'History entry of the answer, for POST /history/{id}/feedback' },
+            ocr: ref('OcrResult'),
+            consensus: ref('Consensus')
+          }
+        },
+        OcrResult: {
+          type: 'object',
+          description: 'Only present when OCR read the image (ocr.enabled in the configuration)',
+          properties: {
+            text: { type: 'string', description: 'Text read from the image' },
+            confidence: { type: 'integer', minimum: 0, maximum: 100 },
+            used: { type: 'boolean', description: 'True when the text was sent to the model instead of the image' }
+          }
+        },
+        Consensus: {
+          type: 'object',
+          description: 'Only present on consensus answers',
+          properties: {
+            agreement: { type: 'number', minimum: 0, maximum: 1, description: 'Share of the answers that agree with the returned one' },
+            agreeing: { type: 'integer' },
+            responded: { type: 'integer', description: 'Calls that returned an answer' },
+            calls: { type: 'integer' },
+            unanimous: { type: 'boolean' },
+            results: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  model: { type: 'string' },
+                  detected: { type: 'boolean' },
+                  answer: { type: 'string', nullable: true },
+                  agrees: { type: 'boolean' },
+                  error: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        FrameResult: {
+          allOf: [
+            ref('Answer'),
+            {
+              type: 'object',
+              properties: {
+                detected: { type: 'boolean' },
+                detectionMode: { type: 'string', enum: ['combined', 'two-step'] },
+                message: { type: 'string' },
+                unchanged: { type: 'boolean', description: 'True when the frame matched a recent one and its response was reused' },
+                skippedFrames: { type: 'integer' }
+              }
+            }
+          ]
+        },
+        Session: {
+          type: 'object',
+          properties: {
+            token: { type: 'string', description: 'Only returned when the session is created' },
+            tokenType: { type: 'string', enum: ['Bearer'] },
+            provider: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+            expiresAt: { type: 'string', format: 'date-time', description: 'Moves forward while the session is used' },
+            idleTimeoutSeconds: { type: 'integer' }
+          }
+        },
+        Config: {
+          type: 'object',
+          properties: {
+            models: {
+              type: 'object',
+              properties: {
+                provider: { type: 'string', description: 'Provider used when a request names none' },
+                defaults: { type: 'object', additionalProperties: { type: 'string' }, description: 'Default model of each provider' },
+                choices: {
+                  type: 'array',
+                  description: 'Models to offer, fastest first',
+                  items: { type: 'object', properties: { model: { type: 'string' }, label: { type: 'string' } } }
+                }
+              }
+            },
+            monitoring: {
+              type: 'object',
+              properties: {
+                minIntervalMs: { type: 'integer' },
+                maxIntervalMs: { type: 'integer' },
+                frameChangeThreshold: { type: 'integer', description: 'Differing hash bits (of 4096) up to which frames count as unchanged' }
+              }
+            },
+            limits: {
+              type: 'object',
+              properties: {
+                uploadMb: { type: 'number' },
+                batchUploadMb: { type: 'number' },
+                batchFiles: { type: 'integer' },
+                batchPages: { type: 'integer' }
+              }
+            },
+            consensus: {
+              type: 'object',
+              properties: {
+                maxCalls: { type: 'integer' },
+                defaultSamples: { type: 'integer' }
+              }
+            },
+            sessionIdleMinutes: { type: 'integer' },
+            loadedAt: { type: 'string', format: 'date-time', description: 'When the configuration was last loaded' }
+          }
+        },
+        MonitorSession: {
+          type: 'object',
+          properties: {
+            sessionId: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+            eventsUrl: { type: 'string' },
+            watchUrl: { type: 'string' }
+          }
+        },
+        PairingCode: {
+          type: 'object',
+          properties: {
+            code: { type: 'string', description: 'Six letters and digits' },
+            expiresAt: { type: 'string', format: 'date-time' },
+            viewerUrl: { type: 'string', description: 'Viewer page that pairs with the code when opened' },
+            qrCode: { type: 'string', description: 'data: URL of an SVG QR code of the viewer page\'s full address' }
+          }
+        },
+        SessionViewers: {
+          type: 'object',
+          properties: {
+            viewers: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  pairedAt: { type: 'string', format: 'date-time' },
+                  expiresAt: { type: 'string', format: 'date-time' },
+                  connected: { type: 'boolean' }
+                }
+              }
+            },
+            pairing: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                code: { type: 'string' },
+                expiresAt: { type: 'string', format: 'date-time' }
+              }
+            }
+          }
+        },
+        Viewer: {
+          type: 'object',
+          properties: {
+            token: { type: 'string' },
+            viewerId: { type: 'string' },
+            expiresAt: { type: 'string', format: 'date-time', description: 'Twelve hours after pairing, or earlier if the session ends' },
+            eventsUrl: { type: 'string' }
+          }
+        },
+        BatchJob: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            status: { type: 'string', enum: ['queued', 'running', 'completed', 'cancelled'] },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+            finishedAt: { type: 'string', format: 'date-time', nullable: true },
+            provider: { type: 'string' },
+            model: { type: 'string' },
+            totalPages: { type: 'integer' },
+            completedPages: { type: 'integer' },
+            failedPages: { type: 'integer' },
+            progress: { type: 'number', minimum: 0, maximum: 1 },
+            questions: { type: 'integer' },
+            pages: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  file: { type: 'string' },
+                  page: { type: 'integer' },
+                  status: { type: 'string', enum: ['queued', 'running', 'done', 'failed', 'skipped'] },
+                  error: { type: 'string', nullable: true },
+                  questions: { type: 'integer' }
+                }
+              }
+            },
+            statusUrl: { type: 'string' },
+            resultsUrl: { type: 'string' }
+          }
+        },
+        HistoryPage: {
+          type: 'object',
+          properties: {
+            entries: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  timestamp: { type: 'string', format: 'date-time' },
+                  endpoint: { type: 'string' },
+                  type: { type: 'string', enum: ['text', 'image'] },
+                  question: { type: 'string', nullable: true, description: 'The question asked, or for images the question the model read from them; null when it gave none' },
+                  questionType: { type: 'string', nullable: true },
+                  provider: { type: 'string' },
+                  model: { type: 'string' },
+                  answers: { type: 'array', items: { type: 'string' } },
+                  latencyMs: { type: 'integer' },
+                  cached: { type: 'boolean' },
+                  prompt: { type: 'string', nullable: true, description: 'Prompt template used, with "+explain" when explain mode was on' },
+                  promptVersion: { type: 'string', nullable: true, description: 'Hash of the template\'s text when the answer was given' },
+                  ocr: { ...ref('OcrResult'), nullable: true },
+                  feedback: { ...ref('Feedback'), nullable: true }
+                }
+              }
+            },
+            page: { type: 'integer' },
+            limit: { type: 'integer' },
+            total: { type: 'integer' },
+            totalPages: { type: 'integer' }
+          }
+        },
+        Feedback: {
+          type: 'object',
+          properties: {
+            correct: { type: 'boolean' },
+            correctAnswer: { type: 'string', nullable: true },
+            submittedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        AccuracyReport: {
+          type: 'object',
+          properties: {
+            overall: ref('Accuracy'),
+            models: { type: 'array', items: { allOf: [ref('Accuracy'), { type: 'object', properties: { model: { type: 'string' } } }] } },
+            questionTypes: { type: 'array', items: { allOf: [ref('Accuracy'), { type: 'object', properties: { type: { type: 'string' } } }] } },
+            combinations: {
+              type: 'array',
+              items: {
+                allOf: [ref('Accuracy'), {
+                  type: 'object',
+                  properties: { model: { type: 'string' }, prompt: { type: 'string' }, promptVersion: { type: 'string' } }
+                }]
+              }
+            }
+          }
+        },
+        Accuracy: {
+          type: 'object',
+          properties: {
+            correct: { type: 'integer' },
+            incorrect: { type: 'integer' },
+            total: { type: 'integer' },
+            accuracy: { type: 'number', minimum: 0, maximum: 1, nullable: true }
+          }
+        },
+        Deck: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+            cards: { type: 'integer' },
+            due: { type: 'integer', description: 'Cards due for review now' },
+            new: { type: 'integer', description: 'Cards never reviewed' }
+          }
+        },
+        Card: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            front: { type: 'string' },
+            back: { type: 'string' },
+            explanation: { type: 'string' },
+            frontHtml: { type: 'string', description: 'The front rendered from Markdown like answerHtml' },
+            backHtml: { type: 'string' },
+            explanationHtml: { type: 'string' },
+            tags: { type: 'array', items: { type: 'string' } },
+            historyId: { type: 'string', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' },
+            repetitions: { type: 'integer', description: 'Passing reviews in a row' },
+            interval: { type: 'integer', description: 'Days until the next review' },
+            ease: { type: 'number', minimum: 1.3 },
+            due: { type: 'string', format: 'date-time' },
+            reviews: { type: 'integer' },
+            lapses: { type: 'integer', description: 'Times the card was forgotten' },
+            lastReviewedAt: { type: 'string', format: 'date-time', nullable: true },
+            lastGrade: { type: 'integer', nullable: true }
+          }
+        },
+        CardAdded: {
+          type: 'object',
+          properties: {
+            card: ref('Card'),
+            added: { type: 'boolean', description: 'False when an existing card with the same front was updated' }
+          }
+        },
+        Hotkeys: {
+          type: 'object',
+          properties: {
+            startMonitoring: { type: 'string', example: 'Alt+S' },
+            stopMonitoring: { type: 'string', example: 'Alt+X' },
+            openSettings: { type: 'string', example: 'Alt+O' },
+            clearResults: { type: 'string', example: 'Alt+C' },
+            lastUpdated: { type: 'string', format: 'date-time', nullable: true, readOnly: true }
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  buildOpenApiDocument
+};
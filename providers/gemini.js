@@ -0,0 +1,117 @@
+// providers/gemini.js - Google Gemini provider
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { providerError } = require('../apiErrors');
+
+const API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+const VALIDATE_TIMEOUT = 10 * 1000;
+
+/**
+ * Convert an error from the Gemini SDK into a typed provider error
+ * @param {Error} error - SDK error; failed requests carry "[status statusText]" in the message
+ * @param {string} apiKey - Key used for the request, kept out of the error
+ * @returns {Error} - Typed error from apiErrors.providerError
+ */
+function toGeminiError(error, apiKey) {
+  const match = /\[(\d{3})[^\]]*\]/.exec(error.message || '');
+  let status = match ? Number(match[1]) : null;
+  // Gemini answers an unknown key with 400 rather than 401
+  if (status === 400 && /API key not valid|API_KEY_INVALID/.test(error.message)) {
+    status = 401;
+  }
+  return providerError('gemini', status, error.message, apiKey);
+}
+
+/**
+ * Create the Gemini provider
+ * @returns {Object} - Provider implementing the interface described in providers/index.js
+ */
+function createGeminiProvider() {
+  return {
+    name: 'gemini',
+    // Gemini keys are always supplied by the user
+    apiKey: null,
+    requiresApiKey: true,
+    apiKeyPattern: /^AIza[0-9A-Za-z_-]{35}$/,
+
+    /**
+     * Check that a key works by looking up the model, which costs no generation quota
+     * @param {Object} request - Validation request
+     * @param {string} request.apiKey - Gemini API key
+     * @param {string} request.model - Model the key will be used with
+     * @returns {Promise<void>} - Rejects with a typed provider error if the key or model is refused
+     */
+    async validateKey({ apiKey, model }) {
+      let response;
+      try {
+        response = await fetch(`${API_BASE_URL}/models/${encodeURIComponent(model)}`, {
+          headers: { 'x-goog-api-key': apiKey },
+          signal: AbortSignal.timeout(VALIDATE_TIMEOUT)
+        });
+      } catch (error) {
+        throw providerError('gemini', null, error.message, apiKey);
+      }
+      if (!response.ok) {
+        const body = await response.text().catch(() => '');
+        throw toGeminiError(new Error(`[${response.status} ${response.statusText}] ${body}`), apiKey);
+      }
+    },
+
+    /**
+     * Generate a response from a Gemini model
+     * @param {Object} request - Generation request
+     * @param {string} request.apiKey - Gemini API key
+     * @param {string} request.model - Model name
+     * @param {string} request.prompt - Prompt text
+     * @param {Object} [request.image] - Image with base64 data and mimeType
+     * @returns {Promise<string>} - The generated text
+     */
+    async generate({ apiKey, model, prompt, image }) {
+      // Initialize Gemini AI with the provided API key
+      const genAI = new GoogleGenerativeAI(apiKey);
+      const generativeModel = genAI.getGenerativeModel({ model });
+
+      const request = image
+        ? [prompt, { inlineData: { data: image.data, mimeType: image.mimeType } }]
+        : prompt;
+      try {
+        const result = await generativeModel.generateContent(request);
+        return result.response.text();
+      } catch (error) {
+        throw toGeminiError(error, apiKey);
+      }
+    },
+
+    /**
+     * Stream a response from a Gemini model, reporting text as it arrives
+     * @param {Object} request - Generation request, as for generate
+     * @param {Function} request.onToken - Called with each new chunk of text
+     * @returns {Promise<string>} - The complete generated text
+     */
+    async generateStream({ apiKey, model, prompt, image, onToken }) {
+      const genAI = new GoogleGenerativeAI(apiKey);
+      const generativeModel = genAI.getGenerativeModel({ model });
+
+      const request = image
+        ? [prompt, { inlineData: { data: image.data, mimeType: image.mimeType } }]
+        : prompt;
+      try {
+        const result = await generativeModel.generateContentStream(request);
+
+        let text = '';
+        for await (const chunk of result.stream) {
+          const token = chunk.text();
+          if (token) {
+            text += token;
+            onToken(token);
+          }
+        }
+        return text;
+      } catch (error) {
+        throw toGeminiError(error, apiKey);
+      }
+    }
+  };
+}
+
+module.exports = createGeminiProvider;
@@ -0,0 +1,86 @@
+// providers/index.js - Registry of model providers
+//
+// Every provider exposes the same shape so the endpoints don't care which backend answers:
+//   name            - Identifier clients pass as `provider`
+//   defaultModel    - Model used when the request doesn't name one, from the models section of
+//                     the configuration
+//   apiKey          - Server-side key from the environment, or null
+//   requiresApiKey  - Whether a key must be available for requests to succeed
+//   apiKeyPattern   - Optional RegExp that client-supplied keys must match
+//   validateKey({ apiKey, model }) - Resolves if the provider accepts the key, without using
+//                     generation quota; used before a key is exchanged for a session
+//   generate({ apiKey, model, prompt, image }) - Resolves to the generated text;
+//                     image is optional and holds base64 `data` and a `mimeType`
+//   generateStream({ apiKey, model, prompt, image, onToken }) - Same as generate, but calls
+//                     onToken with each chunk of text as it arrives
+//
+// Failed requests reject with the typed errors from apiErrors.providerError, so callers can tell
+// a rejected key or an exhausted quota from other failures without reading the message. Keys are
+// redacted from those errors, so they can be logged and returned to clients
+
+const config = require('../config');
+const createGeminiProvider = require('./gemini');
+const createOpenAICompatibleProvider = require('./openaiCompatible');
+
+const providers = {
+  gemini: createGeminiProvider(),
+  openai: createOpenAICompatibleProvider({
+    name: 'openai',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_API_KEY || null,
+    requiresApiKey: true
+  }),
+  // Self-hosted OpenAI-compatible server; defaults to Ollama's endpoint
+  local: createOpenAICompatibleProvider({
+    name: 'local',
+    baseUrl: process.env.LOCAL_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LOCAL_API_KEY || null,
+    requiresApiKey: false
+  })
+};
+
+// Model names as providers write them, such as gemini-2.0-flash, llava:13b or org/model-7b
+const MODEL_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:/-]{0,127}$/;
+
+// Default models are looked up on each use, so they follow changes to the configuration
+Object.values(providers).forEach(provider => {
+  Object.defineProperty(provider, 'defaultModel', { enumerable: true, get: () => config.get().models[provider.name] });
+});
+
+/**
+ * Look up a provider by name
+ * @param {string} [name] - Provider name; defaults to the configured models.provider
+ * @returns {Object|null} - The provider, or null if no provider has that name
+ */
+function getProvider(name) {
+  const key = String(name || config.get().models.provider).toLowerCase();
+  return Object.prototype.hasOwnProperty.call(providers, key) ? providers[key] : null;
+}
+
+/**
+ * Check a model name sent by a client. Model names key statistics, quotas and metrics, so names
+ * that Object.prototype already holds, such as constructor, are refused too
+ * @param {*} name - Model name
+ * @returns {boolean} - True if the name is usable
+ */
+function isValidModelName(name) {
+  return typeof name === 'string' && MODEL_NAME_PATTERN.test(name) && !(name in Object.prototype);
+}
+
+/**
+ * Describe the available providers without exposing any keys
+ * @returns {Object[]} - Name, default model and whether a key must be supplied by the client
+ */
+function listProviders() {
+  return Object.values(providers).map(provider => ({
+    name: provider.name,
+    defaultModel: provider.defaultModel,
+    requiresClientApiKey: provider.requiresApiKey && !provider.apiKey
+  }));
+}
+
+module.exports = {
+  getProvider,
+  isValidModelName,
+  listProviders
+};
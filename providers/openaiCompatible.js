@@ -0,0 +1,149 @@
+// providers/openaiCompatible.js - Provider for OpenAI-compatible chat completion APIs
+// Works with OpenAI itself and with self-hosted servers such as Ollama and llama.cpp
+
+const { providerError } = require('../apiErrors');
+
+const REQUEST_TIMEOUT = 120 * 1000; // Local models on CPU can be slow to answer
+const VALIDATE_TIMEOUT = 10 * 1000;
+
+/**
+ * Create a provider that talks to an OpenAI-compatible /chat/completions endpoint
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name used in requests
+ * @param {string} options.baseUrl - API base URL, e.g. https://api.openai.com/v1
+ * @param {string|null} [options.apiKey] - Server-side API key used when the request doesn't supply one
+ * @param {boolean} [options.requiresApiKey] - Whether requests without any key should be rejected
+ * @returns {Object} - Provider implementing the interface described in providers/index.js
+ */
+function createOpenAICompatibleProvider({ name, baseUrl, apiKey = null, requiresApiKey = false }) {
+  /**
+   * Send a request to the API, throwing a typed provider error on failure
+   * @param {string} path - Path below the base URL
+   * @param {Object} options - Fetch options; the Authorization header is added from the key
+   * @param {string} [requestApiKey] - Key for this request, instead of the server-side key
+   * @returns {Promise<Response>} - The successful fetch response
+   */
+  async function request(path, options, requestApiKey) {
+    const headers = { ...options.headers };
+    const key = requestApiKey || apiKey;
+    if (key) {
+      headers.Authorization = `Bearer ${key}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${baseUrl.replace(/\/+$/, '')}${path}`, { ...options, headers });
+    } catch (error) {
+      // Unreachable server or timeout
+      throw providerError(name, null, error.message, key);
+    }
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw providerError(name, response.status, `${response.status} ${response.statusText} ${body}`.trim(), key);
+    }
+    return response;
+  }
+
+  /**
+   * Send a chat completion request, throwing a typed provider error on failure
+   * @param {Object} request - Generation request
+   * @param {boolean} request.stream - Whether to ask for a streamed response
+   * @returns {Promise<Response>} - The successful fetch response
+   */
+  async function requestCompletion({ apiKey: requestApiKey, model, prompt, image, stream }) {
+    const content = image
+      ? [
+        { type: 'text', text: prompt },
+        { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } }
+      ]
+      : prompt;
+
+    return request('/chat/completions', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content }],
+        stream
+      }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    }, requestApiKey);
+  }
+
+  return {
+    name,
+    apiKey,
+    requiresApiKey,
+
+    /**
+     * Check that a key works by listing the models, which costs no generation quota
+     * @param {Object} request - Validation request
+     * @param {string} request.apiKey - API key, sent as a bearer token
+     * @returns {Promise<void>} - Rejects with a typed provider error if the key is refused
+     */
+    async validateKey({ apiKey: requestApiKey }) {
+      await request('/models', { signal: AbortSignal.timeout(VALIDATE_TIMEOUT) }, requestApiKey);
+    },
+
+    /**
+     * Generate a response from a chat completion model
+     * @param {Object} request - Generation request
+     * @param {string} [request.apiKey] - API key, sent as a bearer token
+     * @param {string} request.model - Model name
+     * @param {string} request.prompt - Prompt text
+     * @param {Object} [request.image] - Image with base64 data and mimeType
+     * @returns {Promise<string>} - The generated text
+     */
+    async generate({ apiKey: requestApiKey, model, prompt, image }) {
+      const response = await requestCompletion({ apiKey: requestApiKey, model, prompt, image, stream: false });
+      const data = await response.json();
+      const message = data.choices && data.choices[0] && data.choices[0].message;
+      if (!message || typeof message.content !== 'string') {
+        throw providerError(name, response.status, 'Response did not contain a message');
+      }
+      return message.content;
+    },
+
+    /**
+     * Stream a response from a chat completion model, reporting text as it arrives
+     * @param {Object} request - Generation request, as for generate
+     * @param {Function} request.onToken - Called with each new chunk of text
+     * @returns {Promise<string>} - The complete generated text
+     */
+    async generateStream({ apiKey: requestApiKey, model, prompt, image, onToken }) {
+      const response = await requestCompletion({ apiKey: requestApiKey, model, prompt, image, stream: true });
+
+      // The body is a series of `data: {json}` lines ending with `data: [DONE]`
+      let text = '';
+      let buffered = '';
+      const decoder = new TextDecoder();
+      for await (const bytes of response.body) {
+        buffered += decoder.decode(bytes, { stream: true });
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+
+        for (const line of lines) {
+          const payload = line.trim().replace(/^data:\s*/, '');
+          if (!line.trim().startsWith('data:') || payload === '[DONE]') {
+            continue;
+          }
+          let chunk;
+          try {
+            chunk = JSON.parse(payload);
+          } catch (err) {
+            continue;
+          }
+          const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+          if (delta && typeof delta.content === 'string' && delta.content) {
+            text += delta.content;
+            onToken(delta.content);
+          }
+        }
+      }
+      return text;
+    }
+  };
+}
+
+module.exports = createOpenAICompatibleProvider;
@@ -0,0 +1,79 @@
+// providers/openaiCompatible.test.js - Chat completion requests, streaming and upstream errors
+
+const test = require('node:test');
+const assert = require('node:assert');
+const createOpenAICompatibleProvider = require('./openaiCompatible');
+
+const provider = createOpenAICompatibleProvider({ name: 'local', baseUrl: 'http://models.test/v1/', apiKey: 'server-key-1234' });
+
+/**
+ * Answer the next fetch with a response, recording the request
+ * @param {Response} response - Response to return
+ * @returns {Object[]} - The recorded [url, options] of each call
+ */
+function respondWith(response) {
+  const calls = [];
+  test.mock.method(global, 'fetch', async (...args) => {
+    calls.push(args);
+    return response;
+  });
+  return calls;
+}
+
+test.afterEach(() => test.mock.restoreAll());
+
+test('images are sent with the prompt and the server key is used by default', async () => {
+  const calls = respondWith(Response.json({ choices: [{ message: { content: 'Paris' } }] }));
+  const text = await provider.generate({ model: 'llava', prompt: 'Capital?', image: { mimeType: 'image/png', data: 'AAAA' } });
+
+  assert.strictEqual(text, 'Paris');
+  const [url, options] = calls[0];
+  assert.strictEqual(url, 'http://models.test/v1/chat/completions');
+  assert.strictEqual(options.headers.Authorization, 'Bearer server-key-1234');
+  const body = JSON.parse(options.body);
+  assert.deepStrictEqual(body.messages[0].content[1], { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } });
+  assert.strictEqual(body.stream, false);
+});
+
+test('a response without a message is a provider error', async () => {
+  respondWith(Response.json({ choices: [] }));
+  await assert.rejects(provider.generate({ model: 'm', prompt: 'p' }), { code: 'PROVIDER_ERROR' });
+});
+
+test('streamed chunks are reported as they arrive, across split lines', async () => {
+  const body = 'data: {"choices":[{"delta":{"content":"Pa"}}]}\n\ndata: {"choices":[{"del'
+    + 'ta":{"content":"ris"}}]}\n: keep-alive\ndata: not json\ndata: [DONE]\n';
+  const middle = body.indexOf('{"del');
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(new TextEncoder().encode(body.slice(0, middle + 5)));
+      controller.enqueue(new TextEncoder().encode(body.slice(middle + 5)));
+      controller.close();
+    }
+  });
+  respondWith(new Response(stream));
+
+  const tokens = [];
+  const text = await provider.generateStream({ model: 'm', prompt: 'p', onToken: token => tokens.push(token) });
+  assert.strictEqual(text, 'Paris');
+  assert.deepStrictEqual(tokens, ['Pa', 'ris']);
+});
+
+test('rejected keys and exhausted quotas are typed, with the key redacted', async () => {
+  respondWith(new Response('bad key client-key-5678', { status: 401, statusText: 'Unauthorized' }));
+  const error = await provider.validateKey({ apiKey: 'client-key-5678' }).catch(err => err);
+  assert.strictEqual(error.code, 'INVALID_API_KEY');
+  assert.strictEqual(error.details.message, '401 Unauthorized bad key [REDACTED]');
+
+  respondWith(new Response('', { status: 429, statusText: 'Too Many Requests' }));
+  await assert.rejects(provider.generate({ model: 'm', prompt: 'p' }), { code: 'PROVIDER_QUOTA_EXCEEDED' });
+});
+
+test('an unreachable server is a provider error without a status', async () => {
+  test.mock.method(global, 'fetch', async () => {
+    throw new Error('connect ECONNREFUSED');
+  });
+  const error = await provider.generate({ model: 'm', prompt: 'p' }).catch(err => err);
+  assert.strictEqual(error.code, 'PROVIDER_ERROR');
+  assert.strictEqual(error.details.status, null);
+});
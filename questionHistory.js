@@ -0,0 +1,328 @@
+// questionHistory.js - Persistent log of answered questions backed by data/history.json
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { toCsvField } = require('./csv');
+const logger = require('./logger');
+
+const HISTORY_FILE = path.join(__dirname, 'data', 'history.json');
+const MAX_HISTORY_ENTRIES = 1000; // Oldest entries are dropped beyond this
+const SAVE_DELAY = 1000; // Batch writes when answers arrive in quick succession
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Timer for the pending write to disk, if any
+let saveTimer = null;
+
+/**
+ * Load the history from disk, falling back to an empty list
+ * @returns {Object} - History data with a history array, newest entry first
+ */
+function loadHistory() {
+  try {
+    const data = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8'));
+    return { history: Array.isArray(data.history) ? data.history : [] };
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.error('Error loading question history, starting empty', { error: err.message });
+    }
+    return { history: [] };
+  }
+}
+
+const historyData = loadHistory();
+
+/**
+ * Write the history to disk immediately
+ * @returns {void}
+ */
+function saveHistory() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(HISTORY_FILE), { recursive: true });
+    fs.writeFileSync(HISTORY_FILE, JSON.stringify(historyData, null, 2));
+  } catch (err) {
+    logger.error('Error saving question history', { error: err.message });
+  }
+}
+
+/**
+ * Schedule a write to disk, coalescing repeated changes
+ * @returns {void}
+ */
+function scheduleSave() {
+  if (saveTimer) {
+    return;
+  }
+  saveTimer = setTimeout(saveHistory, SAVE_DELAY);
+  // Don't keep the process alive just to flush the history
+  saveTimer.unref();
+}
+
+/**
+ * Record an answered question
+ * @param {Object} entry - Details of the answered question
+ * @param {string} entry.endpoint - Endpoint that handled the request
+ * @param {string} entry.type - Either 'text' or 'image'
+ * @param {string|null} entry.question - Question text; for images, as the model read it, or null when it gave none
+ * @param {string} [entry.questionType] - Question type such as 'multiple_choice' or 'numeric'
+ * @param {string} entry.provider - Provider that produced the answer
+ * @param {string} entry.model - Model that produced the answer
+ * @param {string[]} entry.answers - Extracted answers
+ * @param {number} entry.latencyMs - Time taken to answer in milliseconds
+ * @param {boolean} [entry.cached] - Whether the answer came from the cache
+ * @param {string} [entry.prompt] - Prompt template that asked for the answer, for the accuracy report
+ * @param {string} [entry.promptVersion] - Version of that template from config.getPromptVersion
+ * @param {string} [entry.cacheKey] - Key the answer is cached under, so feedback can evict or correct it
+ * @param {Object} [entry.ocr] - { text, confidence, used } when an image was read by OCR first
+ * @param {string} [entry.owner] - Hashed key or address that asked, the only one who may give feedback
+ * @returns {Object} - The stored entry including its id and timestamp
+ */
+function addEntry(entry) {
+  const stored = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    endpoint: entry.endpoint,
+    type: entry.type,
+    question: entry.question || null,
+    questionType: entry.questionType || null,
+    provider: entry.provider,
+    model: entry.model,
+    answers: entry.answers || [],
+    latencyMs: entry.latencyMs,
+    cached: Boolean(entry.cached),
+    prompt: entry.prompt || null,
+    promptVersion: entry.promptVersion || null,
+    cacheKey: entry.cacheKey || null,
+    ocr: entry.ocr || null,
+    owner: entry.owner || null,
+    feedback: null
+  };
+
+  historyData.history.unshift(stored);
+  if (historyData.history.length > MAX_HISTORY_ENTRIES) {
+    historyData.history.length = MAX_HISTORY_ENTRIES;
+  }
+
+  scheduleSave();
+  return stored;
+}
+
+/**
+ * Parse a date filter, treating a bare end date as the whole of that day
+ * @param {string} value - ISO date or date-time string
+ * @param {boolean} endOfDay - Extend date-only values to the end of the day
+ * @returns {number|null} - Timestamp in milliseconds, or null if missing or invalid
+ */
+function parseDateFilter(value, endOfDay) {
+  if (!value) {
+    return null;
+  }
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    return null;
+  }
+
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return time + 24 * 60 * 60 * 1000 - 1;
+  }
+  return time;
+}
+
+/**
+ * Find entries matching the given filters
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.search] - Case-insensitive text matched against question and answers
+ * @param {string} [filters.from] - Only entries on or after this date
+ * @param {string} [filters.to] - Only entries on or before this date
+ * @returns {Object[]} - Matching entries, newest first
+ */
+function findEntries(filters = {}) {
+  const search = (filters.search || '').toLowerCase().trim();
+  const from = parseDateFilter(filters.from, false);
+  const to = parseDateFilter(filters.to, true);
+
+  return historyData.history.filter(entry => {
+    const time = Date.parse(entry.timestamp);
+    if (from !== null && time < from) {
+      return false;
+    }
+    if (to !== null && time > to) {
+      return false;
+    }
+    if (search) {
+      const haystack = [
+        entry.question || '',
+        (entry.ocr && entry.ocr.text) || '',
+        ...entry.answers,
+        (entry.feedback && entry.feedback.correctAnswer) || ''
+      ].join('\n').toLowerCase();
+      return haystack.includes(search);
+    }
+    return true;
+  });
+}
+
+/**
+ * Get one page of entries matching the given filters
+ * @param {Object} [options] - Paging options plus the filters accepted by findEntries
+ * @param {number} [options.page] - 1-based page number
+ * @param {number} [options.limit] - Entries per page
+ * @returns {Object} - The entries along with page, limit, total and totalPages
+ */
+function listEntries(options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const page = Math.max(parseInt(options.page, 10) || 1, 1);
+  const matches = findEntries(options);
+
+  return {
+    entries: matches.slice((page - 1) * limit, page * limit),
+    page,
+    limit,
+    total: matches.length,
+    totalPages: Math.max(Math.ceil(matches.length / limit), 1)
+  };
+}
+
+/**
+ * Delete an entry
+ * @param {string} id - Id of the entry to delete
+ * @returns {boolean} - True if the entry existed and was deleted
+ */
+function deleteEntry(id) {
+  const index = historyData.history.findIndex(entry => entry.id === id);
+  if (index === -1) {
+    return false;
+  }
+
+  historyData.history.splice(index, 1);
+  scheduleSave();
+  return true;
+}
+
+/**
+ * Find an entry by id
+ * @param {string} id - Entry id
+ * @returns {Object|null} - The stored entry, or null if there is none
+ */
+function getEntry(id) {
+  return historyData.history.find(entry => entry.id === id) || null;
+}
+
+/**
+ * Record whether an entry's answer was right, replacing any earlier feedback on it
+ * @param {string} id - Entry id
+ * @param {Object} feedback - The user's verdict
+ * @param {boolean} feedback.correct - Whether the answer was right
+ * @param {string|null} [feedback.correctAnswer] - The right answer, for wrong answers
+ * @returns {Object|null} - { entry, previous } with the earlier feedback or null, or null if the entry doesn't exist
+ */
+function setFeedback(id, { correct, correctAnswer = null }) {
+  const entry = getEntry(id);
+  if (!entry) {
+    return null;
+  }
+
+  const previous = entry.feedback || null;
+  entry.feedback = { correct, correctAnswer, submittedAt: new Date().toISOString() };
+  scheduleSave();
+  return { entry, previous };
+}
+
+/**
+ * Quote text as a Markdown block quote, one quoted line per line of text
+ * @param {*} text - Text to quote
+ * @param {string} [indent] - Put before each line, to nest the quote in a list item
+ * @returns {string} - The quoted lines
+ */
+function quoteLines(text, indent = '') {
+  return String(text).split(/\r?\n/).map(line => `${indent}> ${line}`).join('\n');
+}
+
+/**
+ * Export entries matching the given filters
+ * @param {string} format - One of 'json', 'csv' or 'markdown'
+ * @param {Object} [filters] - Filters accepted by findEntries
+ * @returns {Object|null} - Export body, content type and file extension, or null for an unknown format
+ */
+function exportEntries(format, filters = {}) {
+  const entries = findEntries(filters);
+
+  switch (format) {
+    case 'json':
+      return {
+        contentType: 'application/json',
+        extension: 'json',
+        body: JSON.stringify({ history: entries }, null, 2)
+      };
+    case 'csv': {
+      const columns = ['id', 'timestamp', 'endpoint', 'type', 'questionType', 'provider', 'model', 'prompt', 'promptVersion', 'question', 'ocrText', 'ocrConfidence', 'answers', 'latencyMs', 'cached', 'correct', 'correctAnswer'];
+      const value = (entry, column) => {
+        if (column === 'answers') {
+          return entry.answers.join('\n');
+        }
+        if (column === 'correct' || column === 'correctAnswer') {
+          return entry.feedback ? entry.feedback[column] : null;
+        }
+        if (column === 'ocrText' || column === 'ocrConfidence') {
+          return entry.ocr ? entry.ocr[column === 'ocrText' ? 'text' : 'confidence'] : null;
+        }
+        return entry[column];
+      };
+      const rows = entries.map(entry => columns.map(column => toCsvField(value(entry, column))).join(','));
+      return {
+        contentType: 'text/csv',
+        extension: 'csv',
+        body: [columns.join(','), ...rows].join('\r\n')
+      };
+    }
+    case 'markdown':
+    case 'md': {
+      const sections = entries.map(entry => [
+        `## ${entry.timestamp}`,
+        '',
+        // Text from the model or the user is quoted line by line, so no line of it can start a
+        // heading or list of its own
+        entry.question ? `- **Question:**\n${quoteLines(entry.question, '  ')}` : '- **Question:** _(image)_',
+        ...(entry.ocr ? [`- **OCR (${entry.ocr.confidence}% confidence${entry.ocr.used ? '' : ', not used'}):** ${entry.ocr.text.replace(/\s+/g, ' ')}`] : []),
+        ...(entry.questionType ? [`- **Type:** ${entry.questionType}`] : []),
+        `- **Model:** ${entry.provider ? `${entry.provider}/` : ''}${entry.model}`,
+        `- **Endpoint:** ${entry.endpoint}`,
+        `- **Latency:** ${entry.latencyMs} ms${entry.cached ? ' (cached)' : ''}`,
+        ...(entry.feedback ? [`- **Feedback:** ${entry.feedback.correct ? 'correct' : 'wrong'}${entry.feedback.correctAnswer ? `, the answer was:\n${quoteLines(entry.feedback.correctAnswer, '  ')}` : ''}`] : []),
+        '',
+        ...entry.answers.map(answer => quoteLines(answer))
+      ].join('\n'));
+      return {
+        contentType: 'text/markdown',
+        extension: 'md',
+        body: ['# Screen Answerer History', ...sections].join('\n\n')
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+// Flush pending writes when the process exits normally
+process.on('exit', () => {
+  if (saveTimer) {
+    saveHistory();
+  }
+});
+
+module.exports = {
+  addEntry,
+  getEntry,
+  setFeedback,
+  listEntries,
+  deleteEntry,
+  exportEntries,
+  saveHistory
+};
@@ -0,0 +1,110 @@
+// questionHistory.test.js - Searching, paging, exporting and giving feedback on answered questions
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { withMemoryFs } = require('./testUtils');
+
+// Start from an empty history, kept in memory
+withMemoryFs('history.json', { history: [] });
+
+const questionHistory = require('./questionHistory');
+
+function addEntry(fields) {
+  return questionHistory.addEntry({
+    endpoint: '/api/v1/answer',
+    type: 'text',
+    provider: 'gemini',
+    model: 'flash',
+    answers: ['Paris'],
+    latencyMs: 120,
+    ...fields
+  });
+}
+
+const march = addEntry({ question: 'Capital of France?' });
+march.timestamp = '2024-03-10T12:00:00.000Z';
+const april = addEntry({ type: 'image', question: null, answers: ['B. 4'], ocr: { text: 'What is 2+2?', confidence: 91, used: true } });
+april.timestamp = '2024-04-02T08:30:00.000Z';
+
+test('entries are listed newest first, with paging', () => {
+  const page = questionHistory.listEntries({ limit: 1, page: 2 });
+  assert.deepStrictEqual(page.entries.map(entry => entry.id), [march.id]);
+  assert.deepStrictEqual([page.total, page.totalPages, page.limit], [2, 2, 1]);
+  assert.strictEqual(questionHistory.listEntries({ limit: 1000 }).limit, 100);
+});
+
+test('search looks at the question, OCR text, answers and corrections', () => {
+  const ids = search => questionHistory.listEntries({ search }).entries.map(entry => entry.id);
+  assert.deepStrictEqual(ids('FRANCE'), [march.id]);
+  assert.deepStrictEqual(ids('2+2'), [april.id]);
+  assert.deepStrictEqual(ids('b. 4'), [april.id]);
+  questionHistory.setFeedback(march.id, { correct: false, correctAnswer: 'Lyon' });
+  assert.deepStrictEqual(ids('lyon'), [march.id]);
+});
+
+test('a bare end date covers that whole day', () => {
+  const ids = filters => questionHistory.listEntries(filters).entries.map(entry => entry.id);
+  assert.deepStrictEqual(ids({ to: '2024-03-10' }), [march.id]);
+  assert.deepStrictEqual(ids({ from: '2024-04-01' }), [april.id]);
+  assert.deepStrictEqual(ids({ from: 'not a date' }).length, 2);
+});
+
+test('feedback replaces the earlier verdict and returns it', () => {
+  questionHistory.setFeedback(april.id, { correct: true });
+  const { entry, previous } = questionHistory.setFeedback(april.id, { correct: false, correctAnswer: 'C' });
+  assert.strictEqual(previous.correct, true);
+  assert.deepStrictEqual([entry.feedback.correct, entry.feedback.correctAnswer], [false, 'C']);
+  assert.strictEqual(questionHistory.setFeedback('missing', { correct: true }), null);
+});
+
+test('CSV exports quote fields and include OCR and feedback columns', () => {
+  const { body, contentType } = questionHistory.exportEntries('csv', { search: '2+2' });
+  assert.strictEqual(contentType, 'text/csv');
+  const [header, row] = body.split('\r\n');
+  assert.match(header, /,question,ocrText,ocrConfidence,answers,/);
+  assert.match(row, /,What is 2\+2\?,91,B\. 4,120,false,false,C$/);
+});
+
+test('CSV fields with commas, quotes or line breaks are quoted', () => {
+  const quoted = addEntry({ question: 'Pick one, or "both"', answers: ['A', 'B'] });
+  const [, row] = questionHistory.exportEntries('csv', { search: 'both' }).body.split('\r\n');
+  assert.match(row, /,"Pick one, or ""both""",,,"A\nB",120,false,,$/);
+  questionHistory.deleteEntry(quoted.id);
+});
+
+test('CSV cells that look like formulas are shown as text', () => {
+  const formula = addEntry({ question: '=HYPERLINK("http://example.com")', answers: ['-2', '@SUM(A1)', '+1'] });
+  const [, row] = questionHistory.exportEntries('csv', { search: 'HYPERLINK' }).body.split('\r\n');
+  assert.match(row, /,"'=HYPERLINK\(""http:\/\/example\.com""\)",,,"'-2\n@SUM\(A1\)\n\+1",/);
+  questionHistory.deleteEntry(formula.id);
+});
+
+test('Markdown exports quote every line of a multi-line answer', () => {
+  const multiLine = addEntry({ question: 'Name two primes', answers: ['2\n3', 'Both'] });
+  const { body } = questionHistory.exportEntries('markdown', { search: 'primes' });
+  assert.match(body, /\n> 2\n> 3\n> Both$/);
+  questionHistory.deleteEntry(multiLine.id);
+});
+
+test('Markdown exports quote every line of a question and of a corrected answer', () => {
+  const injected = addEntry({ question: 'Which is prime?\n# Not a heading\n- not an item', answers: ['4'] });
+  questionHistory.setFeedback(injected.id, { correct: false, correctAnswer: '3\n## Also not a heading' });
+  const { body } = questionHistory.exportEntries('markdown', { search: 'Which is prime' });
+  assert.match(body, /- \*\*Question:\*\*\n {2}> Which is prime\?\n {2}> # Not a heading\n {2}> - not an item\n/);
+  assert.match(body, /- \*\*Feedback:\*\* wrong, the answer was:\n {2}> 3\n {2}> ## Also not a heading\n/);
+  assert.doesNotMatch(body, /^#+ (Not|Also)/m);
+  questionHistory.deleteEntry(injected.id);
+});
+
+test('Markdown exports show images without a question and unknown formats are refused', () => {
+  const { body } = questionHistory.exportEntries('markdown', { search: '2+2' });
+  assert.match(body, /- \*\*Question:\*\* _\(image\)_/);
+  assert.match(body, /- \*\*OCR \(91% confidence\):\*\* What is 2\+2\?/);
+  assert.strictEqual(questionHistory.exportEntries('xml'), null);
+});
+
+test('entries can be deleted once', () => {
+  assert.strictEqual(questionHistory.deleteEntry(march.id), true);
+  assert.strictEqual(questionHistory.deleteEntry(march.id), false);
+  assert.strictEqual(questionHistory.getEntry(march.id), null);
+});
@@ -0,0 +1,383 @@
+// questionTypes.js - Question types with their prompt rules and answer validators
+
+// Each type has the rule added to the prompt and a validator that checks the model's `details`
+// against what the type needs, rewriting the answer into that type's canonical form. Types whose
+// details carry the answer also rebuild them from an answer a user corrected
+const QUESTION_TYPES = {
+  multiple_choice: {
+    label: 'Multiple choice',
+    rule: 'Exactly one option is correct. Put its index in selectedIndexes. details is {}.',
+    validate: validateMultipleChoice
+  },
+  multi_select: {
+    label: 'Multi-select',
+    rule: 'One or more options are correct. Put the index of every correct option in selectedIndexes. details is {}.',
+    validate: validateMultiSelect
+  },
+  true_false: {
+    label: 'True/false',
+    rule: 'Decide whether the statement is true or false. details is {"value": true or false} and answer is "True" or "False".',
+    validate: validateTrueFalse,
+    correct: correctTrueFalse
+  },
+  fill_blank: {
+    label: 'Fill in the blank',
+    rule: 'Fill in every blank in order. details is {"blanks": ["the text for each blank"]}.',
+    validate: validateFillBlank,
+    correct: correctFillBlank
+  },
+  numeric: {
+    label: 'Numeric',
+    rule: 'Work the problem out, then give only the final result. details is {"value": the number without units or thousands separators, "unit": "its unit, or an empty string"}.',
+    validate: validateNumeric,
+    correct: correctNumeric
+  },
+  ordering: {
+    label: 'Ordering',
+    rule: 'Put the items in the correct order. details is {"order": ["every item, first to last"]}.',
+    validate: validateOrdering,
+    correct: correctOrdering
+  },
+  matching: {
+    label: 'Matching',
+    rule: 'Match every item on the left with its partner on the right. details is {"pairs": [{"left": "item", "right": "its match"}]}.',
+    validate: validateMatching,
+    correct: correctMatching
+  },
+  short_answer: {
+    label: 'Short answer',
+    rule: 'Give the answer as a short phrase. details is {}.',
+    validate: () => ({ details: {}, warnings: [] })
+  }
+};
+
+const TYPE_NAMES = Object.keys(QUESTION_TYPES);
+
+/**
+ * Guess the type of a text question from its wording, so the model can be given that type's rule
+ * @param {string} text - Question text
+ * @returns {string|null} - Type name, or null when the wording doesn't give it away
+ */
+function classifyQuestionText(text) {
+  const question = String(text || '');
+  const lower = question.toLowerCase();
+
+  if (/\btrue or false\b|\btrue\s*\/\s*false\b|\bt\s*\/\s*f\b/.test(lower)) {
+    return 'true_false';
+  }
+  if (/\bmatch (the following|each|every)\b|\bmatch\b.*\b(with|to) (its|their|the correct)\b/.test(lower)) {
+    return 'matching';
+  }
+  // "Sort" alone is everyday wording ("what sort of..."), so it only counts with what is sorted or the
+  // order to sort in; "in order to" is never an ordering
+  if (/\b(arrange|rank)\b|\bsort (the following|these|them)\b|\b(put|place|list|sort)\b.*\bin (the )?(correct |right |chronological |alphabetical |ascending |descending )?order\b(?! to\b)|\border the following\b/.test(lower)) {
+    return 'ordering';
+  }
+  if (/_{3,}|\[blank\]|\bfill in the blanks?\b/.test(lower)) {
+    return 'fill_blank';
+  }
+
+  // Lettered or numbered choices, one per line or inline as "A) ... B) ..."
+  const lineOptions = question.match(/^\s*(\(?[a-hA-H][).:]|\d{1,2}[).])\s+\S/gm) || [];
+  const inlineOptions = question.match(/(^|\s)\(?[A-H][).]\s+\S/g) || [];
+  if (lineOptions.length >= 2 || inlineOptions.length >= 2) {
+    return /\b(select|choose|pick|mark|check) (all|every|two|three|four|\d)\b|\ball that apply\b/.test(lower)
+      ? 'multi_select'
+      : 'multiple_choice';
+  }
+
+  if (/\b(calculate|compute|solve|evaluate|how many|how much|how long|how far)\b/.test(lower) || /\d\s*[-+*/×÷^=]\s*\d/.test(question)) {
+    return 'numeric';
+  }
+  return null;
+}
+
+/**
+ * Check that a name is one of the question types, and not a name every object inherits
+ * @param {*} type - Type name
+ * @returns {boolean} - True for a known type
+ */
+function isKnownType(type) {
+  return typeof type === 'string' && Object.prototype.hasOwnProperty.call(QUESTION_TYPES, type);
+}
+
+/**
+ * Prompt text telling the model which type rule to follow
+ * @param {string|null} type - Known type, or null to have the model classify the question itself
+ * @returns {string} - Instructions to place before the JSON response instructions
+ */
+function getTypeInstructions(type) {
+  if (isKnownType(type)) {
+    return `Question type: ${QUESTION_TYPES[type].label} (type "${type}"). ${QUESTION_TYPES[type].rule}`;
+  }
+  const rules = TYPE_NAMES.map(name => `- ${name}: ${QUESTION_TYPES[name].rule}`).join('\n');
+  return `Classify the question as one of these types and follow the rule for that type:\n${rules}`;
+}
+
+/**
+ * Validate an answer against its question type
+ * @param {Object} structured - Answer from normalizeAnswer in answerParser.js
+ * @param {*} rawType - Type reported by the model
+ * @param {*} rawDetails - Type-specific details reported by the model
+ * @param {string|null} [expectedType] - Type the question was classified as before asking
+ * @returns {Object} - { type, details, warnings, answer, answerLines } where answer and answerLines
+ *   are set when the type has its own canonical form
+ */
+function validateTypedAnswer(structured, rawType, rawDetails, expectedType = null) {
+  const reported = String(rawType || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  let type = isKnownType(reported) ? reported : expectedType;
+  if (!isKnownType(type)) {
+    // Without a usable type, fall back on the shape of the answer
+    type = structured.options.length > 0
+      ? (structured.selectedIndexes.length > 1 ? 'multi_select' : 'multiple_choice')
+      : 'short_answer';
+  }
+
+  const details = rawDetails && typeof rawDetails === 'object' && !Array.isArray(rawDetails) ? rawDetails : {};
+  const result = QUESTION_TYPES[type].validate(structured, details);
+  return { type, ...result };
+}
+
+/**
+ * Multiple choice: exactly one option should be selected
+ * @param {Object} structured - Normalized answer
+ * @returns {Object} - Validation result
+ */
+function validateMultipleChoice(structured) {
+  const warnings = [];
+  if (structured.options.length > 0 && structured.selectedIndexes.length !== 1) {
+    warnings.push(`Expected exactly one selected option, got ${structured.selectedIndexes.length}`);
+  }
+  return { details: {}, warnings };
+}
+
+/**
+ * Multi-select: at least one option should be selected
+ * @param {Object} structured - Normalized answer
+ * @returns {Object} - Validation result
+ */
+function validateMultiSelect(structured) {
+  const warnings = [];
+  if (structured.options.length > 0 && structured.selectedIndexes.length === 0) {
+    warnings.push('Expected at least one selected option');
+  }
+  return { details: {}, warnings };
+}
+
+/**
+ * True/false: a boolean value, from details or from the answer text
+ * @param {Object} structured - Normalized answer
+ * @param {Object} details - Model details
+ * @returns {Object} - Validation result
+ */
+function validateTrueFalse(structured, details) {
+  let value = null;
+  if (typeof details.value === 'boolean') {
+    value = details.value;
+  } else if (/^(true|false)$/i.test(String(details.value).trim())) {
+    value = String(details.value).trim().toLowerCase() === 'true';
+  } else if (/^(true|false|t|f)\b/i.test(structured.answer)) {
+    value = /^t/i.test(structured.answer);
+  } else if (structured.selectedIndexes.length === 1 && /^(true|false)$/i.test(structured.options[structured.selectedIndexes[0]].trim())) {
+    value = /^true$/i.test(structured.options[structured.selectedIndexes[0]].trim());
+  }
+
+  if (value === null) {
+    return { details: {}, warnings: ['Expected the answer to be true or false'] };
+  }
+  const answer = value ? 'True' : 'False';
+  return { details: { value }, warnings: [], answer, answerLines: [answer] };
+}
+
+/**
+ * Fill in the blank: the text for each blank, in order
+ * @param {Object} structured - Normalized answer
+ * @param {Object} details - Model details
+ * @returns {Object} - Validation result
+ */
+function validateFillBlank(structured, details) {
+  const blanks = Array.isArray(details.blanks)
+    ? details.blanks.filter(blank => typeof blank === 'string' || typeof blank === 'number').map(blank => String(blank).trim())
+    : [];
+
+  if (blanks.length === 0) {
+    return structured.answer
+      ? { details: { blanks: [structured.answer] }, warnings: [] }
+      : { details: {}, warnings: ['Expected the text for each blank'] };
+  }
+  return { details: { blanks }, warnings: [], answer: blanks.join(', '), answerLines: blanks };
+}
+
+/**
+ * Numeric: a finite number and an optional unit
+ * @param {Object} structured - Normalized answer
+ * @param {Object} details - Model details
+ * @returns {Object} - Validation result
+ */
+function validateNumeric(structured, details) {
+  const parseNumber = value => {
+    const match = String(value).replace(/(\d),(?=\d{3}\b)/g, '$1').match(/-?\d+(\.\d+)?(e[-+]?\d+)?/i);
+    return match ? Number(match[0]) : NaN;
+  };
+
+  let value = typeof details.value === 'number' ? details.value : parseNumber(details.value);
+  let unit = typeof details.unit === 'string' ? details.unit.trim() : '';
+  if (!Number.isFinite(value)) {
+    // Recover "12.5 m/s" style answers
+    value = parseNumber(structured.answer);
+    if (!unit) {
+      const trailing = structured.answer.match(/-?[\d.,]+(?:e[-+]?\d+)?\s*([^\d\s].*)?$/i);
+      unit = trailing && trailing[1] ? trailing[1].trim() : '';
+    }
+  }
+
+  if (!Number.isFinite(value)) {
+    return { details: {}, warnings: ['Expected a numeric answer'] };
+  }
+  const answer = unit ? `${value} ${unit}` : String(value);
+  return { details: { value, unit }, warnings: [], answer, answerLines: [answer] };
+}
+
+/**
+ * Ordering: every item, first to last
+ * @param {Object} structured - Normalized answer
+ * @param {Object} details - Model details
+ * @returns {Object} - Validation result
+ */
+function validateOrdering(structured, details) {
+  // The order only comes from details.order: selectedIndexes are sorted when the answer is
+  // normalized, so they can't say which item comes first
+  const order = Array.isArray(details.order)
+    ? details.order.filter(item => typeof item === 'string' || typeof item === 'number').map(item => String(item).trim())
+    : [];
+
+  if (order.length < 2) {
+    return { details: {}, warnings: ['Expected the items in order'] };
+  }
+
+  const warnings = [];
+  if (structured.options.length > 0 && order.length !== structured.options.length) {
+    warnings.push(`Expected all ${structured.options.length} items in the order, got ${order.length}`);
+  }
+  return {
+    details: { order },
+    warnings,
+    answer: order.join(' → '),
+    answerLines: order.map((item, index) => `${index + 1}. ${item}`)
+  };
+}
+
+/**
+ * Matching: one pair per item on the left
+ * @param {Object} structured - Normalized answer
+ * @param {Object} details - Model details
+ * @returns {Object} - Validation result
+ */
+function validateMatching(structured, details) {
+  const pairs = Array.isArray(details.pairs)
+    ? details.pairs
+      .filter(pair => pair && typeof pair === 'object' && pair.left !== undefined && pair.right !== undefined)
+      .map(pair => ({ left: String(pair.left).trim(), right: String(pair.right).trim() }))
+    : [];
+
+  if (pairs.length === 0) {
+    return { details: {}, warnings: ['Expected the matched pairs'] };
+  }
+
+  const warnings = [];
+  const lefts = pairs.map(pair => pair.left.toLowerCase());
+  if (new Set(lefts).size !== lefts.length) {
+    warnings.push('An item on the left was matched more than once');
+  }
+  const lines = pairs.map(pair => `${pair.left} → ${pair.right}`);
+  return { details: { pairs }, warnings, answer: lines.join('; '), answerLines: lines };
+}
+
+/**
+ * Rebuild an answer's details from the right answer a user reported, keeping what the wrong answer's
+ * details knew that the correction doesn't contradict. Validators prefer details over the answer
+ * text, so details left from the wrong answer would otherwise replace the correction
+ * @param {string|null} type - Question type
+ * @param {string} correctAnswer - The right answer, as the user wrote it
+ * @param {*} [previousDetails] - Details of the wrong answer
+ * @returns {Object} - Details for the corrected answer
+ */
+function correctTypedDetails(type, correctAnswer, previousDetails) {
+  const details = previousDetails && typeof previousDetails === 'object' && !Array.isArray(previousDetails) ? previousDetails : {};
+  return isKnownType(type) && QUESTION_TYPES[type].correct ? QUESTION_TYPES[type].correct(correctAnswer, details) : {};
+}
+
+/**
+ * Split a corrected answer into items, as written one per line, numbered, or between arrows,
+ * semicolons or commas
+ * @param {string} text - Corrected answer
+ * @returns {string[]} - Items
+ */
+function splitItems(text) {
+  return text.split(/\s*(?:\n|→|->|;|,)\s*/)
+    .map(item => item.replace(/^\d+[.)]\s*/, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * True/false corrections are "true" or "false"
+ * @param {string} answer - Corrected answer
+ * @returns {Object} - Details
+ */
+function correctTrueFalse(answer) {
+  return /^(true|false|t|f)\b/i.test(answer.trim()) ? { value: /^t/i.test(answer.trim()) } : {};
+}
+
+/**
+ * Fill in the blank corrections keep the number of blanks when they list that many
+ * @param {string} answer - Corrected answer
+ * @param {Object} details - Previous details
+ * @returns {Object} - Details
+ */
+function correctFillBlank(answer, details) {
+  const count = Array.isArray(details.blanks) ? details.blanks.length : 1;
+  const items = splitItems(answer);
+  return { blanks: count > 1 && items.length === count ? items : [answer.trim()] };
+}
+
+/**
+ * Numeric corrections are read from the answer text by the validator; the previous unit is kept
+ * when the correction doesn't give one
+ * @param {string} answer - Corrected answer
+ * @param {Object} details - Previous details
+ * @returns {Object} - Details
+ */
+function correctNumeric(answer, details) {
+  const hasUnit = /-?[\d.,]+(?:e[-+]?\d+)?\s*[^\d\s]/i.test(answer);
+  return !hasUnit && typeof details.unit === 'string' && details.unit ? { unit: details.unit } : {};
+}
+
+/**
+ * Ordering corrections list the items first to last
+ * @param {string} answer - Corrected answer
+ * @returns {Object} - Details
+ */
+function correctOrdering(answer) {
+  const order = splitItems(answer);
+  return order.length >= 2 ? { order } : {};
+}
+
+/**
+ * Matching corrections give each pair as "left → right", separated by semicolons or lines
+ * @param {string} answer - Corrected answer
+ * @returns {Object} - Details
+ */
+function correctMatching(answer) {
+  const pairs = answer.split(/\s*(?:\n|;)\s*/).filter(Boolean).map(line => line.split(/\s*(?:→|->|=|:)\s*/));
+  return pairs.length > 0 && pairs.every(parts => parts.length === 2 && parts[0] && parts[1])
+    ? { pairs: pairs.map(([left, right]) => ({ left, right })) }
+    : {};
+}
+
+module.exports = {
+  TYPE_NAMES,
+  classifyQuestionText,
+  getTypeInstructions,
+  validateTypedAnswer,
+  correctTypedDetails
+};
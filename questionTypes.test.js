@@ -0,0 +1,88 @@
+// questionTypes.test.js - Classifying questions by their wording and validating typed answers
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifyQuestionText, getTypeInstructions, validateTypedAnswer, correctTypedDetails } = require('./questionTypes');
+
+// A normalized answer as answerParser builds it
+function structured(fields = {}) {
+  return { question: '', options: [], selectedIndexes: [], selectedLetters: [], answer: '', confidence: null, ...fields };
+}
+
+test('questions are classified by their wording', () => {
+  const cases = {
+    'True or false: the sun is a star.': 'true_false',
+    'Match the following countries with their capitals.': 'matching',
+    'Arrange these events chronologically.': 'ordering',
+    'Sort the following numbers from smallest to largest.': 'ordering',
+    'Sort these elements in order of atomic mass.': 'ordering',
+    'Put the planets in the correct order from the sun.': 'ordering',
+    'The capital of France is ____.': 'fill_blank',
+    'Which is a mammal?\nA) Shark\nB) Whale\nC) Trout': 'multiple_choice',
+    'Select all that apply: A) 2 B) 3 C) 4': 'multi_select',
+    'Calculate the area of a 3 by 4 rectangle.': 'numeric',
+    'Who wrote Hamlet?': null
+  };
+  for (const [text, type] of Object.entries(cases)) {
+    assert.strictEqual(classifyQuestionText(text), type, text);
+  }
+});
+
+test('everyday uses of "sort" and "in order to" are not ordering questions', () => {
+  assert.strictEqual(classifyQuestionText('What sort of reaction is combustion?'), null);
+  assert.strictEqual(classifyQuestionText('What sort of animal is a whale?\nA) Fish\nB) Mammal'), 'multiple_choice');
+  assert.strictEqual(classifyQuestionText('Which gas do plants list as needed in order to photosynthesize?'), null);
+});
+
+test('type instructions name the known type or list every rule', () => {
+  assert.match(getTypeInstructions('numeric'), /^Question type: Numeric \(type "numeric"\)/);
+  assert.match(getTypeInstructions(null), /^Classify the question as one of these types/);
+});
+
+test('an ordering answer takes its order from details.order', () => {
+  const answer = structured({ options: ['Bronze Age', 'Stone Age', 'Iron Age'] });
+  const result = validateTypedAnswer(answer, 'ordering', { order: ['Stone Age', 'Bronze Age', 'Iron Age'] });
+  assert.deepStrictEqual(result.details, { order: ['Stone Age', 'Bronze Age', 'Iron Age'] });
+  assert.strictEqual(result.answer, 'Stone Age → Bronze Age → Iron Age');
+  assert.deepStrictEqual(result.warnings, []);
+});
+
+test('an ordering answer without details.order is flagged, not rebuilt from sorted indexes', () => {
+  const answer = structured({ options: ['Bronze Age', 'Stone Age', 'Iron Age'], selectedIndexes: [0, 1, 2] });
+  const result = validateTypedAnswer(answer, 'ordering', { order: [] });
+  assert.deepStrictEqual(result.details, {});
+  assert.deepStrictEqual(result.warnings, ['Expected the items in order']);
+  assert.strictEqual(result.answer, undefined);
+});
+
+test('an ordering missing items is warned about', () => {
+  const answer = structured({ options: ['a', 'b', 'c'] });
+  const result = validateTypedAnswer(answer, 'ordering', { order: ['b', 'a'] });
+  assert.deepStrictEqual(result.warnings, ['Expected all 3 items in the order, got 2']);
+});
+
+test('numeric answers are recovered from text with units', () => {
+  const result = validateTypedAnswer(structured({ answer: '1,250.5 m/s' }), 'numeric', {});
+  assert.deepStrictEqual(result.details, { value: 1250.5, unit: 'm/s' });
+  assert.strictEqual(result.answer, '1250.5 m/s');
+  assert.deepStrictEqual(validateTypedAnswer(structured({ answer: 'many' }), 'numeric', {}).warnings, ['Expected a numeric answer']);
+});
+
+test('matching answers warn about items matched twice', () => {
+  const result = validateTypedAnswer(structured(), 'matching', { pairs: [{ left: 'A', right: '1' }, { left: 'a', right: '2' }] });
+  assert.deepStrictEqual(result.warnings, ['An item on the left was matched more than once']);
+  assert.deepStrictEqual(result.answerLines, ['A → 1', 'a → 2']);
+});
+
+test('an unknown type falls back on the expected type, then the shape of the answer', () => {
+  assert.strictEqual(validateTypedAnswer(structured({ answer: 'x' }), 'essay', {}, 'short_answer').type, 'short_answer');
+  const multi = structured({ options: ['a', 'b', 'c'], selectedIndexes: [0, 2] });
+  assert.strictEqual(validateTypedAnswer(multi, null, null).type, 'multi_select');
+});
+
+test('names every object inherits are not question types', () => {
+  assert.strictEqual(validateTypedAnswer(structured({ answer: 'x' }), 'constructor', {}).type, 'short_answer');
+  assert.strictEqual(validateTypedAnswer(structured({ answer: 'x' }), null, {}, 'constructor').type, 'short_answer');
+  assert.match(getTypeInstructions('constructor'), /^Classify the question/);
+  assert.deepStrictEqual(correctTypedDetails('constructor', 'x'), {});
+});
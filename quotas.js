@@ -0,0 +1,124 @@
+// quotas.js - Per-API-key token buckets limiting how often each model is called
+
+const crypto = require('crypto');
+const config = require('./config');
+
+const IDLE_TTL = 10 * 60 * 1000; // Forget buckets nobody has drawn from for ten minutes
+
+// Map of `${identity}|${model}` to { tokens, limit, updatedAt }
+const buckets = new Map();
+
+/**
+ * Calls per minute allowed for each key and a model: its entry in quotas.models, or else quotas.defaultPerMinute
+ * @param {string} model - Model name
+ * @returns {number} - Bucket size, refilled evenly over a minute
+ */
+function getModelLimit(model) {
+  const { models, defaultPerMinute } = config.get().quotas;
+  return Object.prototype.hasOwnProperty.call(models, model) ? models[model] : defaultPerMinute;
+}
+
+/**
+ * Who a call is charged to: the API key, or the client's address when there is no key.
+ * Keys are hashed so they are never held in memory longer than the request
+ * @param {string} providerName - Provider the call goes to
+ * @param {string|null} apiKey - Key used for the call
+ * @param {string} ip - Client address
+ * @returns {string} - Bucket identity
+ */
+function getIdentity(providerName, apiKey, ip) {
+  if (!apiKey) {
+    return `${providerName}:ip:${ip}`;
+  }
+  const hash = crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 32);
+  return `${providerName}:key:${hash}`;
+}
+
+/**
+ * Get the bucket for an identity and model, refilled for the time since it was last used
+ * @param {string} identity - From getIdentity
+ * @param {string} model - Model being called
+ * @param {number} now - Current time in ms
+ * @returns {Object} - The stored bucket
+ */
+function getBucket(identity, model, now) {
+  const limit = getModelLimit(model);
+  const key = `${identity}|${model}`;
+  const bucket = buckets.get(key) || { tokens: limit, limit, updatedAt: now };
+
+  // Tokens come back at `limit` per minute, up to a full bucket
+  bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * limit / 60000);
+  bucket.limit = limit;
+  bucket.updatedAt = now;
+  buckets.set(key, bucket);
+  return bucket;
+}
+
+/**
+ * Draw tokens from the buckets of one or more models. Either every bucket holds enough tokens and
+ * all of them are charged, or none are
+ * @param {string} identity - From getIdentity
+ * @param {Object} costs - Map of model name to the number of calls the request will make to it
+ * @returns {Object} - { allowed, model, limit, remaining, retryAfter } for the bucket that refused the
+ *   request, or else for the bucket with the fewest tokens left. retryAfter is the number of seconds
+ *   until the bucket holds enough tokens, or 0 when the request is allowed
+ */
+function take(identity, costs) {
+  const now = Date.now();
+  const checks = Object.entries(costs).map(([model, cost]) => {
+    const bucket = getBucket(identity, model, now);
+    // A request costing more than a full bucket is charged as a full bucket
+    const needed = Math.min(cost, bucket.limit);
+    const retryAfter = bucket.tokens < needed ? Math.ceil((needed - bucket.tokens) * 60 / bucket.limit) : 0;
+    return { model, bucket, needed, retryAfter };
+  });
+  const describe = (check, allowed) => ({
+    allowed,
+    model: check.model,
+    limit: check.bucket.limit,
+    remaining: Math.floor(check.bucket.tokens),
+    retryAfter: check.retryAfter
+  });
+
+  const refused = checks.filter(check => check.retryAfter > 0).sort((a, b) => b.retryAfter - a.retryAfter);
+  if (refused.length > 0) {
+    return describe(refused[0], false);
+  }
+
+  checks.forEach(check => {
+    check.bucket.tokens -= check.needed;
+  });
+  return describe(checks.reduce((tightest, check) => (check.bucket.tokens < tightest.bucket.tokens ? check : tightest)), true);
+}
+
+/**
+ * Remove buckets that have been idle for IDLE_TTL; they would have refilled completely anyway
+ * @returns {void}
+ */
+function pruneIdleBuckets() {
+  const cutoff = Date.now() - IDLE_TTL;
+  for (const [key, bucket] of buckets) {
+    if (bucket.updatedAt < cutoff) {
+      buckets.delete(key);
+    }
+  }
+}
+
+// Prune idle buckets every minute
+const pruneTimer = setInterval(pruneIdleBuckets, 60 * 1000);
+pruneTimer.unref();
+
+/**
+ * Stop pruning idle buckets, when the server shuts down
+ * @returns {void}
+ */
+function stopPruning() {
+  clearInterval(pruneTimer);
+}
+
+module.exports = {
+  getModelLimit,
+  getIdentity,
+  take,
+  stopPruning
+};
@@ -0,0 +1,49 @@
+// quotas.test.js - Per-key token buckets
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.DEFAULT_MODEL_RATE_LIMIT = '2';
+process.env.MODEL_RATE_LIMITS = 'big-model=1';
+
+const quotas = require('./quotas');
+
+test.after(() => quotas.stopPruning());
+
+test('keys are hashed and keyless calls are charged to the address', () => {
+  const identity = quotas.getIdentity('gemini', 'secret-key', '10.0.0.1');
+  assert.match(identity, /^gemini:key:[0-9a-f]{32}$/);
+  assert.ok(!identity.includes('secret-key'));
+  assert.strictEqual(quotas.getIdentity('local', null, '10.0.0.1'), 'local:ip:10.0.0.1');
+});
+
+test('model limits override the default', () => {
+  assert.strictEqual(quotas.getModelLimit('small-model'), 2);
+  assert.strictEqual(quotas.getModelLimit('big-model'), 1);
+});
+
+test('a bucket refuses calls once empty and says when to retry', () => {
+  const first = quotas.take('empty-test', { 'small-model': 1 });
+  assert.deepStrictEqual([first.allowed, first.remaining], [true, 1]);
+  quotas.take('empty-test', { 'small-model': 1 });
+  const refused = quotas.take('empty-test', { 'small-model': 1 });
+  assert.strictEqual(refused.allowed, false);
+  assert.ok(refused.retryAfter >= 1 && refused.retryAfter <= 30);
+});
+
+test('a request costing more than a full bucket is charged as a full bucket', () => {
+  assert.deepStrictEqual([quotas.take('cost-test', { 'small-model': 5 }).allowed, quotas.take('cost-test', { 'small-model': 1 }).allowed], [true, false]);
+});
+
+test('a request charging several models is refused whole', () => {
+  quotas.take('multi-test', { 'big-model': 1 });
+  const refused = quotas.take('multi-test', { 'small-model': 1, 'big-model': 1 });
+  assert.strictEqual(refused.allowed, false);
+  assert.strictEqual(refused.model, 'big-model');
+  assert.strictEqual(quotas.take('multi-test', { 'small-model': 2 }).allowed, true);
+});
+
+test('identities have buckets of their own', () => {
+  quotas.take('one', { 'big-model': 1 });
+  assert.strictEqual(quotas.take('two', { 'big-model': 1 }).allowed, true);
+});
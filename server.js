@@ -1,15 +1,77 @@
+require('dotenv').config();
+
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const QRCode = require('qrcode');
 const fs = require('fs');
 const path = require('path');
-const { marked } = require('marked');
-const history = require('./history');
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+const metrics = require('./metrics');
+const cache = require('./cache');
+const questionHistory = require('./questionHistory');
+const statistics = require('./statistics');
+const hotkeys = require('./hotkeys');
+const providers = require('./providers');
+const frameHash = require('./frameHash');
+const imageRegions = require('./imageRegions');
+const monitorSessions = require('./monitorSessions');
+const batchJobs = require('./batchJobs');
+const uploads = require('./uploads');
+const imagePreprocess = require('./imagePreprocess');
+const ocr = require('./ocr');
+const quotas = require('./quotas');
+const sessions = require('./sessions');
+const studyDecks = require('./studyDecks');
+const { classifyQuestionText, getTypeInstructions } = require('./questionTypes');
+const { ApiError, redactSecrets, toApiError, errorBody } = require('./apiErrors');
+const { buildOpenApiDocument } = require('./openapi');
+const { renderMarkdown } = require('./markdown');
+const { parseConsensusOptions, countCalls, combineAnswers } = require('./consensus');
+const {
+  JSON_RESPONSE_INSTRUCTIONS,
+  DETECT_AND_ANSWER_INSTRUCTIONS,
+  MULTIPLE_QUESTIONS_INSTRUCTIONS,
+  EXPLAIN_INSTRUCTIONS,
+  parseStructuredAnswer,
+  parseDetectionAnswer,
+  parseMultipleAnswers,
+  buildCorrectedAnswer
+} = require('./answerParser');
 
 // Initialize Express app
 const app = express();
-const PORT = process.env.PORT || 3000;
+
+// Probe and scrape routes, answered often by monitoring systems, are left out of the access log
+const UNLOGGED_PATHS = ['/healthz', '/readyz', '/metrics'];
+
+// Tag each request with an id for the logs, then log it and record its metrics once it is answered
+app.use(logger.assignRequestId);
+app.use((req, res, next) => {
+  const startTime = Date.now();
+  res.on('close', () => {
+    const durationMs = Date.now() - startTime;
+    // Label by the matched route pattern rather than the path, so ids don't become labels
+    const route = req.route ? req.route.path : 'other';
+    metrics.recordRequest({ method: req.method, route, status: res.statusCode, durationMs, code: res.locals.errorCode });
+    if (!UNLOGGED_PATHS.includes(req.path)) {
+      // Response events run outside the request's context, so the id is added here
+      logger.info('Request', {
+        requestId: req.id,
+        method: req.method,
+        path: req.originalUrl,
+        route,
+        status: res.statusCode,
+        durationMs,
+        // Closed before the response was sent, such as a watcher leaving an event stream
+        ...(res.writableFinished ? {} : { aborted: true })
+      });
+    }
+  });
+  next();
+});
 
 // Security middleware
 const helmet = require('helmet');
@@ -19,7 +81,7 @@ app.use(helmet({
   contentSecurityPolicy: {
     directives: {
       defaultSrc: ["'self'"],
-      scriptSrc: ["'self'", "'unsafe-inline'", "cdn.jsdelivr.net"],
+      scriptSrc: ["'self'", "'unsafe-inline'"],
       styleSrc: ["'self'", "'unsafe-inline'", "fonts.googleapis.com", "https://fonts.googleapis.com"],
       fontSrc: ["'self'", "fonts.gstatic.com", "https://fonts.gstatic.com"],
       imgSrc: ["'self'", "data:", "blob:"],
@@ -29,10 +91,11 @@ app.use(helmet({
 }));
 app.use(cors({
   origin: '*',
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'X-API-Key']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'X-API-Key', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-RateLimit-Limit', 'X-RateLimit-Remaining', 'Retry-After', 'X-Request-Id']
 }));
-app.use(express.json({ limit: '1mb' }));
+app.use(logger.keepRequestContext(express.json({ limit: '1mb' })));
 app.use(express.static('public', {
   maxAge: '1h',
   setHeaders: (res, path) => {
@@ -42,520 +105,1602 @@ app.use(express.static('public', {
   }
 }));
 
-// Global rate limiter
-const rateLimit = require('express-rate-limit');
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+// Page for a paired device following a monitoring session's answers
+app.get('/viewer', (req, res) => {
+  res.sendFile('viewer.html', { root: 'public', headers: { 'Cache-Control': 'no-cache' } });
 });
-app.use(limiter);
 
-// Configure multer for handling file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    // Use the history module to ensure uploads directory exists
-    const uploadDir = history.ensureUploadsDirectory();
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    // Generate unique filename with timestamp
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
-  }
+// Set once the server starts shutting down; readiness checks fail from then on
+let shuttingDown = false;
+
+// Liveness: the process is up and answering
+app.get('/healthz', (req, res) => {
+  res.json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
 });
 
-// File filter to accept only images
-const fileFilter = (req, file, cb) => {
-  if (file.mimetype.startsWith('image/')) {
-    cb(null, true);
-  } else {
-    cb(new Error('Only image files are allowed!'), false);
+// Readiness: the server isn't shutting down, its configuration loads and its data can be saved
+app.get('/readyz', (req, res) => {
+  const checks = {};
+  try {
+    config.get();
+    checks.config = 'ok';
+  } catch (err) {
+    checks.config = err.message;
+  }
+  // A missing data directory is created on the first save, so its parent must be writable instead
+  const dataDirectory = path.join(__dirname, 'data');
+  try {
+    fs.accessSync(fs.existsSync(dataDirectory) ? dataDirectory : __dirname, fs.constants.W_OK);
+    checks.dataDirectory = 'ok';
+  } catch (err) {
+    checks.dataDirectory = `not writable (${err.code})`;
   }
-};
+  checks.shutdown = shuttingDown ? 'in progress' : 'ok';
 
-const upload = multer({ 
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+  const ready = Object.values(checks).every(check => check === 'ok');
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
 });
 
-// Initialize Google Generative AI with a placeholder - actual API key will be provided by users
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || 'placeholder-key'); // Fallback to placeholder that will be replaced by user's key
+// Prometheus metrics
+app.get('/metrics', asyncRoute(async (req, res) => {
+  const { contentType, body } = await metrics.renderMetrics();
+  res.setHeader('Content-Type', contentType);
+  res.send(body);
+}));
 
-// Rate limiting for API calls
-const apiCallTimestamps = new Map();
-const RATE_LIMIT_WINDOW = 5000; // Increased from 3000 ms to 5000 ms for fewer rate limit errors
-const MAX_RETRIES = 3;
-const INITIAL_RETRY_DELAY = 1000; // Increased from 500ms to 1000ms for more gradual retry
+// Global rate limiter
+const rateLimit = require('express-rate-limit');
+const limiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: () => config.get().quotas.requestsPerIp, // Requests allowed per IP in each window
+  // X-RateLimit-* headers report the per-key model quota from quotas.js instead
+  legacyHeaders: false,
+  // Answer with the API error schema rather than plain text
+  handler: (req, res, next) => next(new ApiError('RATE_LIMITED', 'Too many requests, please try again later'))
+});
+app.use(limiter);
 
-function isRateLimited(clientId) {
-  const now = Date.now();
-  const lastCallTime = apiCallTimestamps.get(clientId) || 0;
-  
-  if (now - lastCallTime < RATE_LIMIT_WINDOW) {
-    return true; // Rate limited
-  }
-  
-  // Update the timestamp for this client
-  apiCallTimestamps.set(clientId, now);
-  return false; // Not rate limited
-}
+// Uploads are kept in memory as buffers; nothing is written to disk for a request
+const storage = multer.memoryStorage();
 
-// Global counter for API calls to prevent quota exhaustion
-let apiCallCounter = 0;
-const API_CALL_QUOTA_LIMIT = 50; // Adjust based on your actual quota
-const API_CALL_RESET_INTERVAL = 60 * 1000; // Reset counter every minute
+// Accept one image in a field, up to limits.uploadMb. The limit is read for each request so it
+// follows configuration reloads
+function uploadImage(field) {
+  return logger.keepRequestContext((req, res, next) => multer({
+    storage: storage,
+    // Sizes must be whole bytes for the limit to be enforced
+    limits: { fileSize: Math.floor(config.get().limits.uploadMb * 1024 * 1024) }
+  }).single(field)(req, res, next));
+}
 
-// Reset the API call counter periodically
-setInterval(() => {
-  apiCallCounter = 0;
-}, API_CALL_RESET_INTERVAL);
+// Batch uploads take several images and PDFs at once, with a higher per-file limit for PDFs
+function uploadBatchFiles(field) {
+  return logger.keepRequestContext((req, res, next) => {
+    const { batchUploadMb, batchFiles } = config.get().limits;
+    multer({
+      storage: storage,
+      limits: { fileSize: Math.floor(batchUploadMb * 1024 * 1024), files: batchFiles }
+    }).array(field, batchFiles)(req, res, next);
+  });
+}
 
-// Helper function to check if we're approaching API quota limits
-function isApproachingQuotaLimit() {
-  return apiCallCounter >= API_CALL_QUOTA_LIMIT;
+// Deck imports are one text file, with the same size limit as images
+function uploadDeckFile(field) {
+  return uploadImage(field);
 }
 
-// Helper function to increment the API call counter
-function incrementApiCallCounter() {
-  apiCallCounter++;
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif', 'image/bmp'];
+const IMAGE_TYPES_DESCRIPTION = 'a PNG, JPEG, WebP, GIF or BMP image';
+
+// Check uploads against the allowed types by their contents, since names and declared types
+// can't be trusted; each file's mimetype is replaced with the detected type
+function checkUploadTypes(allowedTypes, description) {
+  return (req, res, next) => {
+    const files = req.files || (req.file ? [req.file] : []);
+    for (const file of files) {
+      const mimeType = uploads.detectMimeType(file.buffer);
+      if (!allowedTypes.includes(mimeType)) {
+        return next(new ApiError('INVALID_UPLOAD', `${file.originalname || 'Upload'} is not ${description}`));
+      }
+      file.mimetype = mimeType;
+      metrics.recordUpload(req.route.path, file.size);
+    }
+    next();
+  };
 }
 
-// Helper function to convert image file to base64 for Gemini API
-function fileToGenerativePart(filePath, mimeType) {
+// Clear files left in uploads/ by a crash, now and every hour, keeping the spooled pages of batch
+// jobs that haven't been answered yet
+const sweepUploads = () => uploads.sweepStaleUploads(batchJobs.listPendingSources()
+  .filter(source => source.spooledPath)
+  .map(source => source.spooledPath));
+sweepUploads();
+const uploadSweepTimer = setInterval(sweepUploads, 60 * 60 * 1000);
+uploadSweepTimer.unref();
+
+// Helper function to convert image data to the base64 image part accepted by every provider
+function bufferToImagePart(buffer, mimeType) {
   return {
-    inlineData: {
-      data: Buffer.from(fs.readFileSync(filePath)).toString('base64'),
-      mimeType
-    },
+    data: buffer.toString('base64'),
+    mimeType
   };
 }
 
+// Scale down and re-encode an uploaded image for the model, then wrap it as an image part
+async function prepareImagePart(buffer, mimeType) {
+  let prepared;
+  try {
+    prepared = await imagePreprocess.preprocessImage(buffer, mimeType);
+  } catch (err) {
+    throw new ApiError('INVALID_UPLOAD', `Could not read the image: ${err.message}`);
+  }
+  return bufferToImagePart(prepared.buffer, prepared.mimeType);
+}
+
 // Async function to handle API calls with retry logic
-async function callGeminiAPI(apiCallFn, maxRetries = MAX_RETRIES) {
+// Retries for provider quota errors follow the retries section of the configuration. Every attempt
+// is timed for the metrics and counted as in flight, so shutdown can wait for it
+async function callProviderWithRetry(apiCallFn, provider, modelName, maxRetries = config.get().retries.max) {
+  const { initialDelayMs, maxDelayMs } = config.get().retries;
   let retries = 0;
-  let delay = INITIAL_RETRY_DELAY;
+  let delay = initialDelayMs;
   
   while (true) {
     try {
-      // Check if we're approaching quota limits
-      if (isApproachingQuotaLimit()) {
-        throw new Error('API quota limit approaching, please try again later');
-      }
-      
-      // Increment the counter before making the call
-      incrementApiCallCounter();
-      
       // Make the API call
-      return await apiCallFn();
+      return await metrics.trackModelCall(provider.name, modelName, apiCallFn);
     } catch (error) {
-      // If we've used all retries or it's not a retryable error, throw
-      if (retries >= maxRetries || 
-          (!error.message.includes('429') && !error.message.includes('quota') && 
-           !error.message.includes('Resource has been exhausted'))) {
+      // If we've used all retries or it's not a quota error, throw
+      if (retries >= maxRetries || error.code !== 'PROVIDER_QUOTA_EXCEEDED') {
         throw error;
       }
       
-      // Log the retry attempt
-      console.log(`API call failed (attempt ${retries + 1}/${maxRetries}): ${error.message}. Retrying in ${delay}ms...`);
+      // Log and count the retry attempt
+      statistics.recordRetry(modelName);
+      metrics.recordRetry(provider.name, modelName);
+      logger.warn('Model call failed, retrying', {
+        provider: provider.name,
+        model: modelName,
+        attempt: retries + 1,
+        maxRetries,
+        delayMs: Math.round(delay),
+        error: error.message
+      });
       
       // Wait before retrying
       await new Promise(resolve => setTimeout(resolve, delay));
       
       // Exponential backoff with jitter
-      delay = Math.min(delay * 2, 10000) * (0.8 + Math.random() * 0.4);
+      delay = Math.min(delay * 2, maxDelayMs) * (0.8 + Math.random() * 0.4);
       retries++;
     }
   }
 }
 
+// Ask a provider for a response, streaming it through onToken when a listener is given
+function generateText(provider, request, onToken) {
+  if (onToken && provider.generateStream) {
+    return provider.generateStream({ ...request, onToken });
+  }
+  return provider.generate(request);
+}
+
+// Events for one frame of a monitoring session, pushed to the session's watchers.
+// Without a session every method is a no-op and onToken is null, so answers aren't streamed
+function createFrameEvents(sessionId) {
+  const frameId = crypto.randomUUID();
+  let text = '';
+  let detectionSent = false;
+  
+  const publish = (event, data = {}) => {
+    if (sessionId) {
+      monitorSessions.publish(sessionId, event, { frameId, ...data });
+    }
+  };
+  
+  // Detection is announced once, as soon as it is known
+  const publishDetection = detected => {
+    if (!detectionSent) {
+      detectionSent = true;
+      publish('detection', { detected });
+    }
+  };
+  
+  const onToken = token => {
+    text += token;
+    publish('token', { token, text });
+    // The combined prompt puts the detected flag first, so it shows up early in the stream
+    const match = text.match(/"detected"\s*:\s*(true|false)/);
+    if (match) {
+      publishDetection(match[1] === 'true');
+    }
+  };
+  
+  return { frameId, publish, publishDetection, onToken: sessionId ? onToken : null };
+}
+
+// Look up an answer in the persistent cache, asking the model only on a miss.
+// With useCache false the model is always asked and the cache is left alone
+async function answerWithCache(cacheKey, processFn, useCache = true) {
+  if (!useCache) {
+    return { answer: await processFn(), cached: false };
+  }
+  const cachedAnswer = cache.getCachedAnswer(cacheKey);
+  if (cachedAnswer !== null) {
+    return { answer: cachedAnswer, cached: true };
+  }
+
+  const answer = await processFn();
+  cache.setCachedAnswer(cacheKey, answer);
+  return { answer, cached: false };
+}
+
+// Wrap an async route handler so rejected promises reach the error handler
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// Resolve the provider and model for a request from its `provider` and `model` fields,
+// falling back to the configured defaults
+function resolveModel(req) {
+  // Requests made with a session default to the session's provider
+  const provider = providers.getProvider(req.body.provider || (req.apiSession && req.apiSession.provider));
+  if (!provider) {
+    throw new ApiError(
+      'UNKNOWN_PROVIDER',
+      `Provider must be one of ${providers.listProviders().map(p => p.name).join(', ')}`
+    );
+  }
+  const modelName = req.body.model || provider.defaultModel;
+  if (!providers.isValidModelName(modelName)) {
+    throw new ApiError('INVALID_REQUEST', 'model must be a model name of letters, digits and . _ : / - characters');
+  }
+  // Cache entries are kept apart per provider as well as per model
+  return { provider, modelName, modelId: `${provider.name}/${modelName}` };
+}
+
+// The session token in an `Authorization: Bearer` header, if any
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+  return match ? match[1] : null;
+}
+
+// Reject keys that can't belong to the provider before anything is sent upstream. The provider's
+// own key is trusted as configured
+function checkApiKeyFormat(provider, apiKey) {
+  if (apiKey && apiKey !== provider.apiKey && provider.apiKeyPattern && !provider.apiKeyPattern.test(apiKey)) {
+    throw new ApiError('INVALID_API_KEY', `Please provide a valid ${provider.name} API key`);
+  }
+}
+
+// The API key for a request: the key held by its session, then the X-API-Key header, then the
+// `apiKey` field, then the provider's own key. Every endpoint reads it the same way and rejects
+// missing, malformed or expired credentials before any work
+function resolveApiKey(req, provider) {
+  if (getBearerToken(req)) {
+    if (!req.apiSession) {
+      throw new ApiError('INVALID_SESSION', 'The session has expired or was revoked; start a new one with POST /api/v1/sessions');
+    }
+    if (req.apiSession.provider !== provider.name) {
+      throw new ApiError('INVALID_REQUEST', `This session is for ${req.apiSession.provider}, not ${provider.name}`);
+    }
+    return req.apiSession.apiKey;
+  }
+
+  const apiKey = req.get('x-api-key') || req.body.apiKey || provider.apiKey;
+  if (provider.requiresApiKey && !apiKey) {
+    throw new ApiError('API_KEY_REQUIRED', `A ${provider.name} API key is required; start a session with POST /api/v1/sessions or send it in the X-API-Key header`);
+  }
+  checkApiKeyFormat(provider, apiKey);
+  return apiKey;
+}
+
+// Hash a key or address into an identifier that doesn't reveal it
+function digestSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex').slice(0, 32);
+}
+
+// Who asked a question: the key behind the request's session or the key it sent, or else its
+// address. Feedback rewrites the cache every user is answered from, so only the asker may give it
+function requestOwner(req) {
+  const apiKey = (req.apiSession && req.apiSession.apiKey) || req.get('x-api-key') || req.body.apiKey;
+  return apiKey ? `key:${digestSecret(apiKey)}` : `ip:${digestSecret(req.ip)}`;
+}
+
+// Who a monitoring frame is compared against: the API session, or else the key the client sent,
+// together with the provider and model answering it, so one client's remembered answers are never
+// served to another key or model. Clients on the server's own key are told apart by their
+// monitoring session, and only without one by their address
+function frameClientId(req, modelId, explain) {
+  const token = getBearerToken(req);
+  const clientKey = req.get('x-api-key') || req.body.apiKey;
+  let owner;
+  if (token) {
+    owner = `session:${digestSecret(token)}`;
+  } else if (clientKey) {
+    owner = `key:${digestSecret(clientKey)}`;
+  } else if (req.body.sessionId) {
+    owner = `monitor:${req.body.sessionId}`;
+  } else {
+    owner = `ip:${req.ip}`;
+  }
+  return `${owner}|${modelId}${explain ? '|explain' : ''}`;
+}
+
+// Charge a request's model calls (a map of model name to calls) to its key's bucket for each model,
+// reporting what is left in X-RateLimit-* headers and refusing the request with Retry-After once a
+// bucket is empty
+function chargeQuota(req, res, { provider, apiKey, costs }) {
+  const quota = quotas.take(quotas.getIdentity(provider.name, apiKey, req.ip), costs);
+  res.setHeader('X-RateLimit-Limit', quota.limit);
+  res.setHeader('X-RateLimit-Remaining', quota.remaining);
+  if (!quota.allowed) {
+    metrics.recordQuotaRejection(quota.model);
+    res.setHeader('Retry-After', quota.retryAfter);
+    throw new ApiError(
+      'RATE_LIMITED',
+      `Rate limit of ${quota.limit} calls per minute to ${quota.model} reached; try again in ${quota.retryAfter}s`,
+      { limit: quota.limit, retryAfter: quota.retryAfter }
+    );
+  }
+}
+
+// Crop the uploaded image to the regions in the request's `crop` field, if any
+async function applyRequestCrop(req) {
+  if (!req.file || req.body.crop === undefined || req.body.crop === '') {
+    return;
+  }
+  
+  const { regions, error } = imageRegions.parseCropRegions(req.body.crop);
+  if (error) {
+    throw new ApiError('INVALID_REQUEST', `Invalid crop: ${error}`);
+  }
+  
+  try {
+    // JPEG stays JPEG; other types are re-encoded losslessly
+    const format = req.file.mimetype === 'image/jpeg' ? 'jpeg' : 'png';
+    req.file.buffer = await imageRegions.cropImage(req.file.buffer, regions, format);
+    req.file.mimetype = `image/${format}`;
+  } catch (err) {
+    throw new ApiError('INVALID_REQUEST', `Invalid crop: ${err.message}`);
+  }
+}
+
+// Build the response shared by every answering endpoint. The answer and explanation are also
+// rendered from Markdown to sanitized HTML, so clients never have to interpret model output as HTML
+function formatAnswerResponse(structured, extra = {}) {
+  const explanation = structured.explanation || '';
+  return {
+    ...extra,
+    question: structured.question,
+    options: structured.options,
+    selectedIndexes: structured.selectedIndexes,
+    selectedLetters: structured.selectedLetters,
+    answer: structured.answer,
+    answerHtml: renderMarkdown(structured.answer),
+    explanation,
+    explanationHtml: renderMarkdown(explanation),
+    type: structured.type,
+    details: structured.details,
+    warnings: structured.warnings,
+    confidence: structured.confidence,
+    answers: structured.answers,
+    format: structured.format
+  };
+}
+
+// A study card as returned by the API, with its sides rendered from Markdown like answers are
+function formatCard(card) {
+  return {
+    ...card,
+    frontHtml: renderMarkdown(card.front),
+    backHtml: renderMarkdown(card.back),
+    explanationHtml: renderMarkdown(card.explanation)
+  };
+}
+
+// Ask the model of every consensus call at once and vote on the answers. Each call goes through
+// callProviderWithRetry's retries like any other; failed calls are left out of the vote unless all of them fail
+async function runConsensus(calls, askModel, parseAnswer) {
+  const results = await Promise.all(calls.map(model => askModel(model)
+    .then(text => ({ model, answer: parseAnswer(text) }))
+    .catch(error => ({ model, error }))));
+
+  results.filter(result => result.error).forEach(result => statistics.recordError(result.model));
+  const combined = combineAnswers(results);
+  if (!combined.answer) {
+    throw results[0].error;
+  }
+  return combined;
+}
+
+// Name recorded in the history and statistics for answers voted on by several models
+function consensusModelName(calls) {
+  return [...new Set(calls)].join('+');
+}
+
+// Response instructions for a prompt, asking for the step-by-step explanation as well in explain mode
+function withExplainInstructions(instructions, explain) {
+  return explain ? `${instructions}\n${EXPLAIN_INSTRUCTIONS}` : instructions;
+}
+
+// Cache answers given with explanations separately from the plain ones
+function explainCacheModelId(modelId, explain) {
+  return explain ? `${modelId}:explain` : modelId;
+}
+
+// The prompt behind an answer, as recorded for the accuracy report: the template's name, marked when
+// explain mode added its instructions, and the version of the template's current text
+function describePrompt(name, explain = false) {
+  return { prompt: explain ? `${name}+explain` : name, promptVersion: config.getPromptVersion(name) };
+}
+
+// The prompt a monitored frame was answered with: the two-step path answers with the image question
+// prompt once detection has found a question, and the combined path reads the frame's text when OCR could
+function framePromptName(detectionMode, ocrResult) {
+  if (detectionMode === 'two-step') {
+    return 'imageQuestion';
+  }
+  return ocrResult && ocrResult.used ? 'detectAndAnswerText' : 'detectAndAnswer';
+}
+
+// Record an answered question in the persistent history and statistics, returning its history entry.
+// Feedback on the answer refers to the entry, which keeps the cache key to evict or correct. Text
+// questions are stored as asked; images with the question the model read from them, if it gave one
+function recordAnswer(req, { type, question = null, questionType, provider, modelName, answers, startTime, cached, prompt, promptVersion, cacheKey = null, ocr: ocrResult = null }) {
+  const latencyMs = Date.now() - startTime;
+  const entry = questionHistory.addEntry({
+    endpoint: req.originalUrl.split('?')[0],
+    type,
+    question: type === 'text' ? req.body.question : question,
+    questionType,
+    provider: provider.name,
+    model: modelName,
+    answers,
+    latencyMs,
+    cached,
+    prompt,
+    promptVersion,
+    cacheKey,
+    ocr: ocrResult,
+    owner: requestOwner(req)
+  });
+  statistics.recordQuestion({ model: modelName, responseTime: latencyMs, type: questionType });
+  return entry;
+}
+
 // Process text-based questions
-async function processTextQuestion(question, apiKey, modelName = 'gemini-2.0-flash-lite') {
+async function processTextQuestion(question, apiKey, modelName, provider = providers.getProvider(), explain = false) {
   try {
-    if (!apiKey) {
+    if (provider.requiresApiKey && !apiKey) {
       throw new Error('API key is required');
     }
-    // Initialize Gemini AI with the provided API key
-    const userGenAI = new GoogleGenerativeAI(apiKey);
-    // Use the specified model or fallback to flash-lite
-    const model = userGenAI.getGenerativeModel({ model: modelName });
     
-    // Optimized prompt for faster response - more direct and concise
-    const prompt = `Quiz question: "${question}"
-Provide ONLY the correct answer(s). If there are choices, only pick from them. Be extremely concise.`;
+    // Prompt with the rule for the question's type, asking for the structured JSON answer
+    const prompt = config.renderPrompt('textQuestion', {
+      question,
+      typeInstructions: getTypeInstructions(classifyQuestionText(question)),
+      responseInstructions: withExplainInstructions(JSON_RESPONSE_INSTRUCTIONS, explain)
+    });
     
     // Use the retry wrapper
-    const result = await callGeminiAPI(() => model.generateContent(prompt));
-    return result.response.text();
+    return await callProviderWithRetry(() => provider.generate({ apiKey, model: modelName, prompt }), provider, modelName);
   } catch (error) {
-    console.error('Error processing text question:', error);
+    logger.error('Error processing text question', { provider: provider.name, model: modelName, error });
     throw error;
   }
 }
 
-// Process image-based questions
-async function processImageQuestion(imagePath, apiKey, modelName = 'gemini-2.0-flash-lite') {
+// Process image-based questions from an in-memory image part
+async function processImageQuestion(image, apiKey, modelName, provider = providers.getProvider(), explain = false) {
   try {
-    if (!apiKey) {
+    if (provider.requiresApiKey && !apiKey) {
       throw new Error('API key is required');
     }
-    // Mark the file as being processed
-    history.markFileProcessing(imagePath);
-    
-    // Initialize Gemini AI with the provided API key
-    const userGenAI = new GoogleGenerativeAI(apiKey);
-    // Use the specified model or fallback to flash-lite
-    const model = userGenAI.getGenerativeModel({ model: modelName });
-    
-    // Determine the MIME type based on file extension
-    const mimeType = path.extname(imagePath).toLowerCase() === '.png' ? 'image/png' : 'image/jpeg';
-    
-    // Convert image to format required by Gemini API
-    const imagePart = fileToGenerativePart(imagePath, mimeType);
-    
-    // Optimized prompt - shorter and more direct for faster processing
-    const prompt = 'Quiz question image. Identify and provide ONLY the correct answer(s). If there are choices, only pick from them. Be extremely concise.';
-    
-    // Use the retry wrapper
-    const result = await callGeminiAPI(() => model.generateContent([prompt, imagePart]));
-    return result.response.text();
+    return await answerImage(image, apiKey, modelName, provider, null, explain);
   } catch (error) {
-    console.error('Error processing image question:', error);
+    logger.error('Error processing image question', { provider: provider.name, model: modelName, error });
     throw error;
-  } finally {
-    // Mark the file as processed before attempting to delete
-    history.markFileProcessed(imagePath);
-    // Clean up: safely delete the temporary image file
-    history.safelyDeleteFile(imagePath);
   }
 }
 
-// Detect if an image contains a quiz question
-async function detectQuizQuestion(imagePath, apiKey, modelName = 'gemini-2.0-flash-lite') {
+// Answer a quiz question from an in-memory image part, streaming the answer through onToken if given
+async function answerImage(image, apiKey, modelName, provider = providers.getProvider(), onToken = null, explain = false) {
+  // The type can't be told from an image beforehand, so the model classifies it
+  const prompt = config.renderPrompt('imageQuestion', {
+    typeInstructions: getTypeInstructions(null),
+    responseInstructions: withExplainInstructions(JSON_RESPONSE_INSTRUCTIONS, explain)
+  });
+  
+  // Use the retry wrapper
+  return await callProviderWithRetry(() => generateText(provider, { apiKey, model: modelName, prompt, image }, onToken), provider, modelName);
+}
+
+// Detect if an in-memory image contains a quiz question (first step of the two-step monitor path)
+async function detectQuizQuestion(image, apiKey, modelName, provider = providers.getProvider()) {
   try {
-    if (!apiKey) {
+    if (provider.requiresApiKey && !apiKey) {
       throw new Error('API key is required');
     }
-    // Mark the file as being processed
-    history.markFileProcessing(imagePath);
-    
-    // Initialize Gemini AI with the provided API key
-    const userGenAI = new GoogleGenerativeAI(apiKey);
-    // Use the specified model or fallback to flash-lite
-    const model = userGenAI.getGenerativeModel({ model: modelName });
-    
-    // Determine the MIME type based on file extension
-    const mimeType = path.extname(imagePath).toLowerCase() === '.png' ? 'image/png' : 'image/jpeg';
-    
-    // Convert image to format required by Gemini API
-    const imagePart = fileToGenerativePart(imagePath, mimeType);
     
     // Simplified prompt for faster detection
-    const prompt = 'Is this a quiz question image? Answer only yes/no.';
+    const prompt = config.renderPrompt('detect');
     
     // Use the retry wrapper
-    const result = await callGeminiAPI(() => model.generateContent([prompt, imagePart]));
-    const response = result.response.text().toLowerCase().trim();
+    const result = await callProviderWithRetry(() => provider.generate({ apiKey, model: modelName, prompt, image }), provider, modelName);
+    const response = result.toLowerCase().trim();
     
     // Return true if the response contains 'yes'
     return response.includes('yes');
   } catch (error) {
-    console.error('Error detecting quiz question:', error);
+    logger.error('Error detecting quiz question', { provider: provider.name, model: modelName, error });
+    statistics.recordError(modelName);
     return false;
-  } finally {
-    // Mark the file as processed before attempting to delete
-    history.markFileProcessed(imagePath);
-    // Clean up: safely delete the temporary image file
-    history.safelyDeleteFile(imagePath);
   }
 }
 
-// Process question endpoint
-app.post('/process_question', upload.single('image'), async (req, res) => {
+// Detect and answer a quiz question from an in-memory image in a single model call,
+// streaming the response through onToken if given
+async function detectAndAnswerImage(image, apiKey, modelName, provider = providers.getProvider(), onToken = null, explain = false) {
+  if (provider.requiresApiKey && !apiKey) {
+    throw new Error('API key is required');
+  }
+  
+  const prompt = config.renderPrompt('detectAndAnswer', {
+    typeInstructions: getTypeInstructions(null),
+    responseInstructions: withExplainInstructions(DETECT_AND_ANSWER_INSTRUCTIONS, explain)
+  });
+  
+  // Use the retry wrapper
+  return await callProviderWithRetry(() => generateText(provider, { apiKey, model: modelName, prompt, image }, onToken), provider, modelName);
+}
+
+// Detect and answer a quiz question from the text OCR read off a frame, in a single model call,
+// streaming the response through onToken if given
+async function detectAndAnswerText(text, apiKey, modelName, provider = providers.getProvider(), onToken = null, explain = false) {
+  if (provider.requiresApiKey && !apiKey) {
+    throw new Error('API key is required');
+  }
+  
+  const prompt = config.renderPrompt('detectAndAnswerText', {
+    text,
+    typeInstructions: getTypeInstructions(null),
+    responseInstructions: withExplainInstructions(DETECT_AND_ANSWER_INSTRUCTIONS, explain)
+  });
+  
+  // Use the retry wrapper
+  return await callProviderWithRetry(() => generateText(provider, { apiKey, model: modelName, prompt }, onToken), provider, modelName);
+}
+
+// Answer every question on one page of a batch job, recording them in the history and statistics
+// under the owner that queued the job
+async function answerBatchPage(source, apiKey, modelName, provider = providers.getProvider(), owner = null) {
+  const startTime = Date.now();
+  
   try {
-    let answer;
-    
-    // Check if API key was provided in headers or body
-    const apiKey = req.headers['x-api-key'] || req.body.apiKey;
-    if (!apiKey) {
-      return res.status(400).json({ error: 'API key is required' });
+    // Spooled page images are only read back from disk when their turn comes
+    let image = source.spooledPath
+      ? bufferToImagePart(await uploads.readSpooled(source.spooledPath), source.mimeType)
+      : source.image;
+    // Pages whose text OCR reads well enough are sent as text instead of the image
+    const ocrResult = image ? await ocr.readQuestionText(Buffer.from(image.data, 'base64')) : null;
+    let text = source.text;
+    if (ocrResult && ocrResult.used) {
+      text = ocrResult.text;
+      image = null;
     }
+    const promptName = image ? 'batchImage' : 'batchText';
+    const prompt = config.renderPrompt(promptName, {
+      text,
+      typeInstructions: getTypeInstructions(null),
+      responseInstructions: MULTIPLE_QUESTIONS_INSTRUCTIONS
+    });
+    // Use the retry wrapper
+    const response = await callProviderWithRetry(() => provider.generate({ apiKey, model: modelName, prompt, image }), provider, modelName);
+    const answers = parseMultipleAnswers(response);
     
-    // Determine if the request contains text or an image
+    const latencyMs = Date.now() - startTime;
+    const { promptVersion } = describePrompt(promptName);
+    answers.forEach(answer => {
+      const entry = questionHistory.addEntry({
+        endpoint: '/api/v1/batch',
+        type: source.type,
+        question: answer.question || null,
+        questionType: answer.type,
+        provider: provider.name,
+        model: modelName,
+        answers: answer.answers,
+        latencyMs,
+        cached: false,
+        prompt: promptName,
+        promptVersion,
+        ocr: ocrResult,
+        owner
+      });
+      // Feedback on batch answers refers to their history entries too
+      answer.historyId = entry.id;
+      // One call answers the whole page, so its time is shared between the questions
+      statistics.recordQuestion({ model: modelName, responseTime: Math.round(latencyMs / answers.length), type: answer.type });
+    });
+    return answers;
+  } catch (error) {
+    logger.error('Error processing batch page', { provider: provider.name, model: modelName, error });
+    statistics.recordError(modelName);
+    throw error;
+  }
+}
+
+// Versioned API. Every route shares one contract: a session token in the Authorization header (or
+// the key itself in the X-API-Key header or an `apiKey` field), `provider` and `model` fields, and
+// errors as { error: { code, message, details } }
+const api = express.Router();
+
+// Look up the session of requests made with a token; resolveApiKey rejects tokens that have none
+api.use((req, res, next) => {
+  const token = getBearerToken(req);
+  req.apiSession = token ? sessions.getSession(token) : null;
+  next();
+});
+
+// Exchange an API key for a session token once the provider has accepted the key, so the key
+// itself doesn't have to be sent with every request
+api.post('/sessions', asyncRoute(async (req, res) => {
+  const { provider, modelName } = resolveModel(req);
+  const apiKey = req.get('x-api-key') || req.body.apiKey;
+  if (!apiKey) {
+    throw new ApiError('API_KEY_REQUIRED', `Send the ${provider.name} API key to start a session with in the X-API-Key header`);
+  }
+  checkApiKeyFormat(provider, apiKey);
+  await provider.validateKey({ apiKey, model: modelName });
+
+  const session = sessions.createSession(provider.name, apiKey);
+  return res.status(201).json({
+    ...session,
+    tokenType: 'Bearer',
+    idleTimeoutSeconds: sessions.getIdleTimeout() / 1000
+  });
+}));
+
+// The session of the token in the Authorization header
+api.get('/sessions/current', (req, res) => {
+  if (!req.apiSession) {
+    throw new ApiError('INVALID_SESSION', 'Send a session token that hasn\'t expired or been revoked in the Authorization header');
+  }
+  const { apiKey, ...session } = req.apiSession;
+  return res.json(session);
+});
+
+// Log out: end the session of the token in the Authorization header
+api.delete('/sessions/current', (req, res) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    throw new ApiError('INVALID_SESSION', 'Send the session token to end in the Authorization header');
+  }
+  return res.json({ revoked: sessions.revokeSession(token) });
+});
+
+// End every session started with a key, proven by sending the key itself, e.g. after a token leaked
+api.post('/sessions/revoke', (req, res) => {
+  const { provider } = resolveModel(req);
+  const apiKey = req.get('x-api-key') || req.body.apiKey;
+  if (!apiKey) {
+    throw new ApiError('API_KEY_REQUIRED', 'Send the API key whose sessions should end in the X-API-Key header');
+  }
+  return res.json({ revoked: sessions.revokeSessionsForKey(provider.name, apiKey) });
+});
+
+// Answer a text question or a screenshot of one
+api.post('/answer', uploadImage('image'), checkUploadTypes(IMAGE_TYPES, IMAGE_TYPES_DESCRIPTION), asyncRoute(async (req, res) => {
+  const { provider, modelName, modelId } = resolveModel(req);
+  if (!req.file && !req.body.question) {
+    throw new ApiError('INVALID_REQUEST', 'Send a question in the "question" field or an image in the "image" field');
+  }
+  const apiKey = resolveApiKey(req, provider);
+  const { calls, error: consensusError } = parseConsensusOptions(req.body, modelName);
+  if (consensusError) {
+    throw new ApiError('INVALID_REQUEST', consensusError);
+  }
+  // Explain mode adds the step-by-step reasoning behind the answer
+  const explain = String(req.body.explain) === 'true';
+
+  // Crop the image to the requested regions of interest
+  await applyRequestCrop(req);
+
+  // Charge the request to the key's quota for each model it will call, only once a model is about
+  // to be asked: invalid requests, unreadable images and cached answers cost nothing
+  const chargeModelCalls = () => chargeQuota(req, res, { provider, apiKey, costs: calls ? countCalls(calls) : { [modelName]: 1 } });
+
+  // Consensus always asks every model, so it bypasses the cache
+  if (calls) {
+    const startTime = Date.now();
+    const image = req.file ? await prepareImagePart(req.file.buffer, req.file.mimetype) : null;
+    chargeModelCalls();
+    const expectedType = req.file ? null : classifyQuestionText(req.body.question);
+    const { answer: structured, consensus } = await runConsensus(
+      calls,
+      model => (image
+        ? processImageQuestion(image, apiKey, model, provider, explain)
+        : processTextQuestion(req.body.question, apiKey, model, provider, explain)),
+      text => parseStructuredAnswer(text, expectedType)
+    );
+
+    const entry = recordAnswer(req, {
+      type: req.file ? 'image' : 'text',
+      question: structured.question,
+      questionType: structured.type,
+      provider,
+      modelName: consensusModelName(calls),
+      answers: structured.answers,
+      startTime,
+      cached: false,
+      ...describePrompt(req.file ? 'imageQuestion' : 'textQuestion', explain)
+    });
+
+    return res.json(formatAnswerResponse(structured, { historyId: entry.id, cached: false, consensus }));
+  }
+
+  // `cache=false` always asks the model; the deprecated /process_question_with_key never cached text
+  const useCache = String(req.body.cache) !== 'false' && !(res.locals.skipTextCache && !req.file);
+  const startTime = Date.now();
+  try {
+    let result;
+    let cacheKey;
+    // Text read from the image by OCR, when it was good enough to ask the question as text
+    let ocrResult = null;
+    let questionText = req.body.question;
     if (req.file) {
-      // Process image-based question
-      answer = await processImageQuestion(req.file.path, apiKey);
-      // Note: processImageQuestion already handles image deletion
-    } else if (req.body.question) {
-      // Process text-based question
-      answer = await processTextQuestion(req.body.question, apiKey);
+      // Process image-based question, reusing a cached answer for identical images; the image is
+      // only read or preprocessed when the model is asked
+      cacheKey = cache.getImageCacheKey(req.file.buffer, explainCacheModelId(modelId, explain));
+      const { buffer, mimetype } = req.file;
+      const cachedAnswer = useCache ? cache.getCachedAnswer(cacheKey) : null;
+      ocrResult = cachedAnswer === null ? await ocr.readQuestionText(buffer) : null;
+      if (cachedAnswer !== null) {
+        result = { answer: cachedAnswer, cached: true };
+      } else if (ocrResult && ocrResult.used) {
+        // Ask the text as a text question, sharing the cache with questions typed or read elsewhere
+        questionText = ocrResult.text;
+        cacheKey = cache.getTextCacheKey(questionText, explainCacheModelId(modelId, explain));
+        result = await answerWithCache(cacheKey, () => {
+          chargeModelCalls();
+          return processTextQuestion(questionText, apiKey, modelName, provider, explain);
+        }, useCache);
+      } else {
+        result = await answerWithCache(cacheKey, async () => {
+          const image = await prepareImagePart(buffer, mimetype);
+          chargeModelCalls();
+          return processImageQuestion(image, apiKey, modelName, provider, explain);
+        }, useCache);
+      }
     } else {
-      return res.status(400).json({ error: 'No question or image provided' });
+      // Process text-based question
+      cacheKey = cache.getTextCacheKey(req.body.question, explainCacheModelId(modelId, explain));
+      result = await answerWithCache(cacheKey, () => {
+        chargeModelCalls();
+        return processTextQuestion(req.body.question, apiKey, modelName, provider, explain);
+      }, useCache);
     }
-    
-    // Optimized answer processing - more efficient extraction
-    const answers = answer.split('\n')
-      .map(line => line.trim())
-      .filter(line => line.length > 0 && !line.startsWith('*') && !line.startsWith('#'));
-    
-    return res.json({ answers });
+    const { answer, cached } = result;
+    const askedAsText = !req.file || Boolean(ocrResult && ocrResult.used);
+
+    // Validate the structured answer, repairing malformed output
+    const structured = parseStructuredAnswer(answer, askedAsText ? classifyQuestionText(questionText) : null);
+
+    const entry = recordAnswer(req, {
+      type: req.file ? 'image' : 'text',
+      question: structured.question,
+      questionType: structured.type,
+      provider,
+      modelName,
+      answers: structured.answers,
+      startTime,
+      cached,
+      ...describePrompt(askedAsText ? 'textQuestion' : 'imageQuestion', explain),
+      cacheKey,
+      ocr: ocrResult
+    });
+
+    return res.json(formatAnswerResponse(structured, { historyId: entry.id, cached, ...(ocrResult ? { ocr: ocrResult } : {}) }));
   } catch (error) {
-    console.error('Error processing question:', error);
-    // Clean up the image in case of error
-    if (req.file && req.file.path) {
-      // Mark the file as processed before attempting to delete
-      history.markFileProcessed(req.file.path);
-      // Safely delete the file
-      history.safelyDeleteFile(req.file.path);
+    // A request refused by its quota never reached the model
+    if (!(error instanceof ApiError && error.code === 'RATE_LIMITED')) {
+      statistics.recordError(modelName);
     }
-    return res.status(500).json({ 
-      error: 'Failed to process question', 
-      message: error.message 
-    });
+    throw error;
   }
-});
+}));
 
 // Screen monitoring endpoint for detecting and processing quiz questions
-app.post('/monitor_screen', upload.single('image'), async (req, res) => {
-  try {
-    // Check if an image was provided
-    if (!req.file) {
-      return res.status(400).json({ error: 'No image provided' });
-    }
-    
-    // Check if API key was provided in headers or body
-    const apiKey = req.headers['x-api-key'] || req.body.apiKey;
-    if (!apiKey) {
-      return res.status(400).json({ error: 'API key is required' });
+api.post('/monitor/frames', uploadImage('image'), checkUploadTypes(IMAGE_TYPES, IMAGE_TYPES_DESCRIPTION), asyncRoute(async (req, res) => {
+  const { provider, modelName, modelId } = resolveModel(req);
+  // Check if an image was provided
+  if (!req.file) {
+    throw new ApiError('INVALID_REQUEST', 'Send the screen capture in the "image" field');
+  }
+  const apiKey = resolveApiKey(req, provider);
+
+  // Frames sent as part of a monitoring session push their progress to its watchers
+  const sessionId = req.body.sessionId || null;
+  if (sessionId && !monitorSessions.hasSession(sessionId)) {
+    throw new ApiError('NOT_FOUND', 'Unknown monitoring session; start a new one with POST /api/v1/monitor/sessions');
+  }
+  const frameEvents = createFrameEvents(sessionId);
+
+  // Crop the frame to the requested regions of interest
+  await applyRequestCrop(req);
+
+  // Every step below works from the same in-memory buffer
+  const imageBuffer = req.file.buffer;
+  const explain = String(req.body.explain) === 'true';
+
+  // Serve the previous response for frames that look the same as a recent one,
+  // before they count against the key's quota
+  const clientId = frameClientId(req, modelId, explain);
+  const skipUnchanged = req.body.skipUnchanged !== 'false';
+  const hash = skipUnchanged ? await frameHash.computeDifferenceHash(imageBuffer).catch(() => null) : null;
+  const similarFrame = hash ? frameHash.findSimilarFrame(clientId, hash) : null;
+  if (similarFrame) {
+    return res.json({ ...similarFrame.response, unchanged: true, skippedFrames: similarFrame.skipped });
+  }
+
+  // Send a response and remember it for later unchanged frames
+  const sendFrameResponse = body => {
+    if (hash) {
+      frameHash.rememberFrame(clientId, hash, body);
     }
-    
-    // Apply rate limiting based on client IP
-    const clientId = req.ip;
-    if (isRateLimited(clientId)) {
-      // Clean up the image if rate limited
-      if (req.file && req.file.path) {
-        // Mark the file as processed before attempting to delete
-        history.markFileProcessed(req.file.path);
-        // Safely delete the file
-        history.safelyDeleteFile(req.file.path);
+    frameEvents.publishDetection(body.detected);
+    frameEvents.publish('answer', body);
+    return res.json({ ...body, unchanged: false, skippedFrames: frameHash.getSkippedCount(clientId) });
+  };
+
+  // The two-step detect-then-answer path is kept for comparing accuracy; it makes two model calls
+  const detectionMode = req.body.detectionMode === 'two-step' ? 'two-step' : 'combined';
+  const { calls, error: consensusError } = parseConsensusOptions(req.body, modelName);
+  if (consensusError) {
+    throw new ApiError('INVALID_REQUEST', consensusError);
+  }
+  if (calls && detectionMode === 'two-step') {
+    throw new ApiError('INVALID_REQUEST', 'Consensus detects and answers in one call per model; leave detectionMode at combined');
+  }
+
+  // The model sees a scaled-down copy; hashing and caching use the frame as captured
+  const image = await prepareImagePart(imageBuffer, req.file.mimetype);
+
+  // Consensus always asks every model. Otherwise a previously answered image skips both detection
+  // and answering, and costs nothing against the key's quota; an unreadable image is never charged
+  const cacheKey = calls ? null : cache.getImageCacheKey(imageBuffer, explainCacheModelId(modelId, explain));
+  const cachedAnswer = cacheKey ? cache.getCachedAnswer(cacheKey) : null;
+  if (cachedAnswer === null) {
+    chargeQuota(req, res, { provider, apiKey, costs: calls ? countCalls(calls) : { [modelName]: detectionMode === 'two-step' ? 2 : 1 } });
+  }
+
+  frameEvents.publish('frame');
+
+  try {
+    const startTime = Date.now();
+
+    // Every model votes on whether the frame shows a question and on its answer; answers aren't
+    // streamed or cached, since no single model's response is the result
+    if (calls) {
+      const { answer: result, consensus } = await runConsensus(
+        calls,
+        model => detectAndAnswerImage(image, apiKey, model, provider, null, explain),
+        parseDetectionAnswer
+      );
+      const consensusModel = consensusModelName(calls);
+      statistics.recordDetection(result.detected, consensusModel);
+
+      if (!result.detected) {
+        return sendFrameResponse({
+          detected: false,
+          detectionMode,
+          message: 'No quiz question detected in the image',
+          consensus
+        });
       }
-      return res.status(429).json({ 
-        error: 'Rate limit exceeded', 
-        message: 'Please wait before sending another request' 
+
+      const entry = recordAnswer(req, {
+        type: 'image',
+        question: result.question,
+        questionType: result.type,
+        provider,
+        modelName: consensusModel,
+        answers: result.answers,
+        startTime,
+        cached: false,
+        ...describePrompt('detectAndAnswer', explain)
       });
+
+      return sendFrameResponse(formatAnswerResponse(result, { historyId: entry.id, detected: true, detectionMode, cached: false, consensus }));
     }
-    
-    // First, detect if the image contains a quiz question
-    const containsQuestion = await detectQuizQuestion(req.file.path, apiKey);
-    
-    if (!containsQuestion) {
-      // Note: Image is already deleted in detectQuizQuestion's finally block
-      return res.json({ 
+
+    let answer = cachedAnswer;
+    let ocrResult = null;
+
+    if (cachedAnswer === null && detectionMode === 'two-step') {
+      // First, detect if the image contains a quiz question
+      const containsQuestion = await detectQuizQuestion(image, apiKey, modelName, provider);
+      frameEvents.publishDetection(containsQuestion);
+
+      if (!containsQuestion) {
+        statistics.recordDetection(false, modelName);
+        return sendFrameResponse({
+          detected: false,
+          detectionMode,
+          message: 'No quiz question detected in the image'
+        });
+      }
+
+      // If a question is detected, ask again for the answer
+      answer = await answerImage(image, apiKey, modelName, provider, frameEvents.onToken, explain);
+    } else if (cachedAnswer === null) {
+      // Detect and answer in one round-trip, from the frame's text when OCR reads it well enough
+      ocrResult = await ocr.readQuestionText(imageBuffer);
+      answer = ocrResult && ocrResult.used
+        ? await detectAndAnswerText(ocrResult.text, apiKey, modelName, provider, frameEvents.onToken, explain)
+        : await detectAndAnswerImage(image, apiKey, modelName, provider, frameEvents.onToken, explain);
+    }
+    const ocrField = ocrResult ? { ocr: ocrResult } : {};
+
+    // Validate the structured answer, repairing malformed output
+    const result = parseDetectionAnswer(answer);
+    statistics.recordDetection(result.detected, modelName);
+
+    if (!result.detected) {
+      return sendFrameResponse({
         detected: false,
-        message: 'No quiz question detected in the image'
+        detectionMode,
+        message: 'No quiz question detected in the image',
+        ...ocrField
       });
     }
-    
-    // If a question is detected, process it to get the answer
-    // Note: processImageQuestion already handles image deletion
-    const answer = await processImageQuestion(req.file.path, apiKey);
-    
-    // Process the answer to extract the most likely correct answer(s)
-    const answers = answer.split('\n')
-      .map(line => line.trim())
-      .filter(line => line.length > 0);
-    
-    return res.json({ 
-      detected: true,
-      answers: answers
+
+    // Only answered frames are worth caching
+    if (cachedAnswer === null) {
+      cache.setCachedAnswer(cacheKey, answer);
+    }
+
+    const entry = recordAnswer(req, {
+      type: 'image',
+      question: result.question,
+      questionType: result.type,
+      provider,
+      modelName,
+      answers: result.answers,
+      startTime,
+      cached: cachedAnswer !== null,
+      ...describePrompt(framePromptName(detectionMode, ocrResult), explain),
+      cacheKey,
+      ocr: ocrResult
     });
+
+    return sendFrameResponse(formatAnswerResponse(result, { historyId: entry.id, detected: true, detectionMode, cached: cachedAnswer !== null, ...ocrField }));
   } catch (error) {
-    console.error('Error monitoring screen:', error);
-    // Clean up the image in case of error
-    if (req.file && req.file.path) {
-      // Mark the file as processed before attempting to delete
-      history.markFileProcessed(req.file.path);
-      // Safely delete the file
-      history.safelyDeleteFile(req.file.path);
+    // runConsensus has already counted the errors of its calls
+    if (!calls) {
+      statistics.recordError(modelName);
     }
-    return res.status(500).json({ 
-      error: 'Failed to process screen capture', 
-      message: error.message 
-    });
+    const { code, message } = toApiError(error);
+    frameEvents.publish('error', { code, message });
+    throw error;
   }
+}));
+
+// List answered questions with paging, text search and date filters
+api.get('/history', (req, res) => {
+  const { page, limit, search, from, to } = req.query;
+  return res.json(questionHistory.listEntries({ page, limit, search, from, to }));
 });
 
-// Endpoint to process questions with custom API key
-app.post('/process_question_with_key', upload.single('image'), async (req, res) => {
-  try {
-    // Check if an image or text was provided
-    if (!req.file && !req.body.question) {
-      return res.status(400).json({ error: 'No image or text question provided' });
-    }
-    
-    // Check if API key was provided
-    if (!req.body.apiKey) {
-      return res.status(400).json({ error: 'No API key provided' });
-    }
-    
-    // Validate API key format (basic check)
-    if (!/^AIza[0-9A-Za-z_-]{35}$/.test(req.body.apiKey)) {
-      return res.status(400).json({ 
-        error: 'Invalid API key format', 
-        message: 'Please provide a valid Gemini API key' 
-      });
-    }
-    
-    // Apply rate limiting based on client IP
-    const clientId = req.ip;
-    if (isRateLimited(clientId)) {
-      // Clean up the image if rate limited
-      if (req.file && req.file.path) {
-        // Mark the file as processed before attempting to delete
-        history.markFileProcessed(req.file.path);
-        // Safely delete the file
-        history.safelyDeleteFile(req.file.path);
-      }
-      return res.status(429).json({ 
-        error: 'Rate limit exceeded', 
-        message: 'Please wait before sending another request' 
+// Download the (optionally filtered) history as JSON, CSV or Markdown
+api.get('/history/export', (req, res) => {
+  const { format = 'json', search, from, to } = req.query;
+  const exported = questionHistory.exportEntries(format, { search, from, to });
+  if (!exported) {
+    throw new ApiError('INVALID_REQUEST', 'Format must be one of json, csv or markdown');
+  }
+
+  res.setHeader('Content-Type', `${exported.contentType}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="screen-answerer-history.${exported.extension}"`);
+  return res.send(exported.body);
+});
+
+// Remove a single history entry
+api.delete('/history/:id', (req, res) => {
+  if (!questionHistory.deleteEntry(req.params.id)) {
+    throw new ApiError('NOT_FOUND', 'History entry not found');
+  }
+  return res.json({ deleted: true });
+});
+
+// Mark an answer right or wrong, optionally with the right answer. A wrong answer is evicted from the
+// cache, or replaced there by the right answer, so the same question isn't answered wrongly again
+api.post('/history/:id/feedback', (req, res) => {
+  const { correctAnswer } = req.body;
+  if (correctAnswer !== undefined && correctAnswer !== null && (typeof correctAnswer !== 'string' || !correctAnswer.trim())) {
+    throw new ApiError('INVALID_REQUEST', 'correctAnswer must be non-empty text');
+  }
+  const corrected = typeof correctAnswer === 'string' ? correctAnswer.trim() : null;
+
+  // Giving the right answer says the answer was wrong, so correct may be left out
+  const correctValue = req.body.correct === undefined && corrected ? 'false' : String(req.body.correct);
+  if (correctValue !== 'true' && correctValue !== 'false') {
+    throw new ApiError('INVALID_REQUEST', 'Send correct as true or false');
+  }
+  const correct = correctValue === 'true';
+  if (correct && corrected) {
+    throw new ApiError('INVALID_REQUEST', 'correctAnswer can only be given for a wrong answer');
+  }
+
+  const asked = questionHistory.getEntry(req.params.id);
+  if (!asked) {
+    throw new ApiError('NOT_FOUND', 'History entry not found');
+  }
+  if (asked.owner !== requestOwner(req)) {
+    throw new ApiError('FORBIDDEN', 'Only the key or session that asked the question can give feedback on its answer');
+  }
+
+  const { entry, previous } = questionHistory.setFeedback(req.params.id, { correct, correctAnswer: corrected });
+  statistics.recordFeedback(entry, correct, previous ? previous.correct : null);
+
+  // The answer is corrected or evicted with and without explain mode alike, as both were answered
+  // by the same model. A correction is only stored where the answer was cached, or under the
+  // entry's own key, so the other form is still asked for when nothing was cached for it
+  let cacheAction = entry.cacheKey ? 'kept' : 'none';
+  if (!correct && entry.cacheKey) {
+    const removed = new Map(cache.getExplainVariantKeys(entry.cacheKey).map(key => [key, cache.deleteCachedAnswer(key)]));
+    const fallback = { question: entry.question, type: entry.questionType };
+    if (corrected) {
+      removed.forEach((answer, key) => {
+        if (answer !== null || key === entry.cacheKey) {
+          cache.setCachedAnswer(key, buildCorrectedAnswer(answer, corrected, fallback));
+        }
       });
-    }
-    
-    // Initialize Google Generative AI with the provided API key
-    const customGenAI = new GoogleGenerativeAI(req.body.apiKey);
-    
-    // Get the model name from the request or use default
-    const modelName = req.body.model || 'gemini-2.0-flash-lite';
-    
-    let answer;
-    if (req.file) {
-      // Process image-based question with custom API key and model
-      answer = await processImageQuestionWithKey(req.file.path, customGenAI, modelName);
+      cacheAction = 'overridden';
     } else {
-      // Process text-based question with custom API key and model
-      answer = await processTextQuestionWithKey(req.body.question, customGenAI, modelName);
+      cacheAction = [...removed.values()].some(answer => answer !== null) ? 'evicted' : 'none';
     }
-    
-    // Process the answer to extract the most likely correct answer(s)
-    const answers = answer.split('\n')
-      .map(line => line.trim())
-      .filter(line => line.length > 0);
-    
-    return res.json({ answers: answers });
-  } catch (error) {
-    console.error('Error processing question with custom key:', error);
-    // Clean up the image in case of error
-    if (req.file && req.file.path) {
-      // Mark the file as processed before attempting to delete
-      history.markFileProcessed(req.file.path);
-      // Safely delete the file
-      history.safelyDeleteFile(req.file.path);
-    }
-    
-    // Provide more specific error messages for common issues
-    if (error.message && (error.message.includes('API key') || error.message.includes('authentication') || error.message.includes('invalid key'))) {
-      return res.status(401).json({ 
-        error: 'API key error', 
-        message: 'Invalid API key provided. Please check your API key and try again.' 
-      });
-    } else if (error.message && error.message.includes('quota')) {
-      return res.status(429).json({ 
-        error: 'API quota exceeded', 
-        message: 'API quota limit reached. Please try again later.' 
-      });
-    }
-    
-    return res.status(500).json({ 
-      error: 'Failed to process question', 
-      message: error.message 
-    });
   }
+  // Unchanged frames would otherwise keep repeating the answer
+  if (!correct) {
+    frameHash.forgetFrames(body => body.historyId === entry.id);
+  }
+
+  return res.json({ historyId: entry.id, feedback: entry.feedback, cache: cacheAction });
 });
 
-// Process text-based questions with custom API key
-async function processTextQuestionWithKey(question, customGenAI, modelName = 'gemini-2.0-flash-lite') {
-  try {
-    // Use the specified model or fallback to flash-lite
-    const model = customGenAI.getGenerativeModel({ model: modelName });
-    
-    // Optimized prompt for faster response - more direct and concise
-    const prompt = `Quiz question: "${question}"
-Provide ONLY the correct answer(s). Be extremely concise.`;
-    
-    // Use the retry wrapper
-    const result = await callGeminiAPI(() => model.generateContent(prompt));
-    return result.response.text();
-  } catch (error) {
-    console.error('Error processing text question with custom key:', error);
-    // Check for API key related errors
-    if (error.message && (error.message.includes('API key') || error.message.includes('authentication') || error.message.includes('invalid key'))) {
-      throw new Error('Invalid API key provided. Please check your API key and try again.');
+// Available model providers and their default models
+api.get('/providers', (req, res) => {
+  return res.json({
+    defaultProvider: providers.getProvider().name,
+    providers: providers.listProviders()
+  });
+});
+
+// Settings clients build their interface from: model choices, monitoring intervals and limits.
+// Prompts and other server-side settings aren't included
+api.get('/config', (req, res) => {
+  const { models, monitoring, limits, consensus } = config.get();
+  return res.json({
+    models: {
+      provider: models.provider,
+      defaults: Object.fromEntries(providers.listProviders().map(provider => [provider.name, provider.defaultModel])),
+      choices: models.choices
+    },
+    monitoring,
+    limits: {
+      uploadMb: limits.uploadMb,
+      batchUploadMb: limits.batchUploadMb,
+      batchFiles: limits.batchFiles,
+      batchPages: limits.batchPages
+    },
+    consensus: {
+      maxCalls: consensus.maxCalls,
+      defaultSamples: consensus.defaultSamples
+    },
+    sessionIdleMinutes: sessions.getIdleTimeout() / 60000,
+    loadedAt: config.getLoadedAt().toISOString()
+  });
+});
+
+// Usage statistics for the dashboard
+api.get('/stats', (req, res) => {
+  return res.json(statistics.getStatistics());
+});
+
+// Accuracy from answer feedback per model, question type and model/prompt combination, least accurate
+// first; combinations with fewer than minFeedback verdicts are left out
+api.get('/stats/accuracy', (req, res) => {
+  const minFeedback = req.query.minFeedback === undefined ? 1 : Number(req.query.minFeedback);
+  if (!Number.isInteger(minFeedback) || minFeedback < 1) {
+    throw new ApiError('INVALID_REQUEST', 'minFeedback must be a positive whole number');
+  }
+  return res.json(statistics.getAccuracyReport(minFeedback));
+});
+
+// Keyboard shortcut bindings
+api.get('/hotkeys', (req, res) => {
+  return res.json(hotkeys.getHotkeys());
+});
+
+api.put('/hotkeys', (req, res) => {
+  const result = hotkeys.updateHotkeys(req.body);
+
+  if (result.errors) {
+    throw new ApiError('INVALID_REQUEST', result.errors.join('; '), result.errors);
+  }
+  if (result.conflicts) {
+    throw new ApiError(
+      'CONFLICT',
+      result.conflicts.map(c => `${c.combo} is bound to ${c.actions.join(' and ')}`).join('; '),
+      result.conflicts
+    );
+  }
+
+  return res.json(result.hotkeys);
+});
+
+// Read the pages of a batch upload: images are one page each, and PDFs are split into the text of each page
+async function readBatchPages(files) {
+  const pages = [];
+  for (const file of files) {
+    if (file.mimetype !== 'application/pdf') {
+      try {
+        const { buffer, mimeType } = await imagePreprocess.preprocessImage(file.buffer, file.mimetype);
+        pages.push({ file: file.originalname, page: 1, source: { type: 'image', buffer, mimeType } });
+      } catch (error) {
+        pages.push({ file: file.originalname, page: 1, error: `Could not read image: ${error.message}` });
+      }
+      continue;
     }
-    throw error;
+
+    let texts;
+    try {
+      texts = await batchJobs.extractPdfPages(file.buffer);
+    } catch (error) {
+      pages.push({ file: file.originalname, page: 1, error: `Could not read PDF: ${error.message}` });
+      continue;
+    }
+    // Scanned PDFs have no text layer to answer from, so the whole upload is refused rather than
+    // failing every page
+    if (texts.length > 0 && texts.every(text => !text)) {
+      throw new ApiError('INVALID_REQUEST', `${file.originalname} has no text layer, like a scanned PDF; send its pages as images instead`);
+    }
+    texts.forEach((text, index) => pages.push(text
+      ? { file: file.originalname, page: index + 1, source: { type: 'text', text } }
+      : { file: file.originalname, page: index + 1, error: 'No text found on this page; send scanned pages as images' }));
   }
+  return pages;
 }
 
-// Process image-based questions with custom API key
-async function processImageQuestionWithKey(imagePath, customGenAI, modelName = 'gemini-2.0-flash-lite') {
+// Queue a batch job answering every question in several images and/or PDFs
+api.post('/batch', uploadBatchFiles('files'), checkUploadTypes([...IMAGE_TYPES, 'application/pdf'], `${IMAGE_TYPES_DESCRIPTION} or a PDF`), asyncRoute(async (req, res) => {
+  const files = req.files || [];
+  const { provider, modelName } = resolveModel(req);
+  if (files.length === 0) {
+    throw new ApiError('INVALID_REQUEST', 'Send images or PDFs in the "files" field');
+  }
+  const apiKey = resolveApiKey(req, provider);
+
+  // The job's slot is taken before its files are read, so uploads read at the same time can't
+  // queue more jobs than the limit between them
+  const releaseSlot = batchJobs.reserveJob();
+  if (!releaseSlot) {
+    throw new ApiError('RATE_LIMITED', 'Wait for a running batch job to finish before starting another');
+  }
+
   try {
-    // Mark the file as being processed
-    history.markFileProcessing(imagePath);
-    
-    // Use the specified model or fallback to flash-lite
-    const model = customGenAI.getGenerativeModel({ model: modelName });
-    
-    // Determine the MIME type based on file extension
-    const mimeType = path.extname(imagePath).toLowerCase() === '.png' ? 'image/png' : 'image/jpeg';
-    
-    // Convert image to format required by Gemini API
-    const imagePart = fileToGenerativePart(imagePath, mimeType);
-    
-    // Optimized prompt - shorter and more direct for faster processing
-    const prompt = 'Quiz question image. Identify and provide ONLY the correct answer(s). If there are choices, only pick from them. Be extremely concise.';
-    
-    // Use the retry wrapper
-    const result = await callGeminiAPI(() => model.generateContent([prompt, imagePart]));
-    return result.response.text();
-  } catch (error) {
-    console.error('Error processing image question with custom key:', error);
-    // Check for API key related errors
-    if (error.message && (error.message.includes('API key') || error.message.includes('authentication') || error.message.includes('invalid key'))) {
-      throw new Error('Invalid API key provided. Please check your API key and try again.');
+    const pages = await readBatchPages(files);
+    const { batchPages, batchSpoolThresholdMb } = config.get().limits;
+    if (pages.length > batchPages) {
+      throw new ApiError('INVALID_REQUEST', `A batch can contain at most ${batchPages} pages, this one has ${pages.length}`);
     }
-    throw error;
+
+    // Jobs whose uploads add up to more than limits.batchSpoolThresholdMb keep their page images in
+    // uploads/ while they wait, instead of in memory; 0 (the default) never spools
+    const spool = batchSpoolThresholdMb > 0 && files.reduce((sum, file) => sum + file.size, 0) > batchSpoolThresholdMb * 1024 * 1024;
+    pages.filter(page => page.source && page.source.type === 'image').forEach(page => {
+      const { buffer, mimeType } = page.source;
+      page.source = spool
+        ? { type: 'image', spooledPath: uploads.spoolToDisk(buffer, mimeType), mimeType }
+        : { type: 'image', image: bufferToImagePart(buffer, mimeType) };
+    });
+
+    // Pages draw on the same per-key quota as interactive requests, waiting in the queue while it is empty
+    const quotaIdentity = quotas.getIdentity(provider.name, apiKey, req.ip);
+    const owner = requestOwner(req);
+    const job = batchJobs.createJob({
+      pages,
+      processPage: source => answerBatchPage(source, apiKey, modelName, provider, owner),
+      acquireQuota: () => {
+        const quota = quotas.take(quotaIdentity, { [modelName]: 1 });
+        return quota.allowed ? 0 : quota.retryAfter * 1000;
+      },
+      releaseSource: source => {
+        if (source.spooledPath) {
+          uploads.removeSpooled(source.spooledPath);
+        }
+      },
+      meta: { provider: provider.name, model: modelName, spooled: spool }
+    });
+    return res.status(202).json({
+      ...job,
+      statusUrl: `/api/v1/batch/${job.id}`,
+      resultsUrl: `/api/v1/batch/${job.id}/results`
+    });
   } finally {
-    // Mark the file as processed before attempting to delete
-    history.markFileProcessed(imagePath);
-    // Clean up: safely delete the temporary image file
-    history.safelyDeleteFile(imagePath);
+    // The job, once created, counts as active itself
+    releaseSlot();
   }
-}
+}));
+
+// Batch job progress
+api.get('/batch/:id', (req, res) => {
+  const job = batchJobs.getJob(req.params.id);
+  if (!job) {
+    throw new ApiError('NOT_FOUND', 'Batch job not found');
+  }
+  res.json(job);
+});
+
+// Download a batch job's answers as JSON or CSV; unfinished jobs return the answers so far
+api.get('/batch/:id/results', (req, res) => {
+  const { format = 'json' } = req.query;
+  if (!batchJobs.getJob(req.params.id)) {
+    throw new ApiError('NOT_FOUND', 'Batch job not found');
+  }
+
+  const exported = batchJobs.exportJobResults(req.params.id, format);
+  if (!exported) {
+    throw new ApiError('INVALID_REQUEST', 'Format must be json or csv');
+  }
+
+  res.setHeader('Content-Type', `${exported.contentType}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="screen-answerer-batch-${req.params.id}.${exported.extension}"`);
+  return res.send(exported.body);
+});
+
+// Cancel the pages of a batch job that haven't started yet
+api.delete('/batch/:id', (req, res) => {
+  const job = batchJobs.cancelJob(req.params.id);
+  if (!job) {
+    throw new ApiError('NOT_FOUND', 'Batch job not found');
+  }
+  res.json(job);
+});
+
+// Study decks collect answered questions as cards, reviewed on an SM-2 schedule
+api.get('/decks', (req, res) => {
+  return res.json({ decks: studyDecks.listDecks() });
+});
+
+api.post('/decks', (req, res) => {
+  const result = studyDecks.createDeck(req.body.name);
+  if (result.errors) {
+    throw new ApiError('INVALID_REQUEST', result.errors.join('; '), result.errors);
+  }
+  return res.status(201).json(result.deck);
+});
+
+api.patch('/decks/:id', (req, res) => {
+  const result = studyDecks.renameDeck(req.params.id, req.body.name);
+  if (!result) {
+    throw new ApiError('NOT_FOUND', 'Deck not found');
+  }
+  if (result.errors) {
+    throw new ApiError('INVALID_REQUEST', result.errors.join('; '), result.errors);
+  }
+  return res.json(result.deck);
+});
+
+api.delete('/decks/:id', (req, res) => {
+  if (!studyDecks.deleteDeck(req.params.id)) {
+    throw new ApiError('NOT_FOUND', 'Deck not found');
+  }
+  return res.json({ deleted: true });
+});
+
+// Every card in a deck with its schedule
+api.get('/decks/:id/cards', (req, res) => {
+  const cards = studyDecks.listCards(req.params.id);
+  if (!cards) {
+    throw new ApiError('NOT_FOUND', 'Deck not found');
+  }
+  return res.json({ deck: studyDecks.getDeck(req.params.id), cards: cards.map(formatCard) });
+});
+
+// Add a card; a card with the same front as one in the deck updates it instead
+api.post('/decks/:id/cards', (req, res) => {
+  const { front, back, explanation, tags, historyId } = req.body;
+  const result = studyDecks.addCard(req.params.id, { front, back, explanation, tags, historyId });
+  if (!result) {
+    throw new ApiError('NOT_FOUND', 'Deck not found');
+  }
+  if (result.errors) {
+    throw new ApiError('INVALID_REQUEST', result.errors.join('; '), result.errors);
+  }
+  return res.status(result.added ? 201 : 200).json({ card: formatCard(result.card), added: result.added });
+});
+
+api.delete('/decks/:id/cards/:cardId', (req, res) => {
+  if (!studyDecks.deleteCard(req.params.id, req.params.cardId)) {
+    throw new ApiError('NOT_FOUND', 'Card not found');
+  }
+  return res.json({ deleted: true });
+});
+
+// The cards due for review, most overdue first
+api.get('/decks/:id/review', (req, res) => {
+  const due = studyDecks.getDueCards(req.params.id, req.query.limit);
+  if (!due) {
+    throw new ApiError('NOT_FOUND', 'Deck not found');
+  }
+  return res.json({ deck: due.deck, cards: due.cards.map(formatCard) });
+});
+
+// Grade a review from 0 (forgotten) to 5 (perfect recall), scheduling the card's next one
+api.post('/decks/:id/cards/:cardId/review', (req, res) => {
+  const result = studyDecks.reviewCard(req.params.id, req.params.cardId, req.body.grade);
+  if (!result) {
+    throw new ApiError('NOT_FOUND', 'Card not found');
+  }
+  if (result.errors) {
+    throw new ApiError('INVALID_REQUEST', result.errors.join('; '), result.errors);
+  }
+  return res.json({ card: formatCard(result.card), deck: studyDecks.getDeck(req.params.id) });
+});
+
+// Download a deck as CSV for Anki
+api.get('/decks/:id/export', (req, res) => {
+  const exported = studyDecks.exportDeck(req.params.id);
+  if (!exported) {
+    throw new ApiError('NOT_FOUND', 'Deck not found');
+  }
+  // The deck name is the file name, less anything a header or file system would choke on
+  const fileName = exported.name.replace(/[^\w .-]+/g, '').trim() || 'deck';
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+  return res.send(exported.body);
+});
+
+// Add the cards of a CSV or tab-separated file, such as an Anki export, to a deck
+api.post('/decks/:id/import', uploadDeckFile('file'), (req, res) => {
+  if (!studyDecks.getDeck(req.params.id)) {
+    throw new ApiError('NOT_FOUND', 'Deck not found');
+  }
+  if (!req.file) {
+    throw new ApiError('INVALID_REQUEST', 'Send the CSV file in the "file" field');
+  }
+  // Text files have no NUL bytes; anything else was sent by mistake
+  if (req.file.buffer.includes(0)) {
+    throw new ApiError('INVALID_UPLOAD', `${req.file.originalname || 'Upload'} is not a CSV or tab-separated text file`);
+  }
+  metrics.recordUpload(req.route.path, req.file.size);
+  const result = studyDecks.importDeck(req.params.id, req.file.buffer.toString('utf8'));
+  if (result.errors) {
+    throw new ApiError('INVALID_REQUEST', `Nothing was imported: ${result.errors.join('; ')}`, result.errors);
+  }
+  return res.json(result);
+});
 
-// Start the server
+// Start a monitoring session whose frames are pushed to watchers as Server-Sent Events
+api.post('/monitor/sessions', (req, res) => {
+  const session = monitorSessions.createSession();
+  res.status(201).json({
+    sessionId: session.id,
+    createdAt: session.createdAt,
+    eventsUrl: `/api/v1/monitor/sessions/${session.id}/events`,
+    watchUrl: `/?watch=${session.id}`
+  });
+});
+
+// Stream a session's frame, detection, token, answer and error events, and changes to its paired viewers
+api.get('/monitor/sessions/:id/events', (req, res) => {
+  if (!monitorSessions.subscribe(req.params.id, req, res)) {
+    throw new ApiError('NOT_FOUND', 'The monitoring session has ended or has too many watchers');
+  }
+});
+
+// End a session and disconnect its watchers and paired viewers
+api.delete('/monitor/sessions/:id', (req, res) => {
+  if (!monitorSessions.endSession(req.params.id)) {
+    throw new ApiError('NOT_FOUND', 'Unknown monitoring session');
+  }
+  res.status(204).end();
+});
+
+// Create a one-time code, with a QR code of its viewer link, that another device can pair with to
+// follow the session's answers. The link points at the address the request was made to
+api.post('/monitor/sessions/:id/pairing', asyncRoute(async (req, res) => {
+  const pairing = monitorSessions.createPairingCode(req.params.id);
+  if (!pairing) {
+    throw new ApiError('NOT_FOUND', 'Unknown monitoring session');
+  }
+  const viewerUrl = `/viewer?code=${pairing.code}`;
+  const qrSvg = await QRCode.toString(`${req.protocol}://${req.get('host')}${viewerUrl}`, { type: 'svg', margin: 1 });
+  res.status(201).json({
+    ...pairing,
+    viewerUrl,
+    qrCode: `data:image/svg+xml;base64,${Buffer.from(qrSvg).toString('base64')}`
+  });
+}));
+
+// List the devices paired to a session and its unused pairing code
+api.get('/monitor/sessions/:id/viewers', (req, res) => {
+  const viewers = monitorSessions.listViewers(req.params.id);
+  if (!viewers) {
+    throw new ApiError('NOT_FOUND', 'Unknown monitoring session');
+  }
+  res.json(viewers);
+});
+
+// Revoke every paired device and the unused pairing code
+api.delete('/monitor/sessions/:id/viewers', (req, res) => {
+  if (!monitorSessions.revokeViewers(req.params.id)) {
+    throw new ApiError('NOT_FOUND', 'Unknown monitoring session');
+  }
+  res.status(204).end();
+});
+
+// Revoke one paired device, disconnecting it
+api.delete('/monitor/sessions/:id/viewers/:viewerId', (req, res) => {
+  if (!monitorSessions.revokeViewers(req.params.id, req.params.viewerId)) {
+    throw new ApiError('NOT_FOUND', 'Unknown monitoring session or paired device');
+  }
+  res.status(204).end();
+});
+
+// Exchange a pairing code for a viewer token. Viewers never learn the session id or any API key
+api.post('/viewer/pair', (req, res) => {
+  if (!req.body.code) {
+    throw new ApiError('INVALID_REQUEST', 'Send the pairing code shown on the monitoring page in the "code" field');
+  }
+  const { viewer, error, limitReached } = monitorSessions.pairViewer(req.body.code);
+  if (error) {
+    // A full session is told apart from a wrong code, which the client should stop retrying
+    throw new ApiError(limitReached ? 'CONFLICT' : 'NOT_FOUND', error);
+  }
+  res.status(201).json({ ...viewer, eventsUrl: '/api/v1/viewer/events' });
+});
+
+// Stream a session's frame, detection, token, answer and error events to a paired viewer. The token
+// comes in the query string, since EventSource can't send headers
+api.get('/viewer/events', (req, res) => {
+  if (!monitorSessions.subscribeViewer(req.query.token, req, res)) {
+    throw new ApiError('INVALID_SESSION', 'The pairing has expired or was revoked; pair again with a new code');
+  }
+});
+
+// Machine-readable description of this API
+api.get('/openapi.json', (req, res) => {
+  res.json(buildOpenApiDocument());
+});
+
+// Unknown routes under /api/v1 get the error schema rather than the default HTML page
+api.use((req, res, next) => {
+  next(new ApiError('NOT_FOUND', `No route for ${req.method} ${req.originalUrl.split('?')[0]}`));
+});
+
+app.use('/api/v1', api);
+
+// Routes from before /api/v1, kept as deprecated aliases of their successors. Requests are
+// rewritten onto the v1 router, so only the error body differs (see handleApiError)
+const LEGACY_ROUTES = [
+  { path: '/process_question', successor: '/answer' },
+  // Not cached for text questions: older clients validate new keys with a test question
+  { path: '/process_question_with_key', successor: '/answer', skipTextCache: true },
+  { path: '/monitor_screen', successor: '/monitor/frames' },
+  { path: '/monitor_sessions', successor: '/monitor/sessions' },
+  { path: '/history', successor: '/history' },
+  { path: '/providers', successor: '/providers' },
+  { path: '/stats', successor: '/stats' },
+  { path: '/hotkeys', successor: '/hotkeys' },
+  { path: '/batch', successor: '/batch' }
+];
+
+LEGACY_ROUTES.forEach(({ path: legacyPath, successor, skipTextCache }) => {
+  app.use(legacyPath, (req, res, next) => {
+    // Below the mount point req.url holds the rest of the path, such as /:id/events?query
+    const queryIndex = req.url.indexOf('?');
+    const rest = queryIndex === -1 ? req.url : req.url.slice(0, queryIndex);
+    const query = queryIndex === -1 ? '' : req.url.slice(queryIndex);
+    const v1Path = successor + (rest === '/' ? '' : rest);
+
+    res.setHeader('Deprecation', 'true');
+    res.setHeader('Link', `</api/v1${v1Path}>; rel="successor-version"`);
+    res.locals.skipTextCache = Boolean(skipTextCache);
+
+    req.url = v1Path + query;
+    api(req, res, next);
+  });
+});
+
+// Send every error as the API error schema
+app.use((err, req, res, next) => {
+  const error = toApiError(err);
+  res.locals.errorCode = error.code;
+  if (error.status >= 500) {
+    logger.error('Error handling request', { method: req.method, path: redactSecrets(req.originalUrl), error: err });
+  }
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  // Deprecated routes keep their flat { error, message } body
+  const legacy = !req.originalUrl.startsWith('/api/');
+  return res.status(error.status).json(errorBody(error, legacy));
+});
+
+// Start the server. A port that is already taken stops the server rather than moving it to another
+// port, where clients and health checks wouldn't find it
 function startServer(port) {
-  // Ensure port is a number
-  port = parseInt(port, 10);
-  
   const server = app.listen(port)
     .on('error', (err) => {
       if (err.code === 'EADDRINUSE') {
-        // If port 3000 is in use, specifically try port 3001
-        if (port === 3000) {
-          console.log(`Port ${port} is already in use, trying port 3001`);
-          startServer(3001);
-        } else {
-          console.log(`Port ${port} is already in use, trying port ${port + 1}`);
-          startServer(port + 1);
-        }
+        logger.error('Port is already in use', { port });
       } else {
-        console.error('Server error:', err);
+        logger.error('Server error', { error: err });
       }
+      process.exit(1);
     })
     .on('listening', () => {
-      const actualPort = server.address().port;
-      console.log(`Screen Answerer server running on port ${actualPort}`);
+      logger.info('Screen Answerer server running', { port: server.address().port });
+    });
+  return server;
+}
+
+const SHUTDOWN_CLOSE_GRACE = 2000; // How long responses may take to finish once model calls have drained
+
+// Stop gracefully: refuse new connections, let model calls in flight finish (for at most
+// server.shutdownTimeoutSeconds) so their answers are delivered and saved, then close event streams,
+// clear timers and exit. A second signal exits at once
+function shutdown(server, signal) {
+  if (shuttingDown) {
+    logger.warn('Exiting without waiting for model calls', { signal });
+    process.exit(1);
+  }
+  shuttingDown = true;
+  const timeoutMs = config.get().server.shutdownTimeoutSeconds * 1000;
+  logger.info('Shutting down', { signal, modelCallsInFlight: metrics.getModelCallsInFlight(), timeoutMs });
+
+  const closed = new Promise(resolve => server.close(resolve));
+  batchJobs.stopJobs();
+  clearInterval(uploadSweepTimer);
+  frameHash.stopPruning();
+  quotas.stopPruning();
+  sessions.stopPruning();
+  config.stopWatching();
+
+  metrics.waitForModelCalls(timeoutMs).then(drained => {
+    if (!drained) {
+      logger.warn('Model calls still in flight at the shutdown timeout', { modelCallsInFlight: metrics.getModelCallsInFlight() });
+    }
+    // Event streams would hold the server open. Responses to the last model calls get a moment to
+    // be sent before the remaining connections are dropped
+    monitorSessions.endAllSessions();
+    const forceTimer = setTimeout(() => server.closeAllConnections(), SHUTDOWN_CLOSE_GRACE);
+    return closed.then(async () => {
+      clearTimeout(forceTimer);
+      await ocr.stopWorker().catch(error => logger.warn('Could not stop the OCR worker', { error }));
+      logger.info('Shutdown complete');
+      // Pending cache, history and statistics writes are flushed on exit
+      process.exit(drained ? 0 : 1);
     });
+  });
+}
+
+// Listen when run directly; tests require the app and listen on a port of their own
+if (require.main === module) {
+  // Check the configuration before listening, so an invalid setting stops the server with a readable message
+  let port;
+  try {
+    port = config.get().server.port;
+  } catch (err) {
+    logger.error('Server not started', { error: err.message });
+    process.exit(1);
+  }
+  const server = startServer(port);
+  ['SIGTERM', 'SIGINT'].forEach(signal => process.on(signal, () => shutdown(server, signal)));
 }
 
-startServer(PORT);
\ No newline at end of file
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,268 @@
+// server.test.js - The API end to end, with the model answering every request the same way
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const sharp = require('sharp');
+
+// One call per minute, so a second charge would be refused
+process.env.DEFAULT_MODEL_RATE_LIMIT = '1';
+
+// Keep the cache, history and statistics in memory, and the log quiet
+test.mock.method(fs, 'writeFileSync', () => {});
+test.mock.method(fs, 'mkdirSync', () => {});
+const logger = require('./logger');
+test.mock.method(logger, 'info', () => {});
+
+const providers = require('./providers');
+const app = require('./server');
+
+const provider = providers.getProvider('local');
+const modelCalls = test.mock.method(provider, 'generate', async () => '{"detected":true,"question":"Q","answer":"A","type":"short_answer"}');
+const streamedCalls = test.mock.method(provider, 'generateStream', async () => '{"detected":true,"question":"Q","answer":"A","type":"short_answer"}');
+
+let server;
+let baseUrl;
+let image;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+  image = await sharp({ create: { width: 64, height: 48, channels: 3, background: { r: 200, g: 60, b: 90 } } }).png().toBuffer();
+});
+
+test.after(() => {
+  server.close();
+  server.closeAllConnections();
+});
+
+function post(path, apiKey, fields) {
+  const form = new FormData();
+  form.append('provider', 'local');
+  Object.entries(fields).forEach(([name, value]) => {
+    if (value instanceof Buffer) {
+      form.append(name, new Blob([value], { type: 'image/png' }), 'frame.png');
+    } else {
+      form.append(name, value);
+    }
+  });
+  return fetch(`${baseUrl}${path}`, { method: 'POST', headers: { 'X-API-Key': apiKey }, body: form });
+}
+
+test('cached answers are not charged', async () => {
+  const question = `What is the cache test number ${Date.now()}?`;
+  const first = await post('/answer', 'key-cache', { question });
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.headers.get('x-ratelimit-remaining'), '0');
+
+  const second = await post('/answer', 'key-cache', { question });
+  assert.strictEqual(second.status, 200);
+  assert.strictEqual((await second.json()).cached, true);
+
+  const uncached = await post('/answer', 'key-cache', { question: `${question} again` });
+  assert.strictEqual(uncached.status, 429);
+});
+
+test('model names that are not plain names are refused', async () => {
+  for (const model of ['__proto__', 'constructor', 'a b']) {
+    const response = await post('/answer', 'key-model-name', { model, question: 'q1' });
+    assert.strictEqual(response.status, 400);
+    assert.match((await response.json()).error.message, /model must be a model name/);
+  }
+  assert.strictEqual(Object.prototype.errors, undefined);
+});
+
+test('requests with an invalid crop are not charged', async () => {
+  const rejected = await post('/answer', 'key-crop', { image, crop: 'not a crop' });
+  assert.strictEqual(rejected.status, 400);
+
+  const calls = modelCalls.mock.callCount();
+  const accepted = await post('/answer', 'key-crop', { image, cache: 'false' });
+  assert.strictEqual(accepted.status, 200);
+  assert.strictEqual(modelCalls.mock.callCount(), calls + 1);
+});
+
+test('images that cannot be read are not charged', async () => {
+  const corrupt = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(64, 7)]);
+  for (const path of ['/answer', '/monitor/frames']) {
+    const rejected = await post(path, `key-corrupt${path}`, { image: corrupt, cache: 'false' });
+    assert.strictEqual(rejected.status, 400);
+    assert.strictEqual((await rejected.json()).error.code, 'INVALID_UPLOAD');
+
+    const accepted = await post(path, `key-corrupt${path}`, { image, cache: 'false' });
+    assert.strictEqual(accepted.status, 200);
+  }
+});
+
+test('frames answered from the cache or skipped as unchanged are not charged', async () => {
+  const frame = await sharp({ create: { width: 64, height: 48, channels: 3, background: { r: 10, g: 120, b: 30 } } }).png().toBuffer();
+  const first = await post('/monitor/frames', 'key-frames', { image: frame });
+  assert.strictEqual(first.status, 200);
+
+  const unchanged = await post('/monitor/frames', 'key-frames', { image: frame });
+  assert.strictEqual((await unchanged.json()).unchanged, true);
+
+  const cached = await post('/monitor/frames', 'key-frames', { image: frame, skipUnchanged: 'false' });
+  assert.strictEqual(cached.status, 200);
+  assert.strictEqual((await cached.json()).cached, true);
+});
+
+test('a correction replaces the cached answer with and without explain mode', async () => {
+  const question = `Which planet is the feedback test about ${Date.now()}?`;
+  const plain = await (await post('/answer', 'key-feedback-1', { question })).json();
+  await post('/answer', 'key-feedback-2', { question, explain: 'true' });
+
+  const sendFeedback = apiKey => fetch(`${baseUrl}/history/${plain.historyId}/feedback`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKey },
+    body: JSON.stringify({ correctAnswer: 'Mars' })
+  });
+  // Only the key that asked may rewrite the cache everyone is answered from
+  const stranger = await sendFeedback('key-feedback-2');
+  assert.strictEqual(stranger.status, 403);
+  assert.strictEqual((await stranger.json()).error.code, 'FORBIDDEN');
+  assert.strictEqual((await sendFeedback('key-feedback-1').then(response => response.json())).cache, 'overridden');
+
+  for (const explain of ['false', 'true']) {
+    const again = await (await post('/answer', 'key-feedback-3', { question, explain })).json();
+    assert.strictEqual(again.cached, true);
+    assert.strictEqual(again.answer, 'Mars');
+  }
+});
+
+test('pairing a sixth device is a conflict, not an unknown code', async () => {
+  const postJson = (path, body) => fetch(`${baseUrl}${path}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  const { sessionId } = await (await postJson('/monitor/sessions', {})).json();
+  const pairOnce = async () => {
+    const { code } = await (await postJson(`/monitor/sessions/${sessionId}/pairing`, {})).json();
+    return postJson('/viewer/pair', { code });
+  };
+  for (let index = 0; index < 5; index++) {
+    assert.strictEqual((await pairOnce()).status, 201);
+  }
+
+  const full = await pairOnce();
+  assert.strictEqual(full.status, 409);
+  assert.strictEqual((await full.json()).error.code, 'CONFLICT');
+  const wrong = await postJson('/viewer/pair', { code: 'ZZZZZZ' });
+  assert.strictEqual((await wrong.json()).error.code, 'NOT_FOUND');
+});
+
+test('answers to images are saved to history with the question the model read', async () => {
+  const screenshot = await sharp({ create: { width: 64, height: 48, channels: 3, background: { r: 1, g: 2, b: 3 } } }).png().toBuffer();
+  const answered = await (await post('/answer', 'key-history', { image: screenshot, cache: 'false' })).json();
+  const { entries } = await (await fetch(`${baseUrl}/history?search=Q`)).json();
+  const entry = entries.find(item => item.id === answered.historyId);
+  assert.strictEqual(entry.type, 'image');
+  assert.strictEqual(entry.question, 'Q');
+});
+
+test('unknown v1 routes get the error schema', async () => {
+  const response = await fetch(`${baseUrl}/nothing-here?x=1`);
+  assert.strictEqual(response.status, 404);
+  assert.deepStrictEqual(await response.json(), { error: { code: 'NOT_FOUND', message: 'No route for GET /api/v1/nothing-here' } });
+});
+
+test('cross-origin clients may rename decks with PATCH', async () => {
+  const response = await fetch(`${baseUrl}/decks/any`, {
+    method: 'OPTIONS',
+    headers: { Origin: 'https://example.com', 'Access-Control-Request-Method': 'PATCH' }
+  });
+  assert.strictEqual(response.status, 204);
+  assert.match(response.headers.get('access-control-allow-methods'), /\bPATCH\b/);
+});
+
+test('unexpected errors are logged, and clients only get a generic message', async t => {
+  const questionHistory = require('./questionHistory');
+  t.mock.method(questionHistory, 'listEntries', () => {
+    throw new Error('EACCES: permission denied, open /srv/app/data/history.json');
+  });
+  const logged = t.mock.method(logger, 'error', () => {});
+
+  const response = await fetch(`${baseUrl}/history`);
+  assert.strictEqual(response.status, 500);
+  assert.deepStrictEqual(await response.json(), { error: { code: 'INTERNAL_ERROR', message: 'Internal server error' } });
+  assert.match(logged.mock.calls[0].arguments[1].error.message, /EACCES/);
+});
+
+test('deprecated routes point to their successor and keep the flat error body', async () => {
+  const response = await fetch(baseUrl.replace('/api/v1', '/history/missing'), { method: 'DELETE' });
+  assert.strictEqual(response.status, 404);
+  assert.strictEqual(response.headers.get('deprecation'), 'true');
+  assert.strictEqual(response.headers.get('link'), '</api/v1/history/missing>; rel="successor-version"');
+  const body = await response.json();
+  assert.deepStrictEqual([body.error, body.code], ['Not found', 'NOT_FOUND']);
+});
+
+test('a session token stands in for its key until it is revoked', async t => {
+  t.mock.method(provider, 'validateKey', async () => {});
+  const started = await fetch(`${baseUrl}/sessions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': 'key-session' },
+    body: JSON.stringify({ provider: 'local' })
+  });
+  assert.strictEqual(started.status, 201);
+  const { token } = await started.json();
+  const authorization = { Authorization: `Bearer ${token}` };
+
+  const form = new FormData();
+  form.append('provider', 'local');
+  form.append('question', `Which key answers the session test ${Date.now()}?`);
+  const answered = await fetch(`${baseUrl}/answer`, { method: 'POST', headers: authorization, body: form });
+  assert.strictEqual(answered.status, 200);
+  assert.strictEqual(modelCalls.mock.calls.at(-1).arguments[0].apiKey, 'key-session');
+
+  assert.deepStrictEqual(await (await fetch(`${baseUrl}/sessions/current`, { method: 'DELETE', headers: authorization })).json(), { revoked: true });
+  const expired = await fetch(`${baseUrl}/sessions/current`, { headers: authorization });
+  assert.strictEqual((await expired.json()).error.code, 'INVALID_SESSION');
+});
+
+test('health checks and metrics are served outside the API, with a request id on every response', async () => {
+  const root = baseUrl.replace('/api/v1', '');
+  const health = await fetch(`${root}/healthz`);
+  assert.strictEqual((await health.json()).status, 'ok');
+  assert.match(health.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+  const ready = await fetch(`${root}/readyz`);
+  assert.deepStrictEqual(await ready.json(), { status: 'ready', checks: { config: 'ok', dataDirectory: 'ok', shutdown: 'ok' } });
+
+  const scrape = await fetch(`${root}/metrics`, { headers: { 'X-Request-Id': 'probe-1' } });
+  assert.strictEqual(scrape.headers.get('x-request-id'), 'probe-1');
+  assert.match(await scrape.text(), /http_request_duration_seconds_count\{method="POST",route="\/answer",status="200"\} \d+/);
+});
+
+test('a monitor frame is detected and answered in one model call', async () => {
+  const countCalls = () => modelCalls.mock.callCount() + streamedCalls.mock.callCount();
+  const drawFrame = blue => sharp({ create: { width: 64, height: 48, channels: 3, background: { r: 90, g: 90, b: blue } } }).png().toBuffer();
+
+  let calls = countCalls();
+  const answered = await (await post('/monitor/frames', 'key-single-1', { image: await drawFrame(200) })).json();
+  assert.deepStrictEqual([answered.detected, answered.detectionMode, answered.answer], [true, 'combined', 'A']);
+  assert.strictEqual(countCalls(), calls + 1);
+
+  modelCalls.mock.mockImplementationOnce(async () => '{"detected": false}', modelCalls.mock.callCount());
+  streamedCalls.mock.mockImplementationOnce(async () => '{"detected": false}', streamedCalls.mock.callCount());
+  calls = countCalls();
+  const empty = await (await post('/monitor/frames', 'key-single-2', { image: await drawFrame(230) })).json();
+  assert.deepStrictEqual([empty.detected, empty.message], [false, 'No quiz question detected in the image']);
+  assert.strictEqual(countCalls(), calls + 1);
+});
+
+test('PDFs without a text layer are refused before a batch job is queued', async () => {
+  const scanned = Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n2 0 obj\n<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n' +
+    '3 0 obj\n<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] >>\nendobj\ntrailer\n<< /Root 1 0 R /Size 4 >>\n%%EOF\n');
+  const rejected = await post('/batch', 'key-scanned', { files: scanned });
+  assert.strictEqual(rejected.status, 400);
+  assert.match((await rejected.json()).error.message, /has no text layer/);
+});
+
+test('batch uploads read at the same time never queue more than five jobs', async () => {
+  // With the key's quota spent, every job keeps waiting in the queue
+  assert.strictEqual((await post('/answer', 'key-batch', { question: 'Spend the quota?', cache: 'false' })).status, 200);
+  const responses = await Promise.all(Array.from({ length: 6 }, () => post('/batch', 'key-batch', { files: image })));
+  assert.deepStrictEqual(responses.map(response => response.status).sort(), [202, 202, 202, 202, 202, 429]);
+
+  const jobs = await Promise.all(responses.filter(response => response.status === 202).map(response => response.json()));
+  await Promise.all(jobs.map(job => fetch(`${baseUrl}/batch/${job.id}`, { method: 'DELETE', headers: { 'X-API-Key': 'key-batch' } })));
+});
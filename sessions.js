@@ -0,0 +1,165 @@
+// sessions.js - Short-lived session tokens standing in for API keys, which are held encrypted in memory
+
+const crypto = require('crypto');
+const config = require('./config');
+
+// Sessions end after sessions.idleMinutes unused, and after twelve hours however often they are used
+const MAX_AGE = 12 * 60 * 60 * 1000;
+// Keys are encrypted with a key that only exists in this process, so sessions end when the server stops
+const ENCRYPTION_KEY = crypto.randomBytes(32);
+
+// Map of token hash to { provider, keyHash, encryptedKey, createdAt, expiresAt }. Tokens are stored
+// hashed, so a dump of this map can't be used to make requests
+const sessions = new Map();
+
+/**
+ * Hash a token or key for lookups without holding the value itself
+ * @param {string} value - Token or API key
+ * @returns {string} - Hex SHA-256 digest
+ */
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Encrypt an API key with AES-256-GCM
+ * @param {string} apiKey - Key to encrypt
+ * @returns {Object} - { iv, data, tag } as buffers
+ */
+function encryptKey(apiKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const data = Buffer.concat([cipher.update(apiKey, 'utf8'), cipher.final()]);
+  return { iv, data, tag: cipher.getAuthTag() };
+}
+
+/**
+ * Decrypt an API key encrypted by encryptKey
+ * @param {Object} encrypted - { iv, data, tag }
+ * @returns {string} - The API key
+ */
+function decryptKey({ iv, data, tag }) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+/**
+ * How long a session lasts without being used
+ * @returns {number} - Idle timeout in ms
+ */
+function getIdleTimeout() {
+  return config.get().sessions.idleMinutes * 60 * 1000;
+}
+
+/**
+ * Describe a session without its key
+ * @param {Object} session - Stored session
+ * @returns {Object} - { provider, createdAt, expiresAt } with ISO timestamps
+ */
+function describeSession(session) {
+  return {
+    provider: session.provider,
+    createdAt: new Date(session.createdAt).toISOString(),
+    expiresAt: new Date(session.expiresAt).toISOString()
+  };
+}
+
+/**
+ * Start a session for an API key that has already been checked with its provider
+ * @param {string} providerName - Provider the key belongs to
+ * @param {string} apiKey - The key
+ * @returns {Object} - { token, provider, createdAt, expiresAt }; the token is only ever returned here
+ */
+function createSession(providerName, apiKey) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  const session = {
+    provider: providerName,
+    keyHash: hash(apiKey),
+    encryptedKey: encryptKey(apiKey),
+    createdAt: now,
+    expiresAt: now + getIdleTimeout()
+  };
+  sessions.set(hash(token), session);
+  return { token, ...describeSession(session) };
+}
+
+/**
+ * Look up a session by token, extending it by the idle timeout (up to MAX_AGE) since it is in use
+ * @param {string} token - Session token
+ * @returns {Object|null} - { provider, apiKey, createdAt, expiresAt }, or null if the token is
+ *   unknown, expired or revoked
+ */
+function getSession(token) {
+  const tokenHash = hash(String(token));
+  const session = sessions.get(tokenHash);
+  const now = Date.now();
+  if (!session || session.expiresAt <= now) {
+    sessions.delete(tokenHash);
+    return null;
+  }
+  session.expiresAt = Math.min(now + getIdleTimeout(), session.createdAt + MAX_AGE);
+  return { ...describeSession(session), apiKey: decryptKey(session.encryptedKey) };
+}
+
+/**
+ * End a session
+ * @param {string} token - Session token
+ * @returns {boolean} - True if the session existed
+ */
+function revokeSession(token) {
+  return sessions.delete(hash(String(token)));
+}
+
+/**
+ * End every session started with an API key, e.g. after a token has leaked
+ * @param {string} providerName - Provider the key belongs to
+ * @param {string} apiKey - The key
+ * @returns {number} - Number of sessions ended
+ */
+function revokeSessionsForKey(providerName, apiKey) {
+  const keyHash = hash(apiKey);
+  let revoked = 0;
+  for (const [tokenHash, session] of sessions) {
+    if (session.provider === providerName && session.keyHash === keyHash) {
+      sessions.delete(tokenHash);
+      revoked++;
+    }
+  }
+  return revoked;
+}
+
+/**
+ * Remove expired sessions
+ * @returns {void}
+ */
+function pruneExpiredSessions() {
+  const now = Date.now();
+  for (const [tokenHash, session] of sessions) {
+    if (session.expiresAt <= now) {
+      sessions.delete(tokenHash);
+    }
+  }
+}
+
+// Prune expired sessions every five minutes
+const pruneTimer = setInterval(pruneExpiredSessions, 5 * 60 * 1000);
+pruneTimer.unref();
+
+/**
+ * Stop pruning expired sessions, when the server shuts down
+ * @returns {void}
+ */
+function stopPruning() {
+  clearInterval(pruneTimer);
+}
+
+module.exports = {
+  getIdleTimeout,
+  createSession,
+  getSession,
+  revokeSession,
+  revokeSessionsForKey,
+  stopPruning
+};
@@ -0,0 +1,52 @@
+// sessions.test.js - Session tokens that stand in for API keys until they expire or are revoked
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sessions = require('./sessions');
+
+test.after(() => sessions.stopPruning());
+
+const MINUTE = 60 * 1000;
+
+// A clock the tests move forward by hand
+let now = Date.parse('2024-05-01T08:00:00.000Z');
+test.mock.method(Date, 'now', () => now);
+
+test('a token gives back the key it was started with', () => {
+  const started = sessions.createSession('gemini', 'AIza-secret-key');
+  assert.match(started.token, /^[\w-]{43}$/);
+  assert.strictEqual(started.expiresAt, new Date(now + 30 * MINUTE).toISOString());
+  assert.strictEqual(Object.prototype.hasOwnProperty.call(started, 'apiKey'), false);
+
+  const session = sessions.getSession(started.token);
+  assert.deepStrictEqual([session.provider, session.apiKey], ['gemini', 'AIza-secret-key']);
+  assert.strictEqual(sessions.getSession('made-up token'), null);
+});
+
+test('using a session keeps it alive, up to twelve hours', () => {
+  const { token } = sessions.createSession('openai', 'sk-key');
+  for (let use = 1; use < 36; use++) {
+    now += 20 * MINUTE;
+    assert.ok(sessions.getSession(token), `use ${use}`);
+  }
+  now += 20 * MINUTE;
+  assert.strictEqual(sessions.getSession(token), null);
+});
+
+test('an unused session ends after the idle timeout', () => {
+  const { token } = sessions.createSession('openai', 'sk-key');
+  now += 30 * MINUTE;
+  assert.strictEqual(sessions.getSession(token), null);
+});
+
+test('sessions are revoked one by one or all at once for a key', () => {
+  const first = sessions.createSession('openai', 'sk-leaked');
+  const second = sessions.createSession('openai', 'sk-leaked');
+  const otherProvider = sessions.createSession('local', 'sk-leaked');
+
+  assert.strictEqual(sessions.revokeSession(first.token), true);
+  assert.strictEqual(sessions.revokeSession(first.token), false);
+  assert.strictEqual(sessions.revokeSessionsForKey('openai', 'sk-leaked'), 1);
+  assert.strictEqual(sessions.getSession(second.token), null);
+  assert.ok(sessions.getSession(otherProvider.token));
+});
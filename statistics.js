@@ -0,0 +1,306 @@
+// statistics.js - Usage statistics backed by data/statistics.json
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const STATISTICS_FILE = path.join(__dirname, 'data', 'statistics.json');
+const SAVE_DELAY = 1000; // Batch writes when requests arrive in quick succession
+const MAX_DAILY_STATS = 90; // Days of per-day statistics to keep
+
+// Timer for the pending write to disk, if any
+let saveTimer = null;
+
+/**
+ * Create an empty set of counters shared by the totals, each day and each model
+ * @returns {Object} - Zeroed counters
+ */
+function createCounters() {
+  return {
+    questions: 0,
+    totalResponseTime: 0,
+    averageResponseTime: 0,
+    detections: { hits: 0, misses: 0 },
+    retries: 0,
+    errors: 0
+  };
+}
+
+/**
+ * Copy counters keyed by model, type or day into an object without a prototype, so no key can
+ * reach Object.prototype
+ * @param {Object} [counters] - Counters as loaded from disk
+ * @returns {Object} - The same counters
+ */
+function toDictionary(counters) {
+  return Object.assign(Object.create(null), counters);
+}
+
+/**
+ * Load statistics from disk, filling in any missing fields
+ * @returns {Object} - Statistics data
+ */
+function loadStatistics() {
+  let data = {};
+  try {
+    data = JSON.parse(fs.readFileSync(STATISTICS_FILE, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.error('Error loading statistics, starting empty', { error: err.message });
+    }
+  }
+
+  return {
+    totalQuestions: data.totalQuestions || 0,
+    correctAnswers: data.correctAnswers || 0,
+    incorrectAnswers: data.incorrectAnswers || 0,
+    averageResponseTime: data.averageResponseTime || 0,
+    totalResponseTime: data.totalResponseTime || 0,
+    detections: data.detections || { hits: 0, misses: 0 },
+    totalRetries: data.totalRetries || 0,
+    totalErrors: data.totalErrors || 0,
+    quizTypes: toDictionary(data.quizTypes),
+    models: toDictionary(data.models),
+    dailyStats: toDictionary(data.dailyStats),
+    // Verdicts users gave on answers, by model, by question type and by model and prompt
+    feedback: {
+      models: toDictionary(data.feedback && data.feedback.models),
+      questionTypes: toDictionary(data.feedback && data.feedback.questionTypes),
+      combinations: toDictionary(data.feedback && data.feedback.combinations)
+    },
+    lastUpdated: data.lastUpdated || null
+  };
+}
+
+const statisticsData = loadStatistics();
+
+/**
+ * Write statistics to disk immediately
+ * @returns {void}
+ */
+function saveStatistics() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(STATISTICS_FILE), { recursive: true });
+    fs.writeFileSync(STATISTICS_FILE, JSON.stringify(statisticsData, null, 2));
+  } catch (err) {
+    logger.error('Error saving statistics', { error: err.message });
+  }
+}
+
+/**
+ * Mark statistics as changed and schedule a write to disk
+ * @returns {void}
+ */
+function markUpdated() {
+  statisticsData.lastUpdated = new Date().toISOString();
+
+  if (saveTimer) {
+    return;
+  }
+  saveTimer = setTimeout(saveStatistics, SAVE_DELAY);
+  // Don't keep the process alive just to flush statistics
+  saveTimer.unref();
+}
+
+/**
+ * Get the counters for today, creating them and pruning old days as needed
+ * @returns {Object} - Today's counters
+ */
+function getDailyCounters() {
+  const today = new Date().toISOString().slice(0, 10);
+  if (!statisticsData.dailyStats[today]) {
+    statisticsData.dailyStats[today] = createCounters();
+
+    const days = Object.keys(statisticsData.dailyStats).sort();
+    days.slice(0, Math.max(days.length - MAX_DAILY_STATS, 0))
+      .forEach(day => delete statisticsData.dailyStats[day]);
+  }
+  return statisticsData.dailyStats[today];
+}
+
+/**
+ * Get the counters for a model, creating them as needed
+ * @param {string} [modelName] - Model name, counted as 'unknown' when missing
+ * @returns {Object} - The model's counters
+ */
+function getModelCounters(modelName) {
+  const name = modelName || 'unknown';
+  if (!statisticsData.models[name]) {
+    statisticsData.models[name] = createCounters();
+  }
+  return statisticsData.models[name];
+}
+
+/**
+ * Record an answered question
+ * @param {Object} details - Details of the answered question
+ * @param {string} details.model - Model that produced the answer
+ * @param {number} details.responseTime - Time taken to answer in milliseconds
+ * @param {string} [details.type] - Question type, counted in quizTypes
+ * @returns {void}
+ */
+function recordQuestion({ model, responseTime, type }) {
+  statisticsData.totalQuestions++;
+  if (type) {
+    statisticsData.quizTypes[type] = (statisticsData.quizTypes[type] || 0) + 1;
+  }
+  statisticsData.totalResponseTime += responseTime;
+  statisticsData.averageResponseTime = Math.round(statisticsData.totalResponseTime / statisticsData.totalQuestions);
+
+  [getDailyCounters(), getModelCounters(model)].forEach(counters => {
+    counters.questions++;
+    counters.totalResponseTime += responseTime;
+    counters.averageResponseTime = Math.round(counters.totalResponseTime / counters.questions);
+  });
+
+  markUpdated();
+}
+
+/**
+ * Record the outcome of a /monitor_screen detection
+ * @param {boolean} detected - Whether a quiz question was found in the frame
+ * @param {string} model - Model that ran the detection
+ * @returns {void}
+ */
+function recordDetection(detected, model) {
+  const field = detected ? 'hits' : 'misses';
+  [statisticsData, getDailyCounters(), getModelCounters(model)]
+    .forEach(counters => counters.detections[field]++);
+
+  markUpdated();
+}
+
+/**
+ * Record a retried model API call
+ * @param {string} model - Model whose call was retried
+ * @returns {void}
+ */
+function recordRetry(model) {
+  statisticsData.totalRetries++;
+  getDailyCounters().retries++;
+  getModelCounters(model).retries++;
+
+  markUpdated();
+}
+
+/**
+ * Record a failed request
+ * @param {string} model - Model the request was using
+ * @returns {void}
+ */
+function recordError(model) {
+  statisticsData.totalErrors++;
+  getDailyCounters().errors++;
+  getModelCounters(model).errors++;
+
+  markUpdated();
+}
+
+/**
+ * Get the feedback counters a verdict on an answer counts towards, creating them as needed
+ * @param {Object} entry - History entry of the answer
+ * @returns {Object[]} - Counters of the answer's model, question type, and model and prompt combination
+ */
+function getFeedbackCounters(entry) {
+  const { models, questionTypes, combinations } = statisticsData.feedback;
+  const model = entry.model || 'unknown';
+  const type = entry.questionType || 'unknown';
+  const prompt = entry.prompt || 'unknown';
+  const promptVersion = entry.promptVersion || null;
+  const combination = `${model}|${prompt}|${promptVersion || ''}`;
+
+  models[model] = models[model] || { correct: 0, incorrect: 0 };
+  questionTypes[type] = questionTypes[type] || { correct: 0, incorrect: 0 };
+  combinations[combination] = combinations[combination] || { model, prompt, promptVersion, correct: 0, incorrect: 0 };
+  return [models[model], questionTypes[type], combinations[combination]];
+}
+
+/**
+ * Record a user's verdict on an answer, taking back the verdict given on it before, if any
+ * @param {Object} entry - History entry of the answer, with its model, questionType, prompt and promptVersion
+ * @param {boolean} correct - Whether the answer was right
+ * @param {boolean|null} [previousCorrect] - The earlier verdict on the same answer
+ * @returns {void}
+ */
+function recordFeedback(entry, correct, previousCorrect = null) {
+  const counters = getFeedbackCounters(entry);
+  const count = (isCorrect, change) => {
+    statisticsData[isCorrect ? 'correctAnswers' : 'incorrectAnswers'] += change;
+    counters.forEach(counter => {
+      counter[isCorrect ? 'correct' : 'incorrect'] += change;
+    });
+  };
+
+  if (previousCorrect !== null) {
+    count(previousCorrect, -1);
+  }
+  count(correct, 1);
+  markUpdated();
+}
+
+/**
+ * Add the total and accuracy to a pair of feedback counts
+ * @param {Object} counts - { correct, incorrect } and any other fields to keep
+ * @returns {Object} - The counts with total and accuracy, which is null without feedback
+ */
+function describeAccuracy(counts) {
+  const total = counts.correct + counts.incorrect;
+  return { ...counts, total, accuracy: total > 0 ? counts.correct / total : null };
+}
+
+/**
+ * Report how often answers were right, overall and by model, question type, and model and prompt
+ * combination, least accurate first
+ * @param {number} [minFeedback] - Leave out groups with fewer verdicts than this
+ * @returns {Object} - { overall, models, questionTypes, combinations }
+ */
+function getAccuracyReport(minFeedback = 1) {
+  const { models, questionTypes, combinations } = statisticsData.feedback;
+  const rank = rows => rows
+    .filter(row => row.total >= Math.max(minFeedback, 1))
+    .sort((a, b) => a.accuracy - b.accuracy || b.incorrect - a.incorrect);
+
+  return {
+    overall: describeAccuracy({ correct: statisticsData.correctAnswers, incorrect: statisticsData.incorrectAnswers }),
+    models: rank(Object.entries(models).map(([model, counts]) => describeAccuracy({ model, ...counts }))),
+    questionTypes: rank(Object.entries(questionTypes).map(([type, counts]) => describeAccuracy({ type, ...counts }))),
+    combinations: rank(Object.values(combinations).map(describeAccuracy))
+  };
+}
+
+/**
+ * Get a snapshot of the statistics, including the overall detection hit rate and answer accuracy
+ * @returns {Object} - Statistics data
+ */
+function getStatistics() {
+  const { hits, misses } = statisticsData.detections;
+  const judged = statisticsData.correctAnswers + statisticsData.incorrectAnswers;
+  return {
+    ...JSON.parse(JSON.stringify(statisticsData)),
+    detectionHitRate: hits + misses > 0 ? hits / (hits + misses) : null,
+    accuracy: judged > 0 ? statisticsData.correctAnswers / judged : null
+  };
+}
+
+// Flush pending writes when the process exits normally
+process.on('exit', () => {
+  if (saveTimer) {
+    saveStatistics();
+  }
+});
+
+module.exports = {
+  recordQuestion,
+  recordDetection,
+  recordRetry,
+  recordError,
+  recordFeedback,
+  getAccuracyReport,
+  getStatistics,
+  saveStatistics
+};
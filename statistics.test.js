@@ -0,0 +1,82 @@
+// statistics.test.js - Usage counters and answer accuracy in total, per day and per model
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { withMemoryFs } = require('./testUtils');
+
+// Start from empty statistics, kept in memory
+withMemoryFs('statistics.json', {});
+
+const statistics = require('./statistics');
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+test('answered questions update the totals, today and the model', () => {
+  statistics.recordQuestion({ model: 'flash', responseTime: 100, type: 'numeric' });
+  statistics.recordQuestion({ model: 'flash', responseTime: 201, type: 'numeric' });
+  statistics.recordQuestion({ model: 'pro', responseTime: 400 });
+
+  const stats = statistics.getStatistics();
+  assert.strictEqual(stats.totalQuestions, 3);
+  assert.strictEqual(stats.averageResponseTime, 234);
+  assert.deepStrictEqual(stats.quizTypes, { numeric: 2 });
+  assert.strictEqual(stats.models.flash.questions, 2);
+  assert.strictEqual(stats.models.flash.averageResponseTime, 151);
+  assert.strictEqual(stats.dailyStats[today()].questions, 3);
+});
+
+test('detections, retries and errors are counted, with the hit rate', () => {
+  statistics.recordDetection(true, 'flash');
+  statistics.recordDetection(true, 'flash');
+  statistics.recordDetection(false, 'flash');
+  statistics.recordRetry('flash');
+  statistics.recordError();
+
+  const stats = statistics.getStatistics();
+  assert.deepStrictEqual(stats.detections, { hits: 2, misses: 1 });
+  assert.strictEqual(stats.detectionHitRate, 2 / 3);
+  assert.strictEqual(stats.models.flash.retries, 1);
+  assert.strictEqual(stats.totalErrors, 1);
+  assert.strictEqual(stats.models.unknown.errors, 1);
+  assert.strictEqual(stats.dailyStats[today()].errors, 1);
+});
+
+test('snapshots are copies', () => {
+  const stats = statistics.getStatistics();
+  stats.models.flash.questions = 99;
+  assert.strictEqual(statistics.getStatistics().models.flash.questions, 2);
+});
+
+test('a changed verdict takes back the earlier one', () => {
+  const entry = { model: 'flash', questionType: 'numeric', prompt: 'answer', promptVersion: 2 };
+  statistics.recordFeedback(entry, true);
+  statistics.recordFeedback(entry, false, true);
+
+  const report = statistics.getAccuracyReport();
+  assert.deepStrictEqual(report.overall, { correct: 0, incorrect: 1, total: 1, accuracy: 0 });
+  assert.deepStrictEqual(report.combinations, [
+    { model: 'flash', prompt: 'answer', promptVersion: 2, correct: 0, incorrect: 1, total: 1, accuracy: 0 }
+  ]);
+  assert.strictEqual(statistics.getStatistics().accuracy, 0);
+});
+
+test('the accuracy report ranks the least accurate first and leaves out thin groups', () => {
+  statistics.recordFeedback({ model: 'pro', questionType: 'numeric' }, true);
+  statistics.recordFeedback({ model: 'pro', questionType: 'ordering' }, true);
+  statistics.recordFeedback({ questionType: 'ordering' }, false);
+  statistics.recordFeedback({ questionType: 'ordering' }, false);
+
+  const report = statistics.getAccuracyReport();
+  assert.deepStrictEqual(report.models.map(row => [row.model, row.accuracy]), [['unknown', 0], ['flash', 0], ['pro', 1]]);
+  assert.deepStrictEqual(report.questionTypes.map(row => [row.type, row.accuracy]), [['ordering', 1 / 3], ['numeric', 0.5]]);
+  assert.deepStrictEqual(statistics.getAccuracyReport(2).models.map(row => row.model), ['unknown', 'pro']);
+});
+
+test('model names never reach Object.prototype', () => {
+  statistics.recordError('__proto__');
+  statistics.recordError('constructor');
+  statistics.recordFeedback({ model: '__proto__', questionType: 'constructor' }, true);
+  assert.strictEqual(Object.prototype.errors, undefined);
+  assert.strictEqual(Object.prototype.correct, undefined);
+  assert.strictEqual(statistics.getStatistics().models.constructor.errors, 1);
+});
@@ -0,0 +1,658 @@
+// studyDecks.js - Study decks of answered questions, reviewed on an SM-2 schedule and backed by data/decks.json
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { toCsvField } = require('./csv');
+const { renderMarkdown } = require('./markdown');
+
+const DECKS_FILE = path.join(__dirname, 'data', 'decks.json');
+const SAVE_DELAY = 1000; // Batch writes when cards are collected in quick succession
+const MAX_DECKS = 100;
+const MAX_CARDS_PER_DECK = 5000;
+const MAX_NAME_LENGTH = 100;
+const MAX_FIELD_LENGTH = 10000; // Characters in a card's front, back or explanation
+const DEFAULT_REVIEW_LIMIT = 20;
+const MAX_REVIEW_LIMIT = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// SM-2 scheduling: new cards start at this ease, which never drops below the minimum
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+// Grades run from 0 (no recall) to 5 (perfect recall); below PASSING_GRADE the card starts over
+const MAX_GRADE = 5;
+const PASSING_GRADE = 3;
+
+// Separators Anki names in the #separator file header
+const NAMED_SEPARATORS = { comma: ',', semicolon: ';', tab: '\t', space: ' ', pipe: '|', colon: ':' };
+
+// Timer for the pending write to disk, if any
+let saveTimer = null;
+
+/**
+ * Load the decks from disk, falling back to none
+ * @returns {Object} - Deck data with a decks array
+ */
+function loadDecks() {
+  try {
+    const data = JSON.parse(fs.readFileSync(DECKS_FILE, 'utf8'));
+    return { decks: Array.isArray(data.decks) ? data.decks : [] };
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.error('Error loading study decks, starting empty', { error: err.message });
+    }
+    return { decks: [] };
+  }
+}
+
+const deckData = loadDecks();
+
+/**
+ * Write the decks to disk immediately
+ * @returns {void}
+ */
+function saveDecks() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(DECKS_FILE), { recursive: true });
+    fs.writeFileSync(DECKS_FILE, JSON.stringify(deckData, null, 2));
+  } catch (err) {
+    logger.error('Error saving study decks', { error: err.message });
+  }
+}
+
+/**
+ * Schedule a write to disk, coalescing repeated changes
+ * @returns {void}
+ */
+function scheduleSave() {
+  if (saveTimer) {
+    return;
+  }
+  saveTimer = setTimeout(saveDecks, SAVE_DELAY);
+  // Don't keep the process alive just to flush the decks
+  saveTimer.unref();
+}
+
+/**
+ * Find a deck by id
+ * @param {string} id - Deck id
+ * @returns {Object|null} - The stored deck, or null if there is none
+ */
+function findDeck(id) {
+  return deckData.decks.find(deck => deck.id === id) || null;
+}
+
+/**
+ * Check a deck name
+ * @param {*} name - Name sent by the client
+ * @returns {string|null} - Error message, or null if the name is usable
+ */
+function validateName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'name must be non-empty text';
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return `name must be at most ${MAX_NAME_LENGTH} characters`;
+  }
+  // The name is written into a header line of exports
+  if (/[\r\n]/.test(name.trim())) {
+    return 'name must be a single line';
+  }
+  const taken = deckData.decks.some(deck => deck.name.toLowerCase() === name.trim().toLowerCase());
+  return taken ? `A deck named "${name.trim()}" already exists` : null;
+}
+
+/**
+ * Summarize a deck without its cards
+ * @param {Object} deck - Stored deck
+ * @returns {Object} - { id, name, createdAt, cards, due, new }
+ */
+function summarizeDeck(deck) {
+  const now = Date.now();
+  return {
+    id: deck.id,
+    name: deck.name,
+    createdAt: deck.createdAt,
+    cards: deck.cards.length,
+    due: deck.cards.filter(card => Date.parse(card.due) <= now).length,
+    new: deck.cards.filter(card => card.reviews === 0).length
+  };
+}
+
+/**
+ * List every deck, in the order they were created
+ * @returns {Object[]} - Deck summaries
+ */
+function listDecks() {
+  return deckData.decks.map(summarizeDeck);
+}
+
+/**
+ * Get one deck's summary
+ * @param {string} id - Deck id
+ * @returns {Object|null} - Deck summary, or null if there is none
+ */
+function getDeck(id) {
+  const deck = findDeck(id);
+  return deck ? summarizeDeck(deck) : null;
+}
+
+/**
+ * Create an empty deck
+ * @param {string} name - Deck name, unique ignoring case
+ * @returns {Object} - { deck } with its summary, or { errors } listing what was wrong
+ */
+function createDeck(name) {
+  const error = validateName(name);
+  if (error) {
+    return { errors: [error] };
+  }
+  if (deckData.decks.length >= MAX_DECKS) {
+    return { errors: [`There can be at most ${MAX_DECKS} decks`] };
+  }
+
+  const deck = { id: crypto.randomUUID(), name: name.trim(), createdAt: new Date().toISOString(), cards: [] };
+  deckData.decks.push(deck);
+  scheduleSave();
+  return { deck: summarizeDeck(deck) };
+}
+
+/**
+ * Rename a deck
+ * @param {string} id - Deck id
+ * @param {string} name - New name, unique ignoring case
+ * @returns {Object|null} - { deck } or { errors }, or null if the deck doesn't exist
+ */
+function renameDeck(id, name) {
+  const deck = findDeck(id);
+  if (!deck) {
+    return null;
+  }
+  // Changing only the case of a name keeps it unique
+  const error = typeof name === 'string' && name.trim().toLowerCase() === deck.name.toLowerCase() ? null : validateName(name);
+  if (error) {
+    return { errors: [error] };
+  }
+
+  deck.name = name.trim();
+  scheduleSave();
+  return { deck: summarizeDeck(deck) };
+}
+
+/**
+ * Delete a deck and its cards
+ * @param {string} id - Deck id
+ * @returns {boolean} - True if the deck existed and was deleted
+ */
+function deleteDeck(id) {
+  const index = deckData.decks.findIndex(deck => deck.id === id);
+  if (index === -1) {
+    return false;
+  }
+
+  deckData.decks.splice(index, 1);
+  scheduleSave();
+  return true;
+}
+
+/**
+ * Normalize tags to a list of distinct words, as Anki separates tags with spaces
+ * @param {string|string[]} tags - Tags as a list or a space-separated string
+ * @returns {string[]} - Tags
+ */
+function normalizeTags(tags) {
+  const words = (Array.isArray(tags) ? tags.join(' ') : String(tags || '')).split(/\s+/).filter(Boolean);
+  return [...new Set(words)];
+}
+
+/**
+ * Check the fields of a card sent by the client
+ * @param {Object} card - { front, back, explanation, tags, historyId }
+ * @returns {string[]} - Problems found, empty if the card is usable
+ */
+function validateCard(card) {
+  const errors = [];
+  ['front', 'back'].forEach(field => {
+    if (typeof card[field] !== 'string' || !card[field].trim()) {
+      errors.push(`${field} must be non-empty text`);
+    }
+  });
+  if (card.explanation !== undefined && card.explanation !== null && typeof card.explanation !== 'string') {
+    errors.push('explanation must be text');
+  }
+  ['front', 'back', 'explanation'].forEach(field => {
+    if (typeof card[field] === 'string' && card[field].length > MAX_FIELD_LENGTH) {
+      errors.push(`${field} must be at most ${MAX_FIELD_LENGTH} characters`);
+    }
+  });
+  if (card.tags !== undefined && !Array.isArray(card.tags) && typeof card.tags !== 'string') {
+    errors.push('tags must be a list of words or a space-separated string');
+  }
+  if (card.historyId !== undefined && card.historyId !== null && typeof card.historyId !== 'string') {
+    errors.push('historyId must be text');
+  }
+  return errors;
+}
+
+/**
+ * Fronts compare equal when they differ only in case and spacing, so the same question collected
+ * from several frames becomes one card
+ * @param {string} front - Card front
+ * @returns {string} - Comparison key
+ */
+function frontKey(front) {
+  return front.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Store a new card, due for its first review straight away
+ * @param {Object} deck - Stored deck
+ * @param {Object} card - Validated card fields
+ * @returns {Object} - The stored card
+ */
+function storeCard(deck, card) {
+  const now = new Date().toISOString();
+  const stored = {
+    id: crypto.randomUUID(),
+    front: card.front.trim(),
+    back: card.back.trim(),
+    explanation: (card.explanation || '').trim(),
+    tags: normalizeTags(card.tags),
+    historyId: card.historyId || null,
+    createdAt: now,
+    // SM-2 state
+    repetitions: 0,
+    interval: 0,
+    ease: INITIAL_EASE,
+    due: now,
+    reviews: 0,
+    lapses: 0,
+    lastReviewedAt: null,
+    lastGrade: null
+  };
+  deck.cards.push(stored);
+  return stored;
+}
+
+/**
+ * Add a card to a deck. A card whose front matches one already in the deck updates that card's back,
+ * explanation and tags instead, keeping its schedule
+ * @param {string} deckId - Deck id
+ * @param {Object} card - Card fields
+ * @param {string} card.front - Question side, in Markdown
+ * @param {string} card.back - Answer side, in Markdown
+ * @param {string} [card.explanation] - Reasoning behind the answer, in Markdown
+ * @param {string|string[]} [card.tags] - Tags, such as the question type
+ * @param {string} [card.historyId] - History entry the card was collected from
+ * @returns {Object|null} - { card, added } or { errors }, or null if the deck doesn't exist
+ */
+function addCard(deckId, card) {
+  const deck = findDeck(deckId);
+  if (!deck) {
+    return null;
+  }
+  const errors = validateCard(card);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const existing = deck.cards.find(stored => frontKey(stored.front) === frontKey(card.front));
+  if (existing) {
+    existing.back = card.back.trim();
+    if (card.explanation) {
+      existing.explanation = card.explanation.trim();
+    }
+    existing.tags = normalizeTags([...existing.tags, ...normalizeTags(card.tags)]);
+    existing.historyId = card.historyId || existing.historyId;
+    scheduleSave();
+    return { card: existing, added: false };
+  }
+  if (deck.cards.length >= MAX_CARDS_PER_DECK) {
+    return { errors: [`A deck can hold at most ${MAX_CARDS_PER_DECK} cards`] };
+  }
+
+  const stored = storeCard(deck, card);
+  scheduleSave();
+  return { card: stored, added: true };
+}
+
+/**
+ * List a deck's cards
+ * @param {string} deckId - Deck id
+ * @returns {Object[]|null} - Cards in the order they were added, or null if the deck doesn't exist
+ */
+function listCards(deckId) {
+  const deck = findDeck(deckId);
+  return deck ? deck.cards : null;
+}
+
+/**
+ * Delete a card
+ * @param {string} deckId - Deck id
+ * @param {string} cardId - Card id
+ * @returns {boolean} - True if the card existed and was deleted
+ */
+function deleteCard(deckId, cardId) {
+  const deck = findDeck(deckId);
+  const index = deck ? deck.cards.findIndex(card => card.id === cardId) : -1;
+  if (index === -1) {
+    return false;
+  }
+
+  deck.cards.splice(index, 1);
+  scheduleSave();
+  return true;
+}
+
+/**
+ * Get the cards due for review, most overdue first
+ * @param {string} deckId - Deck id
+ * @param {number|string} [limit] - Most cards to return
+ * @returns {Object|null} - { deck, cards } with the deck's summary, or null if the deck doesn't exist
+ */
+function getDueCards(deckId, limit) {
+  const deck = findDeck(deckId);
+  if (!deck) {
+    return null;
+  }
+
+  const count = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_REVIEW_LIMIT, 1), MAX_REVIEW_LIMIT);
+  const now = Date.now();
+  const cards = deck.cards
+    .filter(card => Date.parse(card.due) <= now)
+    .sort((a, b) => Date.parse(a.due) - Date.parse(b.due))
+    .slice(0, count);
+  return { deck: summarizeDeck(deck), cards };
+}
+
+/**
+ * Schedule a card's next review from how well it was recalled, following SM-2: a passing grade
+ * lengthens the interval (1 day, then 6, then by the ease factor), a failing grade starts the card
+ * over at 1 day, and every grade adjusts the ease
+ * @param {Object} card - Stored card, updated in place
+ * @param {number} grade - 0 to 5
+ * @returns {void}
+ */
+function scheduleReview(card, grade) {
+  if (grade < PASSING_GRADE) {
+    card.repetitions = 0;
+    card.interval = 1;
+    card.lapses += 1;
+  } else {
+    card.repetitions += 1;
+    if (card.repetitions === 1) {
+      card.interval = 1;
+    } else if (card.repetitions === 2) {
+      card.interval = 6;
+    } else {
+      card.interval = Math.round(card.interval * card.ease);
+    }
+  }
+
+  const miss = MAX_GRADE - grade;
+  card.ease = Math.max(MIN_EASE, Math.round((card.ease + 0.1 - miss * (0.08 + miss * 0.02)) * 100) / 100);
+
+  const now = Date.now();
+  card.due = new Date(now + card.interval * DAY_MS).toISOString();
+  card.reviews += 1;
+  card.lastReviewedAt = new Date(now).toISOString();
+  card.lastGrade = grade;
+}
+
+/**
+ * Record a review of a card
+ * @param {string} deckId - Deck id
+ * @param {string} cardId - Card id
+ * @param {*} grade - How well the answer was recalled, a whole number from 0 to 5
+ * @returns {Object|null} - { card } with its new schedule or { errors }, or null if the card doesn't exist
+ */
+function reviewCard(deckId, cardId, grade) {
+  const deck = findDeck(deckId);
+  const card = deck ? deck.cards.find(stored => stored.id === cardId) : null;
+  if (!card) {
+    return null;
+  }
+  const value = Number(grade);
+  if (grade === '' || grade === null || !Number.isInteger(value) || value < 0 || value > MAX_GRADE) {
+    return { errors: [`grade must be a whole number from 0 to ${MAX_GRADE}`] };
+  }
+
+  scheduleReview(card, value);
+  scheduleSave();
+  return { card };
+}
+
+/**
+ * Split delimited text into rows of fields, allowing quoted fields with separators, doubled quotes
+ * and line breaks in them
+ * @param {string} text - Delimited text
+ * @param {string} separator - Field separator
+ * @returns {string[][]} - Rows of fields, without blank lines
+ */
+function parseDelimited(text, separator) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let index = 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim()) {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index += 1;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+    index += 1;
+  }
+  if (field || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+/**
+ * Read the #key:value header lines Anki writes at the top of its text exports
+ * @param {string[]} lines - Lines of the file
+ * @returns {Object} - { headers, bodyStart } with headers keyed by lowercase name
+ */
+function readFileHeaders(lines) {
+  const headers = {};
+  let bodyStart = 0;
+  while (bodyStart < lines.length && lines[bodyStart].startsWith('#')) {
+    const match = lines[bodyStart].match(/^#([^:]+):(.*)$/);
+    if (match) {
+      headers[match[1].trim().toLowerCase()] = match[2].trim();
+    }
+    bodyStart += 1;
+  }
+  return { headers, bodyStart };
+}
+
+/**
+ * The character for a numeric HTML entity, or U+FFFD for numbers that aren't a character, as
+ * browsers decode them
+ * @param {number} code - Code point
+ * @returns {string} - Character
+ */
+function decodeCodePoint(code) {
+  const valid = code > 0 && code <= 0x10FFFF && !(code >= 0xD800 && code <= 0xDFFF);
+  return valid ? String.fromCodePoint(code) : '\uFFFD';
+}
+
+/**
+ * Turn the HTML of an Anki field back into the Markdown cards hold: line breaks and paragraphs become
+ * new lines, bold, italic and code their Markdown marks, math rendered by an export its LaTeX source
+ * again, and other tags are dropped
+ * @param {string} html - Field HTML
+ * @returns {string} - Text
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<math\b([^>]*)>[\s\S]*?<annotation encoding="application\/x-tex">([\s\S]*?)<\/annotation>[\s\S]*?<\/math>/gi,
+      (match, attributes, tex) => (/display="block"/.test(attributes) ? `$$${tex}$$` : `$${tex}$`))
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(?:strong|b)>/gi, '**')
+    .replace(/<\/?(?:em|i)>/gi, '_')
+    .replace(/<\/?code>/gi, '`')
+    .replace(/<li\b[^>]*>/gi, '- ')
+    .replace(/<\/(?:p|div|li|h[1-6]|pre|blockquote|tr)>\n?/gi, '\n')
+    .replace(/<\/?[a-z][^>]*>/gi, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, '\'')
+    .replace(/&#(?:x([0-9a-f]+)|(\d+));/gi, (match, hex, decimal) => decodeCodePoint(hex ? parseInt(hex, 16) : Number(decimal)))
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Export a deck as CSV that Anki imports into a Basic note type: front, back and tags columns, with
+ * header lines naming the separator, the tags column and the deck. Fields are written as HTML; the
+ * explanation follows the answer on the back, under a rule
+ * @param {string} deckId - Deck id
+ * @returns {Object|null} - { name, body } with the deck name and CSV text, or null if the deck doesn't exist
+ */
+function exportDeck(deckId) {
+  const deck = findDeck(deckId);
+  if (!deck) {
+    return null;
+  }
+
+  const rows = deck.cards.map(card => {
+    const back = renderMarkdown(card.back).trim() + (card.explanation ? `<hr>${renderMarkdown(card.explanation).trim()}` : '');
+    return [renderMarkdown(card.front).trim(), back, card.tags.join(' ')].map(value => toCsvField(value, ',')).join(',');
+  });
+  // Decks named before names had to be a single line still export one header line
+  const headers = ['#separator:Comma', '#html:true', '#tags column:3', `#deck:${deck.name.replace(/\s*[\r\n]+\s*/g, ' ')}`];
+  return { name: deck.name, body: `${[...headers, ...rows].join('\n')}\n` };
+}
+
+/**
+ * Import cards from CSV or tab-separated text, such as an Anki export or a deck exported here. The
+ * separator, HTML and tag settings are read from Anki's header lines when present; otherwise a tab in
+ * the first line means tab-separated, anything else comma-separated, and fields are read as plain text
+ * unless the file says #html:true, as Anki's exports do.
+ * The first two note fields become the front and back, an explanation under a rule on the back is
+ * split off, and columns Anki marks as the guid, note type or deck are skipped. Cards whose front is
+ * already in the deck update it, like addCard. Every row is checked before any is stored, so a file
+ * with a bad row changes nothing
+ * @param {string} deckId - Deck id
+ * @param {string} text - File contents
+ * @returns {Object|null} - { deck, added, updated }, or { errors } naming each bad row, or null if the
+ *   deck doesn't exist
+ */
+function importDeck(deckId, text) {
+  const deck = findDeck(deckId);
+  if (!deck) {
+    return null;
+  }
+
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const { headers, bodyStart } = readFileHeaders(lines);
+  const body = lines.slice(bodyStart).join('\n');
+
+  const separatorName = (headers.separator || '').toLowerCase();
+  const separator = NAMED_SEPARATORS[separatorName] || headers.separator
+    || ((lines[bodyStart] || '').includes('\t') ? '\t' : ',');
+  const html = (headers.html || '').toLowerCase() === 'true';
+  // Anki numbers columns from 1
+  const columnHeader = name => (parseInt(headers[`${name} column`], 10) || 0) - 1;
+  const tagsColumn = columnHeader('tags');
+  const skippedColumns = new Set([tagsColumn, columnHeader('guid'), columnHeader('notetype'), columnHeader('deck')]);
+  const fileTags = normalizeTags(headers.tags);
+
+  const readField = field => (html ? htmlToText(field) : field.trim());
+  const cards = [];
+  const errors = [];
+  parseDelimited(body, separator).forEach((row, index) => {
+    const [front = '', back = ''] = row.filter((field, column) => !skippedColumns.has(column));
+    const [answer, ...explanation] = html ? back.split(/<hr\s*\/?>/i) : [back];
+    const card = {
+      front: readField(front),
+      back: readField(answer),
+      explanation: explanation.map(readField).join('\n\n'),
+      tags: [...fileTags, ...normalizeTags(tagsColumn >= 0 ? row[tagsColumn] : '')]
+    };
+    const problems = validateCard(card);
+    if (problems.length > 0) {
+      errors.push(`Row ${index + 1}: ${problems.join('; ')}`);
+    } else {
+      cards.push(card);
+    }
+  });
+
+  // Rows whose front is already in the deck, or earlier in the file, don't take up another card
+  const fronts = new Set(deck.cards.map(card => frontKey(card.front)));
+  const newCards = new Set(cards.map(card => frontKey(card.front)).filter(key => !fronts.has(key))).size;
+  if (deck.cards.length + newCards > MAX_CARDS_PER_DECK) {
+    errors.push(`The file adds ${newCards} cards; a deck can hold at most ${MAX_CARDS_PER_DECK}`);
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const result = { added: 0, updated: 0 };
+  cards.forEach(card => {
+    result[addCard(deckId, card).added ? 'added' : 'updated'] += 1;
+  });
+  return { deck: summarizeDeck(deck), ...result };
+}
+
+// Flush pending writes when the process exits normally
+process.on('exit', () => {
+  if (saveTimer) {
+    saveDecks();
+  }
+});
+
+module.exports = {
+  listDecks,
+  getDeck,
+  createDeck,
+  renameDeck,
+  deleteDeck,
+  addCard,
+  listCards,
+  deleteCard,
+  getDueCards,
+  reviewCard,
+  exportDeck,
+  importDeck,
+  saveDecks
+};
@@ -0,0 +1,113 @@
+// studyDecks.test.js - SM-2 scheduling and Anki CSV import and export
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { withMemoryFs } = require('./testUtils');
+
+// Start from no decks, kept in memory
+withMemoryFs('decks.json', { decks: [] });
+
+const studyDecks = require('./studyDecks');
+
+let deckCount = 0;
+function createDeck() {
+  deckCount += 1;
+  return studyDecks.createDeck(`Test deck ${deckCount}`).deck.id;
+}
+
+test('deck names are unique ignoring case', () => {
+  assert.ok(studyDecks.createDeck('Biology').deck);
+  assert.deepStrictEqual(studyDecks.createDeck(' biology ').errors, ['A deck named "biology" already exists']);
+});
+
+test('deck names must be a single line', () => {
+  assert.deepStrictEqual(studyDecks.createDeck('Chem\n#html:false').errors, ['name must be a single line']);
+  const deckId = createDeck();
+  assert.deepStrictEqual(studyDecks.renameDeck(deckId, 'Chem\r\nistry').errors, ['name must be a single line']);
+});
+
+test('cards with the same front update the existing card', () => {
+  const deckId = createDeck();
+  assert.strictEqual(studyDecks.addCard(deckId, { front: 'What is 2+2?', back: '5' }).added, true);
+  const update = studyDecks.addCard(deckId, { front: 'what is  2+2?', back: '4', tags: 'math' });
+  assert.strictEqual(update.added, false);
+  assert.strictEqual(update.card.back, '4');
+  assert.deepStrictEqual(update.card.tags, ['math']);
+  assert.strictEqual(studyDecks.listCards(deckId).length, 1);
+  assert.deepStrictEqual(studyDecks.addCard(deckId, { front: ' ', back: 'x' }).errors, ['front must be non-empty text']);
+});
+
+test('reviews follow SM-2 intervals and ease', () => {
+  const deckId = createDeck();
+  const { card } = studyDecks.addCard(deckId, { front: 'Capital of France?', back: 'Paris' });
+  const intervals = [4, 4, 5].map(grade => studyDecks.reviewCard(deckId, card.id, grade).card.interval);
+  assert.deepStrictEqual(intervals, [1, 6, 15]);
+  assert.strictEqual(card.ease, 2.6);
+
+  const lapse = studyDecks.reviewCard(deckId, card.id, 1).card;
+  assert.strictEqual(lapse.interval, 1);
+  assert.strictEqual(lapse.repetitions, 0);
+  assert.strictEqual(lapse.lapses, 1);
+  assert.strictEqual(lapse.ease, 2.06);
+
+  assert.ok(studyDecks.reviewCard(deckId, card.id, 6).errors);
+  assert.ok(studyDecks.reviewCard(deckId, card.id, '').errors);
+  assert.strictEqual(studyDecks.getDueCards(deckId).cards.length, 0);
+});
+
+test('an exported deck imports back unchanged', () => {
+  const source = createDeck();
+  studyDecks.addCard(source, { front: 'Which is **bold**, "quoted"?', back: '- A\n- B', explanation: 'Because $x^2$', tags: ['mcq', 'chem'] });
+  const exported = studyDecks.exportDeck(source);
+  assert.match(exported.body, /^#separator:Comma\n#html:true\n#tags column:3\n#deck:/);
+
+  const target = createDeck();
+  const result = studyDecks.importDeck(target, exported.body);
+  assert.strictEqual(result.added, 1);
+  const [card] = studyDecks.listCards(target);
+  assert.strictEqual(card.front, 'Which is **bold**, "quoted"?');
+  assert.strictEqual(card.back, '- A\n- B');
+  assert.strictEqual(card.explanation, 'Because $x^2$');
+  assert.deepStrictEqual(card.tags, ['mcq', 'chem']);
+});
+
+test('imports read Anki tab-separated files and skip guid, note type and deck columns', () => {
+  const deckId = createDeck();
+  const file = '#separator:tab\n#html:true\n#guid column:1\n#notetype column:2\n#deck column:3\n#tags column:6\n' +
+    'abc123\tBasic\tDefault\tFront<br>line\tBack &amp; more\ttag1 tag2\n';
+  const result = studyDecks.importDeck(deckId, file);
+  assert.strictEqual(result.added, 1);
+  const [card] = studyDecks.listCards(deckId);
+  assert.strictEqual(card.front, 'Front\nline');
+  assert.strictEqual(card.back, 'Back & more');
+  assert.deepStrictEqual(card.tags, ['tag1', 'tag2']);
+});
+
+test('numeric entities decode in decimal and hex, and out of range ones become U+FFFD', () => {
+  const deckId = createDeck();
+  const result = studyDecks.importDeck(deckId, '#html:true\nFront &#99999999;,Back &#x41;&#X1F600;&#xD800;\n');
+  assert.strictEqual(result.added, 1);
+  const [card] = studyDecks.listCards(deckId);
+  assert.strictEqual(card.front, 'Front \uFFFD');
+  assert.strictEqual(card.back, 'Back A\u{1F600}\uFFFD');
+});
+
+test('files without an html header are read as plain text', () => {
+  const deckId = createDeck();
+  assert.strictEqual(studyDecks.importDeck(deckId, 'Is <b> a tag?,Yes &amp; no<hr>Always\n').added, 1);
+  const [card] = studyDecks.listCards(deckId);
+  assert.strictEqual(card.front, 'Is <b> a tag?');
+  assert.strictEqual(card.back, 'Yes &amp; no<hr>Always');
+  assert.strictEqual(card.explanation, '');
+});
+
+test('a file with a bad row imports nothing', () => {
+  const deckId = createDeck();
+  const result = studyDecks.importDeck(deckId, 'One,1\nTwo,\nThree,3\n');
+  assert.deepStrictEqual(result, { errors: ['Row 2: back must be non-empty text'] });
+  assert.strictEqual(studyDecks.listCards(deckId).length, 0);
+});
+
+test('importing into a missing deck returns null', () => {
+  assert.strictEqual(studyDecks.importDeck('missing', 'a,b\n'), null);
+});
@@ -0,0 +1,25 @@
+// testUtils.js - Helpers shared by the test files
+
+const { mock } = require('node:test');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Keep a module's data file in memory: reads of the file return the given contents and nothing is
+ * written to data/. Call before requiring the module, which loads its file when first required
+ * @param {string} file - File name under data/, such as 'cache.json'
+ * @param {Object|string} initial - Contents to start from, as an object or as file text
+ * @returns {void}
+ */
+function withMemoryFs(file, initial) {
+  const dataFile = path.join(__dirname, 'data', file);
+  const text = typeof initial === 'string' ? initial : JSON.stringify(initial);
+  const readFileSync = fs.readFileSync;
+  mock.method(fs, 'readFileSync', (name, ...rest) => (name === dataFile ? text : readFileSync(name, ...rest)));
+  mock.method(fs, 'writeFileSync', () => {});
+  mock.method(fs, 'mkdirSync', () => {});
+}
+
+module.exports = {
+  withMemoryFs
+};
@@ -0,0 +1,136 @@
+// uploads.js - File type detection for in-memory uploads, plus the opt-in disk spool in uploads/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const UPLOAD_DIR = path.join(__dirname, 'uploads');
+const STALE_AGE = 60 * 60 * 1000; // Files older than an hour that no job is using were left behind by a crash
+
+// Leading bytes of each supported file type; `offset` skips container headers such as RIFF
+const SIGNATURES = [
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], also: { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] } },
+  { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  // "BM", then the file size and two reserved fields that are always zero
+  { mimeType: 'image/bmp', bytes: [0x42, 0x4d], also: { offset: 6, bytes: [0x00, 0x00, 0x00, 0x00] } },
+  { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }
+];
+
+const EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'image/bmp': '.bmp',
+  'application/pdf': '.pdf'
+};
+
+/**
+ * Check whether a buffer has the given bytes at an offset
+ * @param {Buffer} buffer - File contents
+ * @param {number[]} bytes - Expected bytes
+ * @param {number} [offset] - Where the bytes start
+ * @returns {boolean} - True if every byte matches
+ */
+function hasBytes(buffer, bytes, offset = 0) {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+/**
+ * Detect a file's type from its magic bytes rather than its name or declared type
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} - MIME type, or null for unsupported or unrecognized files
+ */
+function detectMimeType(buffer) {
+  if (!Buffer.isBuffer(buffer)) {
+    return null;
+  }
+  const match = SIGNATURES.find(signature => hasBytes(buffer, signature.bytes)
+    && (!signature.also || hasBytes(buffer, signature.also.bytes, signature.also.offset)));
+  return match ? match.mimeType : null;
+}
+
+/**
+ * Write data to a new file in uploads/, for batch jobs too large to keep in memory
+ * @param {Buffer} buffer - Data to spool
+ * @param {string} mimeType - Type of the data, used for the file extension
+ * @returns {string} - Path of the spooled file
+ */
+function spoolToDisk(buffer, mimeType) {
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  const filePath = path.join(UPLOAD_DIR, `${crypto.randomUUID()}${EXTENSIONS[mimeType] || ''}`);
+  fs.writeFileSync(filePath, buffer);
+  return filePath;
+}
+
+/**
+ * Read a spooled file back
+ * @param {string} filePath - Path from spoolToDisk
+ * @returns {Promise<Buffer>} - The spooled data
+ */
+function readSpooled(filePath) {
+  return fs.promises.readFile(filePath);
+}
+
+/**
+ * Remove a spooled file; files that are already gone are ignored
+ * @param {string} filePath - Path from spoolToDisk
+ * @returns {void}
+ */
+function removeSpooled(filePath) {
+  fs.rm(filePath, { force: true }, err => {
+    if (err) {
+      logger.error('Error removing spooled file', { file: filePath, error: err.message });
+    }
+  });
+}
+
+/**
+ * Delete files in uploads/ older than STALE_AGE, such as spooled pages of a job that was running
+ * when the server stopped, or screenshots written by versions that stored every upload on disk.
+ * Files still in use are kept however old they are, as pages of a job held back by its quota can
+ * wait in the queue for longer than that
+ * @param {string[]} [inUse] - Paths from spoolToDisk that are still needed
+ * @returns {number} - Number of files removed
+ */
+function sweepStaleUploads(inUse = []) {
+  let entries;
+  try {
+    entries = fs.readdirSync(UPLOAD_DIR, { withFileTypes: true });
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.error('Error reading uploads directory', { error: err.message });
+    }
+    return 0;
+  }
+
+  const cutoff = Date.now() - STALE_AGE;
+  const kept = new Set(inUse.map(filePath => path.resolve(filePath)));
+  let removed = 0;
+  for (const entry of entries.filter(item => item.isFile())) {
+    const filePath = path.join(UPLOAD_DIR, entry.name);
+    if (kept.has(filePath)) {
+      continue;
+    }
+    try {
+      if (fs.statSync(filePath).mtimeMs < cutoff) {
+        fs.unlinkSync(filePath);
+        removed++;
+      }
+    } catch (err) {
+      logger.error('Error removing stale upload', { file: filePath, error: err.message });
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  detectMimeType,
+  spoolToDisk,
+  readSpooled,
+  removeSpooled,
+  sweepStaleUploads
+};
@@ -0,0 +1,60 @@
+// uploads.test.js - Content-based type detection and the sweep of stale spooled files
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const uploads = require('./uploads');
+const batchJobs = require('./batchJobs');
+
+const UPLOAD_DIR = path.join(__dirname, 'uploads');
+const HOUR = 60 * 60 * 1000;
+
+test.after(() => batchJobs.stopJobs());
+
+test('types are detected from the leading bytes, not the name', () => {
+  assert.strictEqual(uploads.detectMimeType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0])), 'image/png');
+  assert.strictEqual(uploads.detectMimeType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg');
+  assert.strictEqual(uploads.detectMimeType(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')), 'image/webp');
+  assert.strictEqual(uploads.detectMimeType(Buffer.from('RIFF\0\0\0\0WAVEfmt ')), null);
+  assert.strictEqual(uploads.detectMimeType(Buffer.from('BM\x36\0\0\0\0\0\0\0', 'latin1')), 'image/bmp');
+  assert.strictEqual(uploads.detectMimeType(Buffer.from('BM is a text file')), null);
+  assert.strictEqual(uploads.detectMimeType(Buffer.from('%PDF-1.7')), 'application/pdf');
+  assert.strictEqual(uploads.detectMimeType('%PDF-1.7'), null);
+});
+
+test('the sweep removes old files except those still in use', t => {
+  const files = { 'old.png': Date.now() - 2 * HOUR, 'queued.png': Date.now() - 3 * HOUR, 'new.png': Date.now() };
+  t.mock.method(fs, 'readdirSync', () => Object.keys(files).map(name => ({ name, isFile: () => true })));
+  t.mock.method(fs, 'statSync', filePath => ({ mtimeMs: files[path.basename(filePath)] }));
+  const unlink = t.mock.method(fs, 'unlinkSync', () => {});
+
+  assert.strictEqual(uploads.sweepStaleUploads([path.join(UPLOAD_DIR, 'queued.png')]), 1);
+  assert.deepStrictEqual(unlink.mock.calls.map(call => call.arguments[0]), [path.join(UPLOAD_DIR, 'old.png')]);
+});
+
+test('a missing uploads directory sweeps nothing', t => {
+  t.mock.method(fs, 'readdirSync', () => {
+    throw Object.assign(new Error('no such directory'), { code: 'ENOENT' });
+  });
+  assert.strictEqual(uploads.sweepStaleUploads(), 0);
+});
+
+test('pages waiting for quota keep their sources listed until answered', async () => {
+  let allowPages = false;
+  const released = [];
+  const job = batchJobs.createJob({
+    pages: [{ file: 'a.png', page: 1, source: { spooledPath: '/tmp/a.png' } }, { file: 'b.pdf', page: 1, error: 'No text' }],
+    processPage: async () => [],
+    acquireQuota: () => (allowPages ? 0 : 10),
+    releaseSource: source => released.push(source.spooledPath)
+  });
+  assert.deepStrictEqual(batchJobs.listPendingSources(), [{ spooledPath: '/tmp/a.png' }]);
+
+  allowPages = true;
+  while (batchJobs.getJob(job.id).status !== 'completed') {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.deepStrictEqual(batchJobs.listPendingSources(), []);
+  assert.deepStrictEqual(released, ['/tmp/a.png']);
+});